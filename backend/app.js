@@ -4,10 +4,14 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const { initializeNetwork } = require('./network');
+const { DEFAULT_SESSION_ID, getDefaultSession, getSession, touchSession, pauseAllSessions } = require('./sessions');
 
 // Import routes
 const simulateRouter = require('./routes/simulate');
+const streamRouter = require('./routes/stream');
+const exportRouter = require('./routes/export');
+const sessionsRouter = require('./routes/sessions');
+const metricsRouter = require('./routes/metrics');
 
 // Create Express app
 const app = express();
@@ -38,7 +42,8 @@ const corsOptions = {
     credentials: true,
     optionsSuccessStatus: 200,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    exposedHeaders: ['Content-Disposition', 'X-Export-From-Step', 'X-Export-To-Step', 'X-Export-Truncated']
 };
 
 app.use(cors(corsOptions));
@@ -63,6 +68,10 @@ app.use(compression({
         if (req.headers['x-no-compression']) {
             return false;
         }
+        // Compressed event streams would be buffered instead of pushed
+        if (String(res.getHeader('Content-Type')).startsWith('text/event-stream')) {
+            return false;
+        }
         return compression.filter(req, res);
     },
     level: 6,
@@ -89,7 +98,7 @@ app.use(express.urlencoded({
 
 // Initialize network simulation
 try {
-    initializeNetwork();
+    getDefaultSession();
     console.log('✅ Network simulation initialized successfully');
 } catch (error) {
     console.error('❌ Failed to initialize network simulation:', error);
@@ -107,8 +116,32 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Point simulate requests at their session's simulation: /api/simulate drives the default
+// session, /api/sessions/:sessionId/simulate any other one
+const useSession = (req, res, next) => {
+    try {
+        const sessionId = req.params.sessionId || DEFAULT_SESSION_ID;
+        req.simulation = getSession(sessionId).simulation;
+        req.sessionId = sessionId;
+        touchSession(sessionId);
+        next();
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
 // API routes
-app.use('/api/simulate', simulateRouter);
+app.use('/api/simulate', useSession, simulateRouter);
+app.use('/api/simulate', useSession, streamRouter);
+app.use('/api/simulate', useSession, exportRouter);
+app.use('/api/sessions/:sessionId/simulate', useSession, simulateRouter);
+app.use('/api/sessions/:sessionId/simulate', useSession, streamRouter);
+app.use('/api/sessions/:sessionId/simulate', useSession, exportRouter);
+app.use('/api/sessions', sessionsRouter);
+app.use('/metrics', metricsRouter);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -119,6 +152,8 @@ app.get('/', (req, res) => {
         endpoints: {
             health: '/health',
             simulation: '/api/simulate',
+            sessions: '/api/sessions',
+            metrics: '/metrics',
             docs: '/api/docs'
         },
         timestamp: new Date().toISOString()
@@ -132,12 +167,54 @@ app.get('/api/docs', (req, res) => {
         version: '1.0.0',
         baseUrl: `${req.protocol}://${req.get('host')}/api/simulate`,
         endpoints: [
+            {
+                method: 'GET',
+                path: '/stream',
+                description: 'Server-Sent Events: a snapshot on connect and after every reset, then a compact delta after each tick (changed links, nodes, summary, the tick\'s packets and alerts) and a status event on start/pause/speed changes. Watching never advances the simulation',
+                query: '?topics=summary,links,nodes,packets,alerts (default: all but packets)',
+                response: 'text/event-stream with snapshot, tick and status events'
+            },
             {
                 method: 'GET',
                 path: '/stats',
                 description: 'Get current network statistics',
                 response: 'Network state with nodes, links, and packet information'
             },
+            {
+                method: 'GET',
+                path: '/latency',
+                description: 'Delay of delivered packets: end-to-end latency (ticks), queuing delay per hop (ticks), hop count and jitter (latency difference between consecutive packets of a pair), each as mean, p50, p95, p99 and max over the most recent packets. Network-wide figures also appear in the stats summary',
+                query: '?source=A&destination=E (both optional)',
+                response: 'Network-wide and per source-destination pair percentiles'
+            },
+            {
+                method: 'GET',
+                path: '/history',
+                description: 'Per-tick history (last 2000 ticks) of one metric: link.load/utilization/queue per link direction, node.generated/received per node, or summary.generated/transmitted/drops/packetLoss/averageQueueSize. Long ranges are downsampled into buckets with mean, min and max',
+                query: '?metric=link.utilization&entity=A-B,B-D&from=step&to=step&points=200',
+                response: 'One series of { step, time, value, min?, max? } points per entity'
+            },
+            {
+                method: 'GET',
+                path: '/export/packets',
+                description: 'Download the packet trace (last 50000 packet reports) as CSV or NDJSON: id, step, source, destination, traffic class, path, per-hop outcome, outcome and latency. A queued packet appears once as congested and again when it is delivered or dropped. A from older than the trace still holds is rejected with 400',
+                query: '?format=csv|ndjson&from=step&to=step&source=A&destination=E&node=B (all optional, ids comma-separated)',
+                response: 'Streamed attachment, one row per packet report; X-Export-From-Step and X-Export-To-Step give the steps still kept, X-Export-Truncated whether older ones were discarded'
+            },
+            {
+                method: 'GET',
+                path: '/export/links',
+                description: 'Download per-tick link statistics (load, utilization, queue per direction) of the history (last 2000 ticks) as CSV or NDJSON. A from older than the history still holds is rejected with 400',
+                query: '?format=csv|ndjson&from=step&to=step&link=A-B,B-A (all optional)',
+                response: 'Streamed attachment, one row per link direction and tick; X-Export-From-Step, X-Export-To-Step and X-Export-Truncated as for packets'
+            },
+            {
+                method: 'GET',
+                path: '/export/nodes',
+                description: 'Download per-tick node statistics (packets generated and received) of the history (last 2000 ticks) as CSV or NDJSON. A from older than the history still holds is rejected with 400',
+                query: '?format=csv|ndjson&from=step&to=step&node=A,B (all optional)',
+                response: 'Streamed attachment, one row per node and tick; X-Export-From-Step, X-Export-To-Step and X-Export-Truncated as for packets'
+            },
             {
                 method: 'POST',
                 path: '/tick',
@@ -147,8 +224,9 @@ app.get('/api/docs', (req, res) => {
             {
                 method: 'POST',
                 path: '/start',
-                description: 'Start continuous simulation',
-                response: 'Success confirmation'
+                description: 'Start the backend clock, which ticks on its own until paused; optionally switch engine, set the speed, or start a fresh run from a seed',
+                body: '{ "engine"?: "aggregate"|"discrete-event", "seed"?: number, "speed"?: number|"max" }',
+                response: 'The random seed and speed of the run'
             },
             {
                 method: 'POST',
@@ -156,11 +234,26 @@ app.get('/api/docs', (req, res) => {
                 description: 'Pause ongoing simulation',
                 response: 'Success confirmation'
             },
+            {
+                method: 'POST',
+                path: '/speed',
+                description: 'Ticks per second of the backend clock (default 0.5), or "max" to run as fast as possible',
+                body: '{ "speed": number|"max" }',
+                response: 'Selected speed'
+            },
             {
                 method: 'POST',
                 path: '/reset',
-                description: 'Reset simulation to initial state',
-                response: 'Success confirmation'
+                description: 'Reset simulation to initial state; the same seed and configuration replay identical traffic',
+                body: '{ "seed"?: integer 0..4294967295 }',
+                response: 'The random seed of the run'
+            },
+            {
+                method: 'POST',
+                path: '/engine',
+                description: 'Select the aggregate (per-tick counters) or discrete-event (per-packet transmission and propagation delay) engine; resets the simulation',
+                body: '{ "engine": "aggregate"|"discrete-event" }',
+                response: 'Selected engine'
             },
             {
                 method: 'POST',
@@ -169,17 +262,301 @@ app.get('/api/docs', (req, res) => {
                 body: '{ "rate": number }',
                 response: 'Success confirmation'
             },
+            {
+                method: 'GET',
+                path: '/matrix',
+                description: 'Traffic matrix of a time slot (?slot=HH:MM, current slot by default): demand in packets/second per source and destination; node rates are the row sums',
+                response: 'Matrix, rates and the sources with a configured row'
+            },
+            {
+                method: 'PUT',
+                path: '/matrix',
+                description: 'Replace rows of the traffic matrix; in weights mode each row is scaled to the source\'s current rate',
+                body: '{ "matrix": { [source]: { [destination]: number } }, "slot"?: string, "mode"?: "demand"|"weights" }',
+                response: 'Updated traffic matrix'
+            },
+            {
+                method: 'PUT',
+                path: '/matrix/:source/:destination',
+                description: 'Set the demand of one source/destination pair',
+                body: '{ "demand": number, "slot"?: string }',
+                response: 'Updated traffic matrix'
+            },
+            {
+                method: 'POST',
+                path: '/matrix/preset',
+                description: 'Fill the traffic matrix from a preset keeping every node\'s rate: uniform, gravity (shares proportional to destination masses, default their rates) or hotspot (fraction of traffic to the hotspot nodes)',
+                body: '{ "preset": "uniform"|"gravity"|"hotspot", "slot"?: string|"all", "masses"?: { [node]: number }, "hotspots"?: string[], "fraction"?: number }',
+                response: 'Updated traffic matrix'
+            },
+            {
+                method: 'DELETE',
+                path: '/matrix',
+                description: 'Clear the traffic matrix of a time slot (?slot=HH:MM); rates are spread evenly again',
+                response: 'Success confirmation'
+            },
+            {
+                method: 'POST',
+                path: '/link-capacity',
+                description: 'Update link capacity between two nodes; capacity applies from -> to and reverseCapacity to -> from (defaults to capacity)',
+                body: '{ "from": string, "to": string, "capacity": number, "reverseCapacity"?: number }',
+                response: 'Success confirmation'
+            },
+            {
+                method: 'PUT',
+                path: '/link/:from/:to',
+                description: 'Same as POST /link-capacity with the nodes in the path',
+                body: '{ "capacity": number, "reverseCapacity"?: number }',
+                response: 'Success confirmation'
+            },
+            {
+                method: 'GET',
+                path: '/schedule',
+                description: 'Time slots, auto-advance/wrap/interpolation options, current slot, time of day and the rates in effect',
+                response: 'Schedule'
+            },
+            {
+                method: 'PUT',
+                path: '/schedule',
+                description: 'Replace every time slot, either explicitly (slots may carry a day, e.g. "1/08:00") or as equal-length slots from a list of rates; time restarts at the first slot',
+                body: '{ "slots": { [slot]: { [node]: number } } } or { "rates": [{ [node]: number }], "slotMinutes": number, "start"?: string }, plus optional "ticksPerSlot", "wrap", "interpolate"',
+                response: 'Updated schedule'
+            },
+            {
+                method: 'POST',
+                path: '/schedule/options',
+                description: 'Auto-advance after ticksPerSlot ticks (0 = only on request), wrap back to the first slot after the last, and ramp rates linearly between slots',
+                body: '{ "ticksPerSlot"?: number, "wrap"?: boolean, "interpolate"?: boolean }',
+                response: 'Updated schedule'
+            },
+            {
+                method: 'POST',
+                path: '/time',
+                description: 'Jump to a time of day; the slot in effect then becomes current',
+                body: '{ "time": "HH:MM" | "day/HH:MM" }',
+                response: 'Current slot and time of day'
+            },
+            {
+                method: 'POST',
+                path: '/nodes',
+                description: 'Add a node to the running topology',
+                body: '{ "id": string, "rate"?: number }',
+                response: 'Success confirmation'
+            },
+            {
+                method: 'PUT',
+                path: '/nodes/:nodeId',
+                description: 'Rename a node',
+                body: '{ "id": string }',
+                response: 'Success confirmation'
+            },
+            {
+                method: 'GET',
+                path: '/arrivals',
+                description: 'Default arrival model, per-node models and the parameters each model takes',
+                response: 'Arrival model configuration'
+            },
+            {
+                method: 'POST',
+                path: '/arrivals',
+                description: 'Set the arrival model of every node without its own: constant, poisson, on-off (Markov-modulated, meanOn/meanOff in ms) or pareto (heavy-tailed, shape > 1); the node rate stays the mean',
+                body: '{ "model": "constant"|"poisson"|"on-off"|"pareto", "meanOn"?: number, "meanOff"?: number, "shape"?: number }',
+                response: 'Updated arrival configuration'
+            },
+            {
+                method: 'PUT',
+                path: '/nodes/:nodeId/arrival',
+                description: 'Give a node its own arrival model',
+                body: 'Same fields as POST /arrivals',
+                response: 'The node\'s arrival model'
+            },
+            {
+                method: 'DELETE',
+                path: '/nodes/:nodeId/arrival',
+                description: 'Return a node to the default arrival model',
+                response: 'Success confirmation'
+            },
+            {
+                method: 'DELETE',
+                path: '/nodes/:nodeId',
+                description: 'Remove a node and every link attached to it',
+                response: 'Success confirmation'
+            },
+            {
+                method: 'POST',
+                path: '/links',
+                description: 'Add a link between two existing nodes',
+                body: '{ "from": string, "to": string, "capacity": number, "reverseCapacity"?: number, "delay"?: number, "cost"?: number, "queue"?: object, "policers"?: object }',
+                response: 'Success confirmation'
+            },
+            {
+                method: 'PUT',
+                path: '/link/:from/:to/metrics',
+                description: 'Update the admin cost and/or propagation delay (ms) of a link',
+                body: '{ "cost"?: number, "delay"?: number }',
+                response: 'Success confirmation'
+            },
+            {
+                method: 'GET',
+                path: '/queues',
+                description: 'Default buffer size and queue discipline, and the links that override them',
+                response: 'Queue configuration with the available disciplines'
+            },
+            {
+                method: 'POST',
+                path: '/queues',
+                description: 'Change the default queue options: drop-tail, red, wred, priority (strict) or wfq; bufferSize in packets per link direction',
+                body: '{ "discipline"?: string, "bufferSize"?: number, "red"?: { "minThreshold": number, "maxThreshold": number, "maxProbability": number, "weight": number }, "wred"?: { [priority]: red profile }, "weights"?: { [priority]: number } }',
+                response: 'Updated queue configuration'
+            },
+            {
+                method: 'PUT',
+                path: '/link/:from/:to/queue',
+                description: 'Override the queue options of one link; unspecified fields use the defaults',
+                body: 'Same fields as POST /queues',
+                response: 'Success confirmation'
+            },
+            {
+                method: 'DELETE',
+                path: '/link/:from/:to/queue',
+                description: 'Return a link to the default queue options',
+                response: 'Success confirmation'
+            },
+            {
+                method: 'GET',
+                path: '/classes',
+                description: 'Traffic classes with share, DSCP, priority and generated/delivered/dropped/latency figures',
+                response: 'Per-class configuration and statistics'
+            },
+            {
+                method: 'POST',
+                path: '/classes',
+                description: 'Replace the traffic classes; shares split every node\'s rate, priority feeds the priority/WFQ/WRED queue disciplines',
+                body: '{ "classes": { [name]: { "share": number, "dscp"?: number, "priority"?: number } } }',
+                response: 'Updated traffic classes'
+            },
+            {
+                method: 'PUT',
+                path: '/link/:from/:to/policers',
+                description: 'Police traffic classes on a link with token buckets (per direction); excess packets are dropped',
+                body: '{ [class]: { "rate": number, "burst"?: number } }',
+                response: 'Success confirmation'
+            },
+            {
+                method: 'DELETE',
+                path: '/link/:from/:to/policers',
+                description: 'Remove every policer from a link',
+                response: 'Success confirmation'
+            },
+            {
+                method: 'POST',
+                path: '/link/:from/:to/fail',
+                description: 'Fail a link; packets queued on it are dropped or rerouted onto a detour',
+                body: '{ "policy"?: "drop"|"reroute" }',
+                response: 'Number of queued packets dropped and rerouted'
+            },
+            {
+                method: 'POST',
+                path: '/link/:from/:to/restore',
+                description: 'Restore a failed link',
+                response: 'Success confirmation'
+            },
+            {
+                method: 'POST',
+                path: '/nodes/:nodeId/fail',
+                description: 'Fail a node: it stops generating traffic and all its links go down',
+                body: '{ "policy"?: "drop"|"reroute" }',
+                response: 'Number of queued packets dropped and rerouted'
+            },
             {
                 method: 'POST',
-                path: '/link/:from/:to/capacity',
-                description: 'Update link capacity between two nodes',
-                body: '{ "capacity": number }',
+                path: '/nodes/:nodeId/restore',
+                description: 'Restore a failed node',
                 response: 'Success confirmation'
             },
+            {
+                method: 'GET',
+                path: '/failures',
+                description: 'List failed links and nodes with the tick each failure started',
+                response: 'Failures and the default queue policy'
+            },
+            {
+                method: 'POST',
+                path: '/failures/policy',
+                description: 'Set the default policy for packets queued on a link when it fails',
+                body: '{ "policy": "drop"|"reroute" }',
+                response: 'Updated failures summary'
+            },
+            {
+                method: 'GET',
+                path: '/routing',
+                description: 'Get the active routing metric and the available metrics',
+                response: 'Routing configuration'
+            },
+            {
+                method: 'POST',
+                path: '/routing/metric',
+                description: 'Select the link cost metric: hop, admin, inverse-capacity or delay',
+                body: '{ "metric": string, "referenceBandwidth"?: number }',
+                response: 'Updated routing configuration'
+            },
+            {
+                method: 'POST',
+                path: '/routing/mode',
+                description: 'Select single-path, ecmp, ksp (Yen k-shortest) or adaptive (congestion-aware) routing; loadBalancing is flow (hash) or packet (round-robin)',
+                body: '{ "mode": string, "loadBalancing"?: string, "k"?: number, "flowsPerPair"?: number, "adaptive"?: { "granularity": "tick"|"packet", "smoothing": number, "hysteresis": number, "utilizationWeight": number, "queueWeight": number } }',
+                response: 'Updated routing configuration'
+            },
+            {
+                method: 'POST',
+                path: '/routing/protocol',
+                description: 'Select oracle routing, or the distance-vector (RIP-style) or link-state (OSPF-like) protocol simulation',
+                body: '{ "protocol": string, "distanceVector"?: { "updateInterval": number, "infinity": number, "splitHorizon": "none"|"split-horizon"|"poison-reverse" }, "linkState"?: { "floodDelay": number, "spfDelay": number, "spfHoldTime": number, "refreshInterval": number, "maxAge": number } }',
+                response: 'Updated routing configuration'
+            },
+            {
+                method: 'GET',
+                path: '/nodes/:nodeId/routes',
+                description: 'Routing table of a node and convergence time after the last topology change',
+                response: 'Routes with destination, nextHop, metric and reachable; link-state also returns the node\'s LSDB'
+            },
+            {
+                method: 'POST',
+                path: '/routing/compare',
+                description: 'Run identical traffic through several routing modes from the current state and compare loss, congestion and route flaps',
+                body: '{ "modes"?: string[], "ticks"?: number }',
+                response: 'Per-mode results; the live simulation is not modified'
+            },
+            {
+                method: 'GET',
+                path: '/routing/paths/:from/:to',
+                description: 'Candidate paths between two nodes with their costs and split weights',
+                response: 'Array of { path, cost, weight }'
+            },
+            {
+                method: 'DELETE',
+                path: '/link/:from/:to',
+                description: 'Remove the link between two nodes',
+                response: 'Success confirmation'
+            },
+            {
+                method: 'GET',
+                path: '/scenario',
+                description: 'Export the live configuration as a versioned scenario document',
+                query: '?format=json|yaml',
+                response: 'Scenario with nodes, links, trafficRates and currentTime'
+            },
+            {
+                method: 'POST',
+                path: '/scenario',
+                description: 'Load a scenario document (JSON, or YAML with a YAML content type) and reset the simulation',
+                body: '{ "version": 1, "currentTime"?: string, "nodes": string[], "links": [...], "trafficRates": {...} }',
+                response: 'Loaded scenario, or validation errors in "details"'
+            },
             {
                 method: 'POST',
                 path: '/advance-time',
-                description: 'Advance to next time slot',
+                description: 'Advance to next time slot, wrapping to the first after the last unless wrap is off',
                 response: 'Success confirmation with new time'
             },
             {
@@ -187,8 +564,84 @@ app.get('/api/docs', (req, res) => {
                 path: '/topology',
                 description: 'Get network topology structure',
                 response: 'Nodes and links structure for visualization'
+            },
+            {
+                method: 'POST',
+                path: '/snapshots',
+                description: 'Save the full simulation state to disk: topology, rates and configuration, queues, counters, failures, RNG state and step',
+                body: '{ "name"?: string }',
+                response: 'Snapshot id, name, session, step and time slot'
+            },
+            {
+                method: 'GET',
+                path: '/snapshots',
+                description: 'List saved snapshots (of every session)',
+                response: 'Snapshot ids, names, sessions, steps and time slots'
+            },
+            {
+                method: 'POST',
+                path: '/snapshots/:snapshotId/restore',
+                description: 'Continue from a snapshot, paused; a run restored from a snapshot replays exactly as the original went on. Restore the same snapshot in several sessions to branch what-if runs',
+                response: 'Network statistics at the restored step'
+            },
+            {
+                method: 'DELETE',
+                path: '/snapshots/:snapshotId',
+                description: 'Delete a saved snapshot',
+                response: 'Success confirmation'
+            },
+            {
+                method: 'GET',
+                path: '/topology/export',
+                description: 'Export the topology with per-link utilization and queue attributes',
+                query: '?format=dot|graphml',
+                response: 'Graphviz DOT or GraphML document'
+            },
+            {
+                method: 'POST',
+                path: '/topology/import',
+                description: 'Replace the topology from a DOT (text/vnd.graphviz) or GraphML (application/graphml+xml) document; edge capacity and delay attributes map onto links',
+                query: '?format=dot|graphml&defaultCapacity=number',
+                response: 'Imported nodes and links'
             }
-        ]
+        ],
+        sessions: {
+            baseUrl: `${req.protocol}://${req.get('host')}/api/sessions`,
+            description: 'Independent simulations, each with its own topology, traffic and state. Every endpoint above is also served at /api/sessions/:sessionId/simulate for that session; /api/simulate is the "default" session. Sessions other than the default expire after a period without requests or connected streams',
+            endpoints: [
+                {
+                    method: 'POST',
+                    path: '/',
+                    description: 'Create a session from the default network, a scenario (object, or YAML/JSON text) or a saved snapshot; fails with 429 once the session limit is reached',
+                    body: '{ "scenario"?: object|string, "snapshotId"?: string }',
+                    response: 'Session id, creation time and expiry'
+                },
+                {
+                    method: 'GET',
+                    path: '/',
+                    description: 'List sessions with their state, the session limit and the idle timeout',
+                    response: 'Sessions, maxSessions and idleMinutes'
+                },
+                {
+                    method: 'GET',
+                    path: '/:sessionId',
+                    description: 'Describe one session (and keep it alive)',
+                    response: 'Session id, last activity, expiry and whether it is running'
+                },
+                {
+                    method: 'DELETE',
+                    path: '/:sessionId',
+                    description: 'Delete a session, stopping its clock and closing its streams; the default session cannot be deleted',
+                    response: 'Success confirmation'
+                }
+            ]
+        },
+        metrics: {
+            method: 'GET',
+            path: '/metrics',
+            description: 'Prometheus scrape endpoint: link utilization, load, capacity, queue and drops per direction; generated/received per node; packets generated, transmitted and dropped; packet loss; latency, queuing delay and jitter quantiles; simulation step and tick duration. Every series is labelled with its session; gauges also carry the current time slot',
+            response: 'Prometheus text exposition format'
+        }
     });
 });
 
@@ -202,7 +655,10 @@ app.use('*', (req, res) => {
             'GET /health',
             'GET /api/docs',
             'GET /api/simulate/stats',
-            'POST /api/simulate/tick'
+            'POST /api/simulate/tick',
+            'GET /api/sessions',
+            'POST /api/sessions',
+            'GET /metrics'
         ]
     });
 });
@@ -243,6 +699,7 @@ app.use((error, req, res, next) => {
 // Graceful shutdown handling
 const gracefulShutdown = (signal) => {
     console.log(`\n📡 Received ${signal}. Starting graceful shutdown...`);
+    pauseAllSessions();
 
     const server = app.listen(PORT);
 
@@ -1,17 +1,120 @@
 // network.js - Improved Network Traffic Simulator
-const { dijkstra } = require('./utils/dijkstra');
+const { dijkstra, equalCostPaths, kShortestPaths, pathCost } = require('./utils/dijkstra');
+const {
+    DEFAULT_REFERENCE_BANDWIDTH,
+    DEFAULT_LINK_DELAY,
+    ROUTING_METRICS,
+    getLinkCost
+} = require('./utils/linkMetrics');
+const {
+    ROUTING_MODES,
+    LOAD_BALANCING,
+    MAX_PATHS,
+    pickByHash,
+    pickRoundRobin
+} = require('./utils/loadBalancing');
+const {
+    DEFAULT_ADAPTIVE_OPTIONS,
+    validateAdaptiveOptions,
+    updateEstimate,
+    congestionFactor
+} = require('./utils/adaptiveRouting');
+const { ROUTING_PROTOCOLS, PACKET_TTL, topologySignature } = require('./utils/routingProtocols');
+const {
+    DEFAULT_DISTANCE_VECTOR_OPTIONS,
+    validateDistanceVectorOptions,
+    createTables,
+    exchangeVectors
+} = require('./utils/distanceVector');
+const {
+    DEFAULT_LINK_STATE_OPTIONS,
+    validateLinkStateOptions,
+    createLinkStateState,
+    runLinkStateTick,
+    describeDatabase
+} = require('./utils/linkState');
+const {
+    SIMULATION_ENGINES,
+    TICK_DURATION,
+    createEventQueue,
+    pushEvent,
+    popEvent,
+    peekEvent
+} = require('./utils/discreteEvent');
+const {
+    DEFAULT_QUEUE_OPTIONS,
+    validateQueueOptions,
+    validateEffectiveQueueOptions,
+    mergeQueueOptions,
+    createQueueState,
+    admit,
+    evictionIndex,
+    finishTag,
+    nextIndex,
+    enqueue,
+    dequeue
+} = require('./utils/queueDisciplines');
+const {
+    DEFAULT_TRAFFIC_CLASSES,
+    validateTrafficClasses,
+    validatePolicers,
+    policerConforms
+} = require('./utils/trafficClasses');
+const {
+    TRAFFIC_MATRIX_MODES,
+    validateTrafficMatrix,
+    validatePresetOptions,
+    rowSum,
+    scaleRow,
+    evenWeights,
+    buildPresetMatrix,
+    pickWeighted
+} = require('./utils/trafficMatrix');
+const {
+    validateArrivalModel,
+    normalizeArrivalModel,
+    arrivalTimes
+} = require('./utils/arrivalModels');
+const { MAX_SEED, isValidSeed, randomSeed, createRng, nextRandom } = require('./utils/random');
+const {
+    DEFAULT_SCHEDULE_OPTIONS,
+    slotMinute,
+    formatSlot,
+    sortSlots,
+    slotLength,
+    slotAt,
+    validateTrafficRates,
+    validateScheduleOptions,
+    buildSlots,
+    interpolateRates
+} = require('./utils/schedule');
+const {
+    HISTORY_LIMIT,
+    createHistory,
+    recordSample,
+    historyRange,
+    historyEntities,
+    validateHistoryQuery,
+    queryHistory
+} = require('./utils/history');
+const { createLatencyStats, recordLatency, networkLatency, latencyReport } = require('./utils/latency');
+const { TRACE_LIMIT, createTrace, recordTracePacket, traceEntries, traceRange } = require('./utils/traces');
+const { validateExportQuery, packetExportRows, linkExportRows, nodeExportRows } = require('./utils/exports');
+const { SimulationError } = require('./utils/errors');
+const { SCENARIO_VERSION, NODE_ID_PATTERN, validateScenario } = require('./utils/scenario');
 
-const nodes = ['A', 'B', 'C', 'D', 'E'];
+// Network every new simulation starts from
+const DEFAULT_NODES = ['A', 'B', 'C', 'D', 'E'];
 
 // Multiple time slots as shown in assignment sample data
-const trafficRates = {
+const DEFAULT_TRAFFIC_RATES = {
     '08:00': { A: 50, B: 30, C: 40, D: 20, E: 60 },
     '08:15': { A: 55, B: 35, C: 45, D: 25, E: 65 },
     '08:30': { A: 60, B: 40, C: 50, D: 30, E: 70 },
     '08:45': { A: 55, B: 35, C: 45, D: 25, E: 65 }
 };
 
-const links = [
+const DEFAULT_LINKS = [
     { from: 'A', to: 'B', capacity: 100 },
     { from: 'A', to: 'C', capacity: 80 },
     { from: 'B', to: 'D', capacity: 70 },
@@ -20,241 +123,2648 @@ const links = [
     { from: 'D', to: 'E', capacity: 60 }
 ];
 
-let networkState = {
-    currentTime: '08:00',
-    isRunning: false,
-    simulationStep: 0,
-    queues: {},
-    linkLoads: {},
-    packetStats: [],
-    nodeStats: {},
-    totalPacketsGenerated: 0,
-    totalPacketsTransmitted: 0
-};
+// Optional per-link attributes carried through scenarios and topology files.
+// capacity applies from -> to; reverseCapacity (to -> from) defaults to capacity
+const OPTIONAL_LINK_FIELDS = ['reverseCapacity', 'delay', 'cost', 'queue', 'policers'];
+
+// What happens to packets queued on a link when it (or one of its nodes) fails
+const QUEUE_FAILURE_POLICIES = ['drop', 'reroute'];
+
+const MAX_SPEED = 'max';
+const MAX_TICKS_PER_SECOND = 1000;
+
+// In max speed mode the clock runs ticks back to back for this long (ms) before letting
+// requests through
+const MAX_SPEED_BATCH = 50;
+
+// Number of convergence events kept for the stats
+const CONVERGENCE_HISTORY_LIMIT = 20;
+
+// Upper bound on ticks per run when comparing routing modes
+const MAX_COMPARE_TICKS = 500;
+
+// A self-contained simulation: its own topology, traffic, configuration, state and clock.
+// Every session gets one; nothing is shared between them.
+function createSimulation() {
+    const nodes = [...DEFAULT_NODES];
+
+    const trafficRates = JSON.parse(JSON.stringify(DEFAULT_TRAFFIC_RATES));
+
+    // Demand per (source, destination) pair for the time slots that have one. A source with a row
+    // generates the row sum as its rate; sources without one spread their rate evenly.
+    const trafficMatrix = {};
+
+    const links = DEFAULT_LINKS.map(link => ({ ...link }));
+
+    // Time slot the simulation starts from (and returns to on reset)
+    let startTime = '08:00';
+
+    // How time moves through the slots of trafficRates
+    const scheduleConfig = { ...DEFAULT_SCHEDULE_OPTIONS };
+
+    // Active routing metric (see utils/linkMetrics.js) and multipath mode (see utils/loadBalancing.js)
+    const routingConfig = {
+        metric: 'hop',
+        referenceBandwidth: DEFAULT_REFERENCE_BANDWIDTH,
+        mode: 'single',
+        loadBalancing: 'flow',
+        k: 3,
+        flowsPerPair: 8,
+        adaptive: { ...DEFAULT_ADAPTIVE_OPTIONS },
+        protocol: 'oracle',
+        distanceVector: { ...DEFAULT_DISTANCE_VECTOR_OPTIONS },
+        linkState: { ...DEFAULT_LINK_STATE_OPTIONS }
+    };
+
+    // What happens to packets queued on a link when it (or one of its nodes) fails
+    const failureConfig = {
+        queuePolicy: 'drop'
+    };
+
+    // Buffer size and queue discipline of every link direction; links may override any of it
+    const queueConfig = mergeQueueOptions(DEFAULT_QUEUE_OPTIONS);
+
+    // Traffic classes every node's rate is split into, in the order they are listed
+    const trafficClasses = JSON.parse(JSON.stringify(DEFAULT_TRAFFIC_CLASSES));
+
+    // Which engine simulateTick runs; switching engines resets the simulation. Every reset
+    // restarts the random number generator from seed, so a reset replays the same run. While
+    // running, the backend clock ticks `speed` times per second, or as fast as possible for 'max'.
+    const simulationConfig = {
+        engine: 'aggregate',
+        seed: randomSeed(),
+        speed: 0.5
+    };
+
+    // Pending timer of the backend clock and when its next tick is due (ms since the epoch)
+    const clock = { timer: null, nextTickAt: 0 };
+
+    // Called with ('tick', { packets }) after every tick, ('reset') after a reset, ('status')
+    // when the simulation starts, pauses or changes speed and ('closed') once it is disposed of
+    const listeners = new Set();
+
+    // Set while compareRoutingModes replays ticks on a copy of the state; listeners do not see those
+    let replaying = false;
+
+    // Arrival process of every node, unless a node has its own
+    const arrivalConfig = {
+        default: normalizeArrivalModel({ model: 'constant' }),
+        nodes: {}
+    };
+    // Wall-clock time spent computing ticks (seconds), for monitoring; not part of the run's state
+    const tickTiming = { last: 0, total: 0, count: 0 };
+
+    // Per-tick metrics of the current run (see utils/history.js), cleared on reset
+    let history = createHistory();
+
+    // Packets reported in the current run (see utils/traces.js), cleared on reset
+    let trace = createTrace();
+    // Set while a tick is computed, whose step number is only taken once it is done
+    let computingTick = false;
+
+    // Candidate paths per source-destination pair, rebuilt every tick
+    let routeCache = {};
+
+    let networkState = {
+        currentTime: '08:00',
+        isRunning: false,
+        simulationStep: 0,
+        queues: {},
+        linkLoads: {},
+        packetStats: [],
+        nodeStats: {},
+        roundRobin: {},
+        linkCongestion: {},
+        adaptiveRoutes: {},
+        routeFlaps: 0,
+        protocolState: null,
+        failedLinks: {},
+        failedNodes: {},
+        packetsDroppedByFailure: 0,
+        eventState: null,
+        queueStates: {},
+        queuedPackets: {},
+        drops: {},
+        linkDrops: {},
+        classRoundRobin: {},
+        classStats: {},
+        policerBuckets: {},
+        arrivalStates: {},
+        latencyStats: createLatencyStats(),
+        slotTicks: 0,
+        rng: createRng(simulationConfig.seed),
+        totalPacketsGenerated: 0,
+        totalPacketsTransmitted: 0
+    };
+
+    // Initialize network state
+    function initializeNetwork() {
+        networkState.queues = {};
+        networkState.linkLoads = {};
+        networkState.queueStates = {};
+        networkState.queuedPackets = {};
+        networkState.nodeStats = {};
+
+        // Initialize node statistics
+        nodes.forEach(node => {
+            networkState.nodeStats[node] = {
+                packetsGenerated: 0,
+                packetsReceived: 0,
+                currentLoad: 0
+            };
+        });
+
+        // Initialize link loads, one load and queue per direction
+        links.forEach(link => {
+            linkDirections(link).forEach(({ key }) => {
+                networkState.linkLoads[key] = 0;
+                networkState.queues[key] = 0;
+                networkState.queueStates[key] = createQueueState();
+            });
+        });
+
+        networkState.eventState = simulationConfig.engine === 'discrete-event' ? createEventState() : null;
+    }
+
+    // Key of one direction of a link; loads and queues are tracked per direction
+    const directionKey = (from, to) => `${from}-${to}`;
+
+    // Capacity of a link in the direction leaving `from`
+    function directionCapacity(link, from) {
+        if (from === link.from || link.reverseCapacity === undefined) return link.capacity;
+        return link.reverseCapacity;
+    }
+
+    // Both directions of a full-duplex link, declared direction first
+    function linkDirections(link) {
+        return [
+            { from: link.from, to: link.to, key: directionKey(link.from, link.to), capacity: link.capacity },
+            { from: link.to, to: link.from, key: directionKey(link.to, link.from), capacity: directionCapacity(link, link.to) }
+        ];
+    }
+
+    // Every random choice in the simulation draws from the seeded generator
+    const random = () => nextRandom(networkState.rng);
+
+    // Where the traffic itself (arrivals and destinations) draws from. Normally the same generator;
+    // compareRoutingModes gives every run its own copy so the modes see identical traffic even
+    // though they make different random choices (e.g. RED drops) along the way.
+    let trafficRandom = random;
+
+    // Get random destination different from source, weighted by the traffic matrix when it has a row
+    function getRandomDestination(source) {
+        const rows = trafficMatrix[networkState.currentTime];
+        const destination = rows && rows[source] && pickWeighted(rows[source], trafficRandom);
+        if (destination) return destination;
+
+        const availableNodes = nodes.filter(n => n !== source);
+        return availableNodes[Math.floor(trafficRandom() * availableNodes.length)];
+    }
+
+    // Arrival model of a node: its own or the default
+    function getArrivalModel(node) {
+        return arrivalConfig.nodes[node] || arrivalConfig.default;
+    }
+
+    // Arrival offsets (ms into the tick) of a source's packets this tick
+    function tickArrivals(source, rate) {
+        const state = networkState.arrivalStates[source] || (networkState.arrivalStates[source] = {});
+        return arrivalTimes(getArrivalModel(source), rate, TICK_DURATION, state, trafficRandom);
+    }
+
+    function isLinkFailed(link) {
+        return Boolean(networkState.failedLinks[`${link.from}-${link.to}`]) ||
+            Boolean(networkState.failedNodes[link.from]) ||
+            Boolean(networkState.failedNodes[link.to]);
+    }
+
+    // Nodes and links that are up; routing only ever sees these
+    function getActiveTopology() {
+        return {
+            nodes: nodes.filter(node => !networkState.failedNodes[node]),
+            links: links.filter(link => !isLinkFailed(link))
+        };
+    }
+
+    // Process queued packets from previous ticks
+    function processQueuedPackets() {
+        const released = [];
+        links.forEach(link => {
+            if (isLinkFailed(link)) return;
+
+            const options = getQueueOptions(link);
+            linkDirections(link).forEach(({ key, capacity }) => {
+                if (networkState.queues[key] > 0) {
+                    const processable = Math.min(networkState.queues[key], capacity);
+                    networkState.queues[key] -= processable;
+                    const waiting = getWaitingPackets(key);
+                    if (options.discipline !== 'priority' && options.discipline !== 'wfq') {
+                        released.push(...waiting.splice(0, processable));
+                        return;
+                    }
+
+                    // Strict priority and WFQ pick the packets to send in their own order
+                    const state = getQueueState(key);
+                    for (let i = 0; i < processable && waiting.length > 0; i++) {
+                        const [journey] = waiting.splice(nextIndex(waiting, options), 1);
+                        if (options.discipline === 'wfq') state.virtualTime = journey.finish;
+                        released.push(journey);
+                    }
+                }
+            });
+        });
+
+        // Released packets cross their link and carry on along their path. Moving them only once
+        // every queue has been served keeps each packet to one queue per tick.
+        released.forEach(journey => {
+            journey.queueDelays.push(networkState.simulationStep - journey.enqueuedAt);
+            journey.route[journey.route.length - 1].transmitted = true;
+            delete journey.enqueuedAt;
+            journey.hop += 1;
+
+            const outcome = advanceAggregatePacket(journey);
+            if (outcome !== 'queued') finishAggregatePacket(journey, outcome);
+        });
+    }
+
+    // Packets of the aggregate engine waiting in the queue of a link direction, oldest first. Each
+    // carries its priority, and a WFQ finish tag while it waits in a wfq queue.
+    function getWaitingPackets(key) {
+        if (!networkState.queuedPackets[key]) networkState.queuedPackets[key] = [];
+        return networkState.queuedPackets[key];
+    }
+
+    // Move an aggregate-engine packet along its path from its current hop, charging every link it
+    // crosses this tick. Returns 'queued' when it has to wait for a link (it carries on once the
+    // queue drains), the reason it was dropped, or its routing outcome once it reaches the end of
+    // its path (delivered, unless routing sent it nowhere or round in a loop).
+    function advanceAggregatePacket(journey) {
+        const { path } = journey;
+        while (journey.hop < path.length - 1) {
+            const from = path[journey.hop];
+            const to = path[journey.hop + 1];
+            const linkKey = directionKey(from, to);
+
+            const result = updateLinkLoad(from, to, journey);
+            journey.route.push({ from, to, transmitted: result === 'sent', linkKey });
+            if (result === 'queued') {
+                journey.enqueuedAt = networkState.simulationStep;
+                const options = getQueueOptions(links[findLinkIndex(from, to)]);
+                if (options.discipline === 'wfq') {
+                    journey.finish = finishTag(getQueueState(linkKey), options, journey.priority || 0);
+                }
+                getWaitingPackets(linkKey).push(journey);
+                return 'queued';
+            }
+            if (result !== 'sent') return result;
+
+            journey.queueDelays.push(0);
+            journey.hop += 1;
+        }
+
+        if (journey.routeOutcome !== 'delivered') recordDrop(journey.routeOutcome);
+        return journey.routeOutcome;
+    }
+
+    // Packet record of the stats for an aggregate-engine packet
+    function aggregatePacketRecord(journey, outcome) {
+        const { id, source, destination, path, pathIndex, flowId, trafficClass, dscp, priority, createdAt } = journey;
+        return {
+            id,
+            source,
+            destination,
+            path,
+            pathIndex,
+            flowId,
+            trafficClass,
+            dscp,
+            priority,
+            route: journey.route.map(hop => ({ ...hop })),
+            transmitted: outcome === 'delivered',
+            outcome,
+            timestamp: createdAt
+        };
+    }
+
+    // An aggregate-engine packet leaves the network, delivered or dropped
+    function finishAggregatePacket(journey, outcome) {
+        const packet = aggregatePacketRecord(journey, outcome);
+        if (packet.transmitted) {
+            // Ticks between the one the packet was created in and the one it arrived in
+            packet.latency = networkState.simulationStep - journey.createdAt;
+            packet.queueDelays = [...journey.queueDelays];
+            networkState.nodeStats[journey.destination].packetsReceived += 1;
+            networkState.totalPacketsTransmitted += 1;
+            recordLatency(networkState.latencyStats, packet);
+        }
+        reportPacket(packet);
+        recordClassOutcome(packet);
+    }
+
+    // Effective queue options of a link: the defaults with the link's own overrides on top
+    function getQueueOptions(link) {
+        return mergeQueueOptions(queueConfig, link.queue);
+    }
+
+    function getQueueState(key) {
+        if (!networkState.queueStates[key]) networkState.queueStates[key] = createQueueState();
+        return networkState.queueStates[key];
+    }
+
+    // Count a dropped packet by reason, and per link direction when it died on a link
+    function recordDrop(reason, linkKey, count = 1) {
+        networkState.drops[reason] = (networkState.drops[reason] || 0) + count;
+        if (linkKey) {
+            const linkDrops = networkState.linkDrops[linkKey] || (networkState.linkDrops[linkKey] = {});
+            linkDrops[reason] = (linkDrops[reason] || 0) + count;
+        }
+    }
+
+    // Class of the next packet from a source: smooth weighted round robin over the class
+    // shares, so classes interleave and match their shares exactly over time
+    function pickTrafficClass(source) {
+        const names = Object.keys(trafficClasses);
+        const state = networkState.classRoundRobin[source] || (networkState.classRoundRobin[source] = {});
+        const trafficClass = names[pickRoundRobin(names.map(name => trafficClasses[name].share), state)];
+        const { dscp = 0, priority = 0 } = trafficClasses[trafficClass];
+        return { trafficClass, dscp, priority };
+    }
+
+    function getClassStats(trafficClass) {
+        if (!networkState.classStats[trafficClass]) {
+            networkState.classStats[trafficClass] = {
+                packetsGenerated: 0,
+                packetsDelivered: 0,
+                packetsDropped: 0,
+                drops: {},
+                latencyTotal: 0,
+                latencySamples: 0
+            };
+        }
+        return networkState.classStats[trafficClass];
+    }
+
+    // Add a packet record to the stats of the tick and to the run's trace. Packets reported between
+    // ticks (e.g. dropped by a failure) are traced under the last tick.
+    function reportPacket(packet) {
+        networkState.packetStats.push(packet);
+        if (!replaying) {
+            recordTracePacket(trace, packet, networkState.simulationStep + (computingTick ? 1 : 0));
+        }
+    }
+
+    // Count a finished packet against its class, with its latency in ticks like the latency stats
+    function recordClassOutcome(packet) {
+        const stats = getClassStats(packet.trafficClass);
+        if (packet.outcome === 'delivered') {
+            stats.packetsDelivered += 1;
+            if (packet.latency !== undefined) {
+                stats.latencyTotal += packet.latency;
+                stats.latencySamples += 1;
+            }
+        } else if (packet.outcome !== 'congested') {
+            stats.packetsDropped += 1;
+            stats.drops[packet.outcome] = (stats.drops[packet.outcome] || 0) + 1;
+        }
+    }
+
+    // Per-class policer of a link direction; false when the packet exceeds it at time `now` (ms)
+    function policePacket(link, linkKey, trafficClass, now) {
+        const policer = link.policers && link.policers[trafficClass];
+        if (!policer) return true;
+
+        const bucketKey = `${linkKey}:${trafficClass}`;
+        const bucket = networkState.policerBuckets[bucketKey] || (networkState.policerBuckets[bucketKey] = {});
+        return policerConforms(bucket, policer, now);
+    }
+
+    // Charge one packet to the from -> to direction of a link. Returns 'sent', 'queued' when
+    // the direction is at capacity, or the reason the packet was dropped (policed, or refused
+    // by the buffer). Under strict priority a full buffer drops a waiting lower-priority packet
+    // instead, when it holds one.
+    function updateLinkLoad(from, to, { trafficClass, priority = 0 } = {}) {
+        const index = findLinkIndex(from, to);
+        if (index === -1) return 'blackhole';
+
+        const link = links[index];
+        const linkKey = directionKey(from, to);
+        const capacity = directionCapacity(link, from);
+        const currentLoad = networkState.linkLoads[linkKey] || 0;
+
+        if (!policePacket(link, linkKey, trafficClass, networkState.simulationStep * TICK_DURATION)) {
+            recordDrop('policed', linkKey);
+            return 'policed';
+        }
+
+        if (currentLoad < capacity) {
+            networkState.linkLoads[linkKey] = currentLoad + 1;
+            return 'sent';
+        }
+
+        // Congestion: queue the packet if the buffer admits it
+        const queued = networkState.queues[linkKey] || 0;
+        const options = getQueueOptions(link);
+        const reason = admit(getQueueState(linkKey), options, queued, priority, random);
+        if (reason === 'buffer-overflow' && options.discipline === 'priority') {
+            // Strict priority makes room by pushing out a lower-priority packet instead
+            const waiting = getWaitingPackets(linkKey);
+            const victim = evictionIndex(waiting, priority);
+            if (victim !== -1) {
+                recordDrop(reason, linkKey);
+                finishAggregatePacket(waiting.splice(victim, 1)[0], reason);
+                return 'queued';
+            }
+        }
+        if (reason) {
+            recordDrop(reason, linkKey);
+            return reason;
+        }
+        networkState.queues[linkKey] = queued + 1;
+        return 'queued';
+    }
+
+    // Utilization and queue depth of one direction of a link right now, relative to its capacity
+    function sampleCongestion(link, from, to) {
+        const linkKey = directionKey(from, to);
+        const capacity = directionCapacity(link, from);
+        return {
+            utilization: (networkState.linkLoads[linkKey] || 0) / capacity,
+            queueRatio: (networkState.queues[linkKey] || 0) / capacity
+        };
+    }
+
+    // Fold this tick's load into the smoothed congestion estimate of every link direction
+    function updateCongestionEstimates() {
+        const estimates = {};
+        links.forEach(link => {
+            linkDirections(link).forEach(({ from, to, key }) => {
+                estimates[key] = updateEstimate(
+                    networkState.linkCongestion[key],
+                    sampleCongestion(link, from, to),
+                    routingConfig.adaptive.smoothing
+                );
+            });
+        });
+        networkState.linkCongestion = estimates;
+    }
+
+    // Base metric cost scaled by the congestion of the direction being traversed; per-packet
+    // mode also blends in the live in-tick load
+    function adaptiveLinkCost(link, from, to) {
+        const options = routingConfig.adaptive;
+        let estimate = networkState.linkCongestion[directionKey(from, to)];
+
+        if (options.granularity === 'packet') {
+            estimate = updateEstimate(estimate, sampleCongestion(link, from, to), options.smoothing);
+        }
+
+        return getLinkCost(link, routingConfig, from) * congestionFactor(estimate, options);
+    }
+
+    // Adaptive route for a pair: only move off the current path when the best one is
+    // cheaper by more than the hysteresis margin, and count every such move as a flap
+    function selectAdaptivePath(source, destination) {
+        const pairKey = `${source}-${destination}`;
+        const active = getActiveTopology();
+        if (!active.nodes.includes(source) || !active.nodes.includes(destination)) return [];
+        const best = dijkstra(active.nodes, active.links, source, destination, adaptiveLinkCost);
+        if (best.length < 2) return [];
+
+        const current = networkState.adaptiveRoutes[pairKey];
+        if (!current) {
+            networkState.adaptiveRoutes[pairKey] = { path: best, flaps: 0 };
+            return best;
+        }
+
+        // The current path costs NaN if one of its links has been removed or has failed
+        const currentCost = pathCost(current.path, active.links, adaptiveLinkCost);
+        const bestCost = pathCost(best, active.links, adaptiveLinkCost);
+        const samePath = current.path.join('-') === best.join('-');
+
+        if (Number.isFinite(currentCost)) {
+            if (samePath || bestCost >= currentCost * (1 - routingConfig.adaptive.hysteresis)) {
+                return current.path;
+            }
+            current.flaps += 1;
+            networkState.routeFlaps += 1;
+        }
+
+        current.path = best;
+        return best;
+    }
+
+    // Candidate paths between two nodes under the active metric and mode, with split weights
+    function computeCandidatePaths(source, destination) {
+        const getWeight = (link, from) => getLinkCost(link, routingConfig, from);
+        const { nodes: activeNodes, links: activeLinks } = getActiveTopology();
+        if (!activeNodes.includes(source) || !activeNodes.includes(destination)) return [];
+
+        if (routingConfig.mode === 'adaptive') {
+            const path = dijkstra(activeNodes, activeLinks, source, destination, adaptiveLinkCost);
+            return path.length < 2 ? [] : [{ path, cost: pathCost(path, activeLinks, adaptiveLinkCost), weight: 1 }];
+        }
+
+        if (routingConfig.mode === 'ecmp') {
+            return equalCostPaths(activeNodes, activeLinks, source, destination, getWeight, MAX_PATHS)
+                .map(({ path, cost }) => ({ path, cost, weight: 1 }));
+        }
+
+        if (routingConfig.mode === 'ksp') {
+            // Weighted splitting: cheaper paths carry proportionally more traffic
+            return kShortestPaths(activeNodes, activeLinks, source, destination, routingConfig.k, getWeight)
+                .map(({ path, cost }) => ({ path, cost, weight: 1 / Math.max(cost, 1e-9) }));
+        }
+
+        const path = dijkstra(activeNodes, activeLinks, source, destination, getWeight);
+        return path.length < 2 ? [] : [{ path, cost: pathCost(path, activeLinks, getWeight), weight: 1 }];
+    }
+
+    // Pick the path for one packet; flowId identifies the flow for per-flow hashing
+    function selectPath(source, destination, flowId) {
+        const pairKey = `${source}-${destination}`;
+
+        if (routingConfig.mode === 'adaptive') {
+            if (routingConfig.adaptive.granularity === 'packet' || !routeCache[pairKey]) {
+                routeCache[pairKey] = selectAdaptivePath(source, destination);
+            }
+            const path = routeCache[pairKey];
+            return { path, pathIndex: path.length < 2 ? -1 : 0 };
+        }
+
+        if (!routeCache[pairKey]) {
+            routeCache[pairKey] = computeCandidatePaths(source, destination);
+        }
+
+        const candidates = routeCache[pairKey];
+        if (candidates.length === 0) return { path: [], pathIndex: -1 };
+        if (candidates.length === 1) return { path: candidates[0].path, pathIndex: 0 };
+
+        const weights = candidates.map(c => c.weight);
+        let pathIndex;
+        if (routingConfig.loadBalancing === 'packet') {
+            networkState.roundRobin[pairKey] = networkState.roundRobin[pairKey] || {};
+            pathIndex = pickRoundRobin(weights, networkState.roundRobin[pairKey]);
+        } else {
+            pathIndex = pickByHash(weights, `${pairKey}-${flowId}`);
+        }
+
+        return { path: candidates[pathIndex].path, pathIndex };
+    }
+
+    // Protocol state (routing tables, convergence tracking), created when the protocol starts
+    function ensureProtocolState() {
+        const state = networkState.protocolState;
+        if (state && state.protocol === routingConfig.protocol) return state;
+
+        // Link-state tables fill in as LSAs arrive; distance-vector nodes start knowing themselves
+        const active = getActiveTopology();
+        networkState.protocolState = {
+            protocol: routingConfig.protocol,
+            tables: createTables(nodes),
+            linkState: routingConfig.protocol === 'link-state' ? createLinkStateState(nodes) : null,
+            rounds: 0,
+            signature: topologySignature(active.nodes, active.links, link => getLinkCost(link, routingConfig)),
+            lastTopologyChange: networkState.simulationStep,
+            lastTableChange: networkState.simulationStep,
+            converged: false,
+            convergedAt: null,
+            convergenceTicks: null,
+            convergenceHistory: []
+        };
+        return networkState.protocolState;
+    }
+
+    // Run the active routing protocol's timers and notice topology changes
+    function runRoutingProtocol() {
+        if (routingConfig.protocol === 'oracle') return;
+
+        const step = networkState.simulationStep;
+        const getCost = (link, from) => getLinkCost(link, routingConfig, from);
+        const state = ensureProtocolState();
+
+        // Protocols only observe the elements that are up, so failures trigger reconvergence
+        const active = getActiveTopology();
+        const signature = topologySignature(active.nodes, active.links, getCost);
+        if (signature !== state.signature) {
+            state.signature = signature;
+            state.lastTopologyChange = step;
+            state.converged = false;
+        }
+
+        let tablesChanged;
+        let pending = false;
+
+        if (routingConfig.protocol === 'link-state') {
+            ({ tablesChanged, pending } = runLinkStateTick(
+                state.linkState, state.tables, active.nodes, active.links, getCost, step, routingConfig.linkState
+            ));
+        } else {
+            if (step % routingConfig.distanceVector.updateInterval !== 0) return;
+            tablesChanged = exchangeVectors(
+                state.tables, active.nodes, active.links, getCost, routingConfig.distanceVector
+            );
+        }
+        state.rounds += 1;
+
+        if (tablesChanged) {
+            state.lastTableChange = step;
+            state.converged = false;
+        } else if (!pending && !state.converged) {
+            // A quiet round means the tables settled at the last round that changed anything
+            state.converged = true;
+            state.convergedAt = Math.max(state.lastTableChange, state.lastTopologyChange);
+            state.convergenceTicks = state.convergedAt - state.lastTopologyChange;
+            state.convergenceHistory.push({
+                topologyChangedAt: state.lastTopologyChange,
+                convergedAt: state.convergedAt,
+                convergenceTicks: state.convergenceTicks
+            });
+            if (state.convergenceHistory.length > CONVERGENCE_HISTORY_LIMIT) {
+                state.convergenceHistory.shift();
+            }
+        }
+    }
+
+    // Distance-vector keeps unreachable routes at its infinity metric; link-state drops them
+    function isRouteReachable(route) {
+        if (!route) return false;
+        return routingConfig.protocol !== 'distance-vector' || route.metric < routingConfig.distanceVector.infinity;
+    }
+
+    // Next hop a node's own routing table gives for a destination, or null if it has none
+    function getProtocolNextHop(node, destination) {
+        const table = networkState.protocolState && networkState.protocolState.tables[node];
+        const route = table && table[destination];
+        return isRouteReachable(route) ? route.nextHop : null;
+    }
+
+    // Forward a packet hop by hop. Returns the path actually taken and its outcome:
+    // delivered, blackhole (no route, next hop unreachable or failed) or loop (TTL expired)
+    function forwardHopByHop(source, destination, getNextHop) {
+        const path = [source];
+        let current = source;
+
+        while (current !== destination) {
+            if (path.length > PACKET_TTL) {
+                return { path, outcome: 'loop' };
+            }
+
+            const nextHop = getNextHop(current, destination);
+            const linkIndex = nextHop ? findLinkIndex(current, nextHop) : -1;
+            if (linkIndex === -1 || isLinkFailed(links[linkIndex])) {
+                return { path, outcome: 'blackhole' };
+            }
+
+            path.push(nextHop);
+            current = nextHop;
+        }
+
+        return { path, outcome: 'delivered' };
+    }
+
+    // Convergence summary of the active routing protocol (null for the oracle)
+    function getConvergenceInfo() {
+        const state = networkState.protocolState;
+        if (routingConfig.protocol === 'oracle' || !state) return null;
+
+        return {
+            rounds: state.rounds,
+            converged: state.converged,
+            lastTopologyChange: state.lastTopologyChange,
+            convergedAt: state.convergedAt,
+            convergenceTicks: state.convergenceTicks,
+            history: [...state.convergenceHistory]
+        };
+    }
+
+    // Path and initial outcome for a new packet under the active routing protocol
+    function routePacket(source, destination, flowId) {
+        if (routingConfig.protocol === 'oracle') {
+            const { path, pathIndex } = selectPath(source, destination, flowId);
+            return path.length < 2
+                ? { path: [source], pathIndex, outcome: 'blackhole' }
+                : { path, pathIndex, outcome: 'delivered' };
+        }
+
+        const { path, outcome } = forwardHopByHop(source, destination, getProtocolNextHop);
+        return { path, pathIndex: 0, outcome };
+    }
+
+    // ---------------------------------------------------------------------------
+    // Discrete-event engine
+    // ---------------------------------------------------------------------------
+
+    // Event clock (ms), pending events, packets in the network and per-direction transmitters
+    function createEventState() {
+        return {
+            clock: networkState.simulationStep * TICK_DURATION,
+            queue: createEventQueue(),
+            packets: {},
+            transmitters: {},
+            nextPacketId: 0
+        };
+    }
+
+    function getTransmitter(key) {
+        const transmitters = networkState.eventState.transmitters;
+        if (!transmitters[key]) transmitters[key] = { busy: null };
+        return transmitters[key];
+    }
+
+    function scheduleEvent(type, time, fields) {
+        pushEvent(networkState.eventState.queue, { type, time, ...fields });
+    }
+
+    // A packet leaves the network: delivered, or dropped with the given outcome
+    // (on the given link direction, if it died on one)
+    function finishPacket(packet, outcome, linkKey) {
+        const events = networkState.eventState;
+        delete events.packets[packet.id];
+
+        packet.outcome = outcome;
+        packet.transmitted = outcome === 'delivered';
+        if (packet.transmitted) {
+            packet.deliveredAt = events.clock;
+            // In ticks, like the aggregate engine, but with the event clock's resolution
+            packet.latency = (packet.deliveredAt - packet.createdAt) / TICK_DURATION;
+            packet.queueDelays = packet.route.map(hop => (hop.startedAt - hop.enqueuedAt) / TICK_DURATION);
+            const destinationStats = networkState.nodeStats[packet.destination];
+            if (destinationStats) destinationStats.packetsReceived += 1;
+            networkState.totalPacketsTransmitted += 1;
+            recordLatency(networkState.latencyStats, packet);
+        } else {
+            recordDrop(outcome, linkKey);
+        }
+        reportPacket(packet);
+        recordClassOutcome(packet);
+    }
+
+    // Drop a packet caught on a link that failed or was removed
+    function dropForFailure(packet, linkKey) {
+        networkState.packetsDroppedByFailure += 1;
+        finishPacket(packet, 'link-down', linkKey);
+    }
+
+    // Current hop of a packet and the link it crosses (null when the link no longer exists)
+    function packetHop(packet) {
+        const from = packet.path[packet.hop];
+        const to = packet.path[packet.hop + 1];
+        const index = findLinkIndex(from, to);
+        return { from, to, key: directionKey(from, to), link: index === -1 ? null : links[index] };
+    }
+
+    const EVENT_HANDLERS = {
+        // A packet is generated at its source and routed
+        arrival({ source, index }) {
+            const events = networkState.eventState;
+            const destination = getRandomDestination(source);
+            const flowId = index % routingConfig.flowsPerPair;
+            const marking = pickTrafficClass(source);
+            const { path, pathIndex, outcome } = routePacket(source, destination, flowId);
+
+            const packet = {
+                id: `${source}-${destination}-${events.nextPacketId++}`,
+                source,
+                destination,
+                path,
+                pathIndex,
+                flowId,
+                ...marking,
+                route: [],
+                hop: 0,
+                transmitted: false,
+                outcome: null,
+                timestamp: networkState.simulationStep,
+                createdAt: events.clock,
+                deliveredAt: null
+            };
+
+            getClassStats(packet.trafficClass).packetsGenerated += 1;
+            if (outcome !== 'delivered') {
+                finishPacket(packet, outcome);
+                return;
+            }
+            events.packets[packet.id] = packet;
+            scheduleEvent('enqueue', events.clock, { packetId: packet.id });
+        },
+
+        // The packet joins the output queue of the next link direction on its path
+        enqueue({ packetId }) {
+            const events = networkState.eventState;
+            const packet = events.packets[packetId];
+            if (!packet) return;
+
+            const { from, to, key, link } = packetHop(packet);
+            if (!link || isLinkFailed(link)) {
+                dropForFailure(packet, key);
+                return;
+            }
+
+            if (!policePacket(link, key, packet.trafficClass, events.clock)) {
+                finishPacket(packet, 'policed', key);
+                return;
+            }
+
+            const { reason, evicted } = enqueue(getQueueState(key), getQueueOptions(link), packet, random);
+            if (evicted && events.packets[evicted.id]) {
+                finishPacket(events.packets[evicted.id], 'buffer-overflow', key);
+            }
+            if (reason) {
+                finishPacket(packet, reason, key);
+                return;
+            }
+
+            packet.route.push({ from, to, linkKey: key, transmitted: false, enqueuedAt: events.clock });
+            if (!getTransmitter(key).busy) scheduleEvent('start-transmit', events.clock, { key });
+        },
+
+        // An idle transmitter takes the next packet the queue discipline picks; serialization
+        // takes 1 / capacity seconds
+        'start-transmit'({ key }) {
+            const events = networkState.eventState;
+            const transmitter = getTransmitter(key);
+            const queue = getQueueState(key);
+            if (transmitter.busy || queue.entries.length === 0) return;
+
+            const [from, to] = key.split('-');
+            const index = findLinkIndex(from, to);
+            const entry = dequeue(queue, index === -1 ? queueConfig : getQueueOptions(links[index]));
+            const packet = events.packets[entry.id];
+            if (!packet) {
+                scheduleEvent('start-transmit', events.clock, { key });
+                return;
+            }
+
+            const { link } = packetHop(packet);
+            if (!link || isLinkFailed(link)) {
+                dropForFailure(packet, key);
+                scheduleEvent('start-transmit', events.clock, { key });
+                return;
+            }
+
+            transmitter.busy = packet.id;
+            packet.route[packet.route.length - 1].startedAt = events.clock;
+            scheduleEvent('depart', events.clock + TICK_DURATION / directionCapacity(link, from), { key, packetId: packet.id });
+        },
+
+        // The last bit leaves the transmitter; the packet starts propagating along the link
+        depart({ key, packetId }) {
+            const events = networkState.eventState;
+            const transmitter = getTransmitter(key);
+            transmitter.busy = null;
+            if (getQueueState(key).entries.length > 0) scheduleEvent('start-transmit', events.clock, { key });
+
+            const packet = events.packets[packetId];
+            if (!packet) return;
+
+            const { link } = packetHop(packet);
+            if (!link || isLinkFailed(link)) {
+                dropForFailure(packet, key);
+                return;
+            }
+
+            networkState.linkLoads[key] = (networkState.linkLoads[key] || 0) + 1;
+            packet.route[packet.route.length - 1].departedAt = events.clock;
+            const delay = link.delay === undefined ? DEFAULT_LINK_DELAY : link.delay;
+            scheduleEvent('propagate', events.clock + delay, { packetId });
+        },
+
+        // The packet reaches the far end of the link: delivered, or on to the next hop
+        propagate({ packetId }) {
+            const events = networkState.eventState;
+            const packet = events.packets[packetId];
+            if (!packet) return;
+
+            const hop = packet.route[packet.route.length - 1];
+            hop.transmitted = true;
+            hop.arrivedAt = events.clock;
+            packet.hop += 1;
+
+            if (packet.hop === packet.path.length - 1) {
+                finishPacket(packet, 'delivered');
+            } else {
+                scheduleEvent('enqueue', events.clock, { packetId });
+            }
+        }
+    };
+
+    // Empty the queues of a link that failed or was removed. Reroute recomputes each packet's
+    // path from the node it is waiting at; anything without a detour is dropped.
+    function flushEventQueues(link, policy) {
+        const events = networkState.eventState;
+        const result = { dropped: 0, rerouted: 0 };
+
+        linkDirections(link).forEach(({ from, key }) => {
+            const waiting = getQueueState(key).entries.splice(0).map(entry => events.packets[entry.id]).filter(Boolean);
+
+            waiting.forEach(packet => {
+                if (policy === 'reroute') {
+                    const detour = routePacket(from, packet.destination, packet.flowId);
+                    if (detour.outcome === 'delivered') {
+                        packet.route.pop();
+                        packet.path = [...packet.path.slice(0, packet.hop), ...detour.path];
+                        scheduleEvent('enqueue', events.clock, { packetId: packet.id });
+                        result.rerouted += 1;
+                        return;
+                    }
+                }
+                dropForFailure(packet, key);
+                result.dropped += 1;
+            });
+        });
+
+        return result;
+    }
+
+    // Rewrite a renamed node in the packets in flight, the transmitters and the pending events
+    function renameEventNode(renamed) {
+        const events = networkState.eventState;
+        const renamedKey = key => key.split('-').map(renamed).join('-');
+
+        Object.values(events.packets).forEach(packet => {
+            packet.source = renamed(packet.source);
+            packet.destination = renamed(packet.destination);
+            packet.path = packet.path.map(renamed);
+            packet.route.forEach(hop => {
+                hop.from = renamed(hop.from);
+                hop.to = renamed(hop.to);
+                hop.linkKey = directionKey(hop.from, hop.to);
+            });
+        });
+        const transmitters = {};
+        Object.entries(events.transmitters).forEach(([key, transmitter]) => {
+            transmitters[renamedKey(key)] = transmitter;
+        });
+        events.transmitters = transmitters;
+        events.queue.heap.forEach(event => {
+            if (event.key) event.key = renamedKey(event.key);
+            if (event.source) event.source = renamed(event.source);
+        });
+    }
+
+    // Drop every packet in flight whose remaining path goes through a node being removed,
+    // counting it on the link direction it was on
+    function dropEventPacketsThrough(id) {
+        Object.values(networkState.eventState.packets).forEach(packet => {
+            if (!packet.path.slice(packet.hop).includes(id)) return;
+            dropForFailure(packet, directionKey(packet.path[packet.hop], packet.path[packet.hop + 1]));
+        });
+    }
+
+    // Discrete-event tick: schedule this tick's arrivals, then run every event due before
+    // the end of the tick
+    function simulateEventTick() {
+        const currentRates = getCurrentRates();
+        if (!currentRates) return;
+
+        const events = networkState.eventState;
+        const tickEnd = (networkState.simulationStep + 1) * TICK_DURATION;
+        networkState.linkLoads = {};
+        networkState.packetStats = [];
+        routeCache = {};
+        let tickPacketsGenerated = 0;
+
+        runRoutingProtocol();
+
+        // Place each source's packets in the tick according to its arrival model
+        Object.entries(currentRates).forEach(([source, rate]) => {
+            if (networkState.failedNodes[source]) {
+                networkState.nodeStats[source].currentLoad = 0;
+                return;
+            }
+
+            const times = tickArrivals(source, rate);
+            networkState.nodeStats[source].packetsGenerated += times.length;
+            networkState.nodeStats[source].currentLoad = times.length;
+            tickPacketsGenerated += times.length;
+
+            times.forEach((offset, i) => {
+                scheduleEvent('arrival', events.clock + offset, { source, index: i });
+            });
+        });
+
+        while (peekEvent(events.queue) && peekEvent(events.queue).time < tickEnd) {
+            const event = popEvent(events.queue);
+            events.clock = event.time;
+            EVENT_HANDLERS[event.type](event);
+        }
+        events.clock = tickEnd;
+
+        // Mirror the queue lengths into the shared stats fields
+        Object.keys(networkState.queues).forEach(key => {
+            networkState.queues[key] = getQueueState(key).entries.length;
+        });
+
+        updateCongestionEstimates();
+        networkState.totalPacketsGenerated += tickPacketsGenerated;
+        networkState.simulationStep += 1;
+    }
+
+    // Main simulation step
+    function simulateTick() {
+        const started = process.hrtime.bigint();
+        computingTick = true;
+        try {
+            if (simulationConfig.engine === 'discrete-event') {
+                simulateEventTick();
+            } else {
+                simulateAggregateTick();
+            }
+        } finally {
+            computingTick = false;
+        }
+        if (!replaying) {
+            recordHistory();
+            tickTiming.last = Number(process.hrtime.bigint() - started) / 1e9;
+            tickTiming.total += tickTiming.last;
+            tickTiming.count += 1;
+        }
+
+        if (scheduleConfig.ticksPerSlot > 0) {
+            networkState.slotTicks += 1;
+            if (networkState.slotTicks >= scheduleConfig.ticksPerSlot) advanceTimeSlot();
+        }
+
+        if (!replaying) notifyListeners('tick', { packets: networkState.packetStats });
+    }
+
+    // ---------------------------------------------------------------------------
+    // Aggregate engine
+    // ---------------------------------------------------------------------------
+
+    // Aggregate tick: every packet is charged to all links of its path within the tick
+    function simulateAggregateTick() {
+        const currentRates = getCurrentRates();
+        if (!currentRates) return;
+
+        // Reset current tick data
+        networkState.linkLoads = {};
+        networkState.packetStats = [];
+        routeCache = {};
+        let tickPacketsGenerated = 0;
+
+        // Process queued packets from previous ticks first
+        processQueuedPackets();
+        runRoutingProtocol();
+
+        // Generate new traffic for each node
+        Object.entries(currentRates).forEach(([source, rate]) => {
+            // A failed node generates nothing
+            if (networkState.failedNodes[source]) {
+                networkState.nodeStats[source].currentLoad = 0;
+                return;
+            }
+
+            // The arrival model decides how many packets the source sends this tick
+            const count = tickArrivals(source, rate).length;
+            networkState.nodeStats[source].packetsGenerated += count;
+            networkState.nodeStats[source].currentLoad = count;
+            tickPacketsGenerated += count;
+
+            // Generate packets from this source
+            for (let i = 0; i < count; i++) {
+                const destination = getRandomDestination(source);
+                const flowId = i % routingConfig.flowsPerPair;
+                const marking = pickTrafficClass(source);
+                const { path, pathIndex, outcome: routeOutcome } = routePacket(source, destination, flowId);
+                getClassStats(marking.trafficClass).packetsGenerated += 1;
+
+                // The packet as it travels; it stays tied to whichever queue it waits in
+                const journey = {
+                    id: `${source}-${destination}-${networkState.simulationStep}-${i}`,
+                    source,
+                    destination,
+                    path,
+                    pathIndex,
+                    flowId,
+                    ...marking,
+                    routeOutcome,
+                    hop: 0,
+                    route: [],
+                    queueDelays: [],
+                    createdAt: networkState.simulationStep
+                };
+
+                const outcome = advanceAggregatePacket(journey);
+                if (outcome === 'queued') {
+                    // Reported now as congested, and again once it is delivered or dropped
+                    reportPacket(aggregatePacketRecord(journey, 'congested'));
+                } else {
+                    finishAggregatePacket(journey, outcome);
+                }
+            }
+        });
+
+        updateCongestionEstimates();
+        networkState.totalPacketsGenerated += tickPacketsGenerated;
+        networkState.simulationStep += 1;
+    }
+
+    // Configuration and generated/delivered/dropped/latency figures of every traffic class
+    function getClassSummary() {
+        const summary = {};
+        Object.entries(trafficClasses).forEach(([name, settings]) => {
+            const stats = getClassStats(name);
+            summary[name] = {
+                ...settings,
+                packetsGenerated: stats.packetsGenerated,
+                packetsDelivered: stats.packetsDelivered,
+                packetsDropped: stats.packetsDropped,
+                deliveryRatio: stats.packetsGenerated > 0
+                    ? (stats.packetsDelivered / stats.packetsGenerated * 100).toFixed(2)
+                    : null,
+                averageLatency: stats.latencySamples > 0
+                    ? Math.round(stats.latencyTotal / stats.latencySamples * 1000) / 1000
+                    : null,
+                drops: { ...stats.drops }
+            };
+        });
+        return summary;
+    }
+
+    // Get comprehensive network statistics
+    function getNetworkStats() {
+        const linkStats = links.map(link => {
+            const queueOptions = getQueueOptions(link);
+            const directions = linkDirections(link).map(({ from, to, key, capacity }) => {
+                const currentLoad = networkState.linkLoads[key] || 0;
+                const queueSize = networkState.queues[key] || 0;
+                return {
+                    from,
+                    to,
+                    capacity,
+                    currentLoad,
+                    utilization: (currentLoad / capacity * 100).toFixed(2),
+                    queueSize,
+                    routingCost: getLinkCost(link, routingConfig, from),
+                    congested: currentLoad >= capacity || queueSize > 0,
+                    drops: { ...networkState.linkDrops[key] }
+                };
+            });
+
+            // Link-level load and utilization are those of the busier direction; the queue
+            // covers both directions
+            const busiest = parseFloat(directions[1].utilization) > parseFloat(directions[0].utilization)
+                ? directions[1]
+                : directions[0];
+
+            return {
+                from: link.from,
+                to: link.to,
+                capacity: link.capacity,
+                ...(link.reverseCapacity !== undefined && { reverseCapacity: link.reverseCapacity }),
+                failed: isLinkFailed(link),
+                ...(link.delay !== undefined && { delay: link.delay }),
+                ...(link.cost !== undefined && { cost: link.cost }),
+                routingCost: getLinkCost(link, routingConfig),
+                discipline: queueOptions.discipline,
+                bufferSize: queueOptions.bufferSize,
+                currentLoad: busiest.currentLoad,
+                utilization: busiest.utilization,
+                queueSize: directions[0].queueSize + directions[1].queueSize,
+                congested: directions.some(direction => direction.congested),
+                directions
+            };
+        });
+
+        return {
+            currentTime: networkState.currentTime,
+            timeOfDay: getTimeOfDay(),
+            simulationStep: networkState.simulationStep,
+            isRunning: networkState.isRunning,
+            engine: simulationConfig.engine,
+            seed: simulationConfig.seed,
+            speed: simulationConfig.speed,
+            ...(networkState.eventState && { clock: networkState.eventState.clock }),
+            routing: {
+                ...getRoutingConfig(),
+                routeFlaps: networkState.routeFlaps,
+                convergence: getConvergenceInfo()
+            },
+            nodes: nodes.map(node => ({
+                id: node,
+                failed: Boolean(networkState.failedNodes[node]),
+                arrivalModel: getArrivalModel(node).model,
+                ...networkState.nodeStats[node]
+            })),
+            links: linkStats,
+            classes: getClassSummary(),
+            packets: networkState.packetStats,
+            summary: {
+                totalPacketsGenerated: networkState.totalPacketsGenerated,
+                totalPacketsTransmitted: networkState.totalPacketsTransmitted,
+                packetLoss: networkState.totalPacketsGenerated > 0
+                    ? ((networkState.totalPacketsGenerated - networkState.totalPacketsTransmitted) / networkState.totalPacketsGenerated * 100).toFixed(2)
+                    : 0,
+                averageQueueSize: Object.values(networkState.queues).reduce((a, b) => a + b, 0) / (links.length * 2 || 1),
+                failedLinks: Object.keys(networkState.failedLinks).length,
+                failedNodes: Object.keys(networkState.failedNodes).length,
+                packetsDroppedByFailure: networkState.packetsDroppedByFailure,
+                drops: { ...networkState.drops },
+                latency: networkLatency(networkState.latencyStats),
+                ...(networkState.eventState && {
+                    packetsInFlight: Object.keys(networkState.eventState.packets).length
+                })
+            },
+            failures: getFailures()
+        };
+    }
+
+    // Whether the server-side clock is ticking the simulation
+    function isRunning() {
+        return networkState.isRunning;
+    }
+
+    // How long ticks take to compute: the last one, and the total over all ticks so far
+    function getTickTiming() {
+        return { ...tickTiming };
+    }
+
+    // Delay percentiles of delivered packets network-wide and per source-destination pair,
+    // optionally only the pairs from a source and/or to a destination
+    function getLatencyStats({ source, destination } = {}) {
+        if (source !== undefined) requireNode(source);
+        if (destination !== undefined) requireNode(destination);
+
+        const report = latencyReport(networkState.latencyStats);
+        return {
+            ...report,
+            pairs: report.pairs.filter(pair =>
+                (source === undefined || pair.source === source) &&
+                (destination === undefined || pair.destination === destination))
+        };
+    }
+
+    // ---------------------------------------------------------------------------
+    // Metrics history
+    // ---------------------------------------------------------------------------
+
+    // Cumulative counters the per-tick counts of the history are taken from
+    function historyTotals() {
+        const nodeTotals = {};
+        nodes.forEach(node => {
+            const { packetsGenerated, packetsReceived } = networkState.nodeStats[node] || {};
+            nodeTotals[node] = { generated: packetsGenerated || 0, received: packetsReceived || 0 };
+        });
+        return {
+            nodes: nodeTotals,
+            generated: networkState.totalPacketsGenerated,
+            transmitted: networkState.totalPacketsTransmitted,
+            drops: Object.values(networkState.drops).reduce((a, b) => a + b, 0)
+        };
+    }
+
+    // Record the tick that just ran: link directions, nodes and the summary
+    function recordHistory() {
+        const totals = historyTotals();
+        const previous = history.totals || { nodes: {}, generated: 0, transmitted: 0, drops: 0 };
+        // Counters that went down were reset (e.g. by a topology change) and count from zero
+        const since = (now, before = 0) => (now >= before ? now - before : now);
+
+        const linkValues = {};
+        links.forEach(link => {
+            linkDirections(link).forEach(({ key, capacity }) => {
+                const load = networkState.linkLoads[key] || 0;
+                linkValues[key] = {
+                    load,
+                    utilization: Math.round(load / capacity * 10000) / 100,
+                    queue: networkState.queues[key] || 0
+                };
+            });
+        });
+
+        const nodeValues = {};
+        nodes.forEach(node => {
+            const before = previous.nodes[node] || {};
+            nodeValues[node] = {
+                generated: since(totals.nodes[node].generated, before.generated),
+                received: since(totals.nodes[node].received, before.received)
+            };
+        });
+
+        recordSample(history, {
+            step: networkState.simulationStep,
+            time: networkState.currentTime,
+            link: linkValues,
+            node: nodeValues,
+            summary: {
+                generated: since(totals.generated, previous.generated),
+                transmitted: since(totals.transmitted, previous.transmitted),
+                drops: since(totals.drops, previous.drops),
+                packetLoss: totals.generated > 0
+                    ? Math.round((totals.generated - totals.transmitted) / totals.generated * 10000) / 100
+                    : 0,
+                averageQueueSize: Object.values(networkState.queues).reduce((a, b) => a + b, 0) / (links.length * 2 || 1)
+            }
+        });
+        history.totals = totals;
+    }
+
+    // One metric over a range of steps, for the given entities (link directions or nodes) or all
+    // of them
+    function getHistory({ metric, entities, from, to, points }) {
+        const errors = validateHistoryQuery({ metric, from, to, points });
+        if (errors.length > 0) {
+            throw new SimulationError('Invalid history query', 400, errors);
+        }
+
+        const available = historyEntities(history, metric);
+        const requested = metric.startsWith('summary.') || !entities || entities.length === 0
+            ? available
+            : entities;
+        const unknown = requested.filter(entity => !available.includes(entity));
+        if (unknown.length > 0) {
+            throw new SimulationError(`No ${metric} history for ${unknown.join(', ')}; recorded: ${available.join(', ') || 'none'}`, 404);
+        }
+        return queryHistory(history, { metric, entities: requested, from, to, points });
+    }
+
+    // Rows of an export ('packets', 'links' or 'nodes') between two steps, optionally only for some
+    // entities, with the range of steps still kept ({ from, to, truncated }). Packets come from
+    // the trace, link and node statistics from the history; the rows are produced one at a time,
+    // from copies of those lists taken now. Asking for steps that were already discarded is an
+    // error rather than a silently shorter export.
+    function exportRows(kind, query) {
+        const errors = validateExportQuery(kind, query);
+        if (errors.length > 0) {
+            throw new SimulationError('Invalid export query', 400, errors);
+        }
+
+        const range = kind === 'packets' ? traceRange(trace) : historyRange(history);
+        if (range.truncated && query.from !== undefined && query.from < range.from) {
+            const kept = kind === 'packets' ? `the last ${TRACE_LIMIT} packet reports` : `the last ${HISTORY_LIMIT} ticks`;
+            throw new SimulationError(`Steps before ${range.from} are no longer kept (only ${kept} are)`, 400, { retained: range });
+        }
+
+        if (kind === 'packets') return { range, rows: packetExportRows(traceEntries(trace), query) };
+        const samples = history.samples.slice();
+        return { range, rows: kind === 'links' ? linkExportRows(samples, query) : nodeExportRows(samples, query) };
+    }
+
+    // ---------------------------------------------------------------------------
+    // Backend clock
+    // ---------------------------------------------------------------------------
+
+    // Register a listener for ticks, resets and start/pause; returns a function that removes it
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    function notifyListeners(type, payload) {
+        listeners.forEach(listener => listener(type, payload));
+    }
+
+    function stopClock() {
+        clearTimeout(clock.timer);
+        clock.timer = null;
+    }
+
+    function scheduleClock() {
+        stopClock();
+        if (simulationConfig.speed === MAX_SPEED) {
+            clock.timer = setTimeout(runClock, 0);
+            return;
+        }
+        // Ticks are due at fixed intervals, so time spent inside a tick does not add up as drift
+        const interval = 1000 / simulationConfig.speed;
+        clock.nextTickAt = Math.max(clock.nextTickAt + interval, Date.now());
+        clock.timer = setTimeout(runClock, clock.nextTickAt - Date.now());
+    }
+
+    function runClock() {
+        clock.timer = null;
+        if (!networkState.isRunning) return;
+
+        try {
+            if (simulationConfig.speed === MAX_SPEED) {
+                const batchEnd = Date.now() + MAX_SPEED_BATCH;
+                do {
+                    simulateTick();
+                } while (networkState.isRunning && Date.now() < batchEnd);
+            } else {
+                simulateTick();
+            }
+        } catch (error) {
+            // A failing tick stops the clock instead of taking the server down
+            console.error('Simulation tick failed, pausing:', error);
+            pauseSimulation();
+            return;
+        }
+        if (networkState.isRunning) scheduleClock();
+    }
+
+    // Ticks per second of the backend clock, or 'max' to run as fast as possible
+    function setSimulationSpeed(speed) {
+        if (speed !== MAX_SPEED && (!Number.isFinite(speed) || speed <= 0 || speed > MAX_TICKS_PER_SECOND)) {
+            throw new SimulationError(`Speed must be a number of ticks per second (> 0, <= ${MAX_TICKS_PER_SECOND}) or '${MAX_SPEED}'`);
+        }
+        simulationConfig.speed = speed;
+        if (networkState.isRunning) {
+            clock.nextTickAt = Date.now();
+            scheduleClock();
+        }
+        notifyListeners('status');
+    }
+
+    // Simulation control functions; an engine given here switches engines first, and a seed
+    // starts a fresh run from that seed. The backend clock then drives the ticks; starting a
+    // running simulation changes nothing.
+    function startSimulation(engine, seed) {
+        if (engine !== undefined && engine !== simulationConfig.engine) {
+            setSimulationEngine(engine);
+        }
+        if (seed !== undefined) {
+            resetSimulation(seed);
+        }
+        if (networkState.isRunning) return;
+
+        networkState.isRunning = true;
+        if (networkState.simulationStep === 0) initializeNetwork();
+        clock.nextTickAt = Date.now();
+        scheduleClock();
+        notifyListeners('status');
+    }
+
+    // Select the aggregate or discrete-event engine and reset the simulation
+    function setSimulationEngine(engine) {
+        if (!SIMULATION_ENGINES.includes(engine)) {
+            throw new SimulationError(`Engine must be one of ${SIMULATION_ENGINES.join(', ')}`);
+        }
+        simulationConfig.engine = engine;
+        resetSimulation();
+    }
+
+    function pauseSimulation() {
+        networkState.isRunning = false;
+        stopClock();
+        notifyListeners('status');
+    }
+
+    // Reset the simulation; a seed given here is kept for later resets
+    function resetSimulation(seed) {
+        if (seed !== undefined) {
+            if (!isValidSeed(seed)) {
+                throw new SimulationError(`Seed must be an integer between 0 and ${MAX_SEED}`);
+            }
+            simulationConfig.seed = seed;
+        }
+        networkState.isRunning = false;
+        stopClock();
+        networkState.simulationStep = 0;
+        networkState.currentTime = startTime;
+        networkState.slotTicks = 0;
+        networkState.totalPacketsGenerated = 0;
+        networkState.totalPacketsTransmitted = 0;
+        networkState.roundRobin = {};
+        networkState.linkCongestion = {};
+        networkState.adaptiveRoutes = {};
+        networkState.routeFlaps = 0;
+        networkState.protocolState = null;
+        networkState.failedLinks = {};
+        networkState.failedNodes = {};
+        networkState.packetsDroppedByFailure = 0;
+        networkState.drops = {};
+        networkState.linkDrops = {};
+        networkState.classRoundRobin = {};
+        networkState.classStats = {};
+        networkState.policerBuckets = {};
+        networkState.arrivalStates = {};
+        networkState.latencyStats = createLatencyStats();
+        networkState.rng = createRng(simulationConfig.seed);
+        history = createHistory();
+        trace = createTrace();
+        initializeNetwork();
+        notifyListeners('reset');
+    }
+
+    // Update traffic generation rates (for dynamic control)
+    function updateTrafficRates(nodeId, newRate) {
+        const slot = networkState.currentTime;
+        if (nodes.includes(nodeId) && trafficRates[slot]) {
+            trafficRates[slot][nodeId] = newRate;
+            // Keep the rate the row sum of the traffic matrix, preserving the row's proportions
+            const rows = trafficMatrix[slot];
+            if (rows && rows[nodeId]) {
+                const row = Object.keys(rows[nodeId]).length > 0 ? rows[nodeId] : evenWeights(nodes, nodeId);
+                rows[nodeId] = scaleRow(row, newRate);
+            }
+            return true;
+        }
+        return false;
+    }
+
+    function requireTimeSlot(slot) {
+        if (!(slot in trafficRates)) {
+            throw new SimulationError(`Time slot ${slot} not found`, 404);
+        }
+    }
+
+    // Make the rate of every source with a matrix row in a slot equal to the row sum
+    function syncMatrixRates(slot) {
+        Object.entries(trafficMatrix[slot] || {}).forEach(([source, row]) => {
+            trafficRates[slot][source] = rowSum(row);
+        });
+    }
+
+    // Effective traffic matrix of a time slot (the current one by default): configured rows plus
+    // the even split of every other source's rate
+    function getTrafficMatrix(slot = networkState.currentTime) {
+        requireTimeSlot(slot);
+        const rows = trafficMatrix[slot] || {};
+        const matrix = {};
+        nodes.forEach(source => {
+            matrix[source] = rows[source]
+                ? { ...rows[source] }
+                : scaleRow(evenWeights(nodes, source), trafficRates[slot][source] || 0);
+        });
+        return {
+            slot,
+            matrix,
+            rates: { ...trafficRates[slot] },
+            configured: Object.keys(rows)
+        };
+    }
+
+    // Set the rows of a slot's traffic matrix; sources not mentioned keep their row. In weights mode
+    // each row is scaled to the source's current rate, in demand mode the row sum becomes the rate.
+    function setTrafficMatrix(matrix, { slot = networkState.currentTime, mode = 'demand' } = {}) {
+        requireTimeSlot(slot);
+        if (!TRAFFIC_MATRIX_MODES.includes(mode)) {
+            throw new SimulationError(`Invalid mode. Available: ${TRAFFIC_MATRIX_MODES.join(', ')}`);
+        }
+        const errors = validateTrafficMatrix(matrix, nodes);
+        if (errors.length > 0) throw new SimulationError('Invalid traffic matrix', 400, errors);
+
+        const rows = trafficMatrix[slot] || (trafficMatrix[slot] = {});
+        Object.entries(matrix).forEach(([source, row]) => {
+            rows[source] = mode === 'weights'
+                ? scaleRow(Object.keys(row).length > 0 ? row : evenWeights(nodes, source), trafficRates[slot][source] || 0)
+                : { ...row };
+        });
+        syncMatrixRates(slot);
+    }
+
+    // Set the demand of one (source, destination) pair
+    function setMatrixDemand(source, destination, demand, slot = networkState.currentTime) {
+        requireNode(source);
+        requireNode(destination);
+        requireTimeSlot(slot);
+        const errors = validateTrafficMatrix({ [source]: { [destination]: demand } }, nodes);
+        if (errors.length > 0) throw new SimulationError('Invalid demand', 400, errors);
+
+        const rows = trafficMatrix[slot] || (trafficMatrix[slot] = {});
+        if (!rows[source]) rows[source] = getTrafficMatrix(slot).matrix[source];
+        rows[source][destination] = demand;
+        syncMatrixRates(slot);
+    }
+
+    // Fill the traffic matrix of one slot, or of every slot, from a preset keeping each node's rate
+    function applyTrafficMatrixPreset(preset, options = {}, slot = networkState.currentTime) {
+        const slots = slot === 'all' ? Object.keys(trafficRates) : [slot];
+        slots.forEach(requireTimeSlot);
+        const errors = validatePresetOptions(preset, options, nodes);
+        if (errors.length > 0) throw new SimulationError('Invalid preset options', 400, errors);
+
+        slots.forEach(s => {
+            trafficMatrix[s] = buildPresetMatrix(preset, nodes, trafficRates[s], options);
+            syncMatrixRates(s);
+        });
+        return slots;
+    }
+
+    // Drop the traffic matrix of a slot; its rates stay and are spread evenly again
+    function clearTrafficMatrix(slot = networkState.currentTime) {
+        requireTimeSlot(slot);
+        delete trafficMatrix[slot];
+    }
+
+    // Update link capacity (for dynamic control). newCapacity applies from -> to; the
+    // to -> from direction gets reverseCapacity, or the same capacity when it is omitted
+    function updateLinkCapacity(from, to, newCapacity, reverseCapacity = newCapacity) {
+        const index = findLinkIndex(from, to);
+        if (index === -1) return false;
+
+        const link = links[index];
+        const [forward, reverse] = link.from === from
+            ? [newCapacity, reverseCapacity]
+            : [reverseCapacity, newCapacity];
+
+        link.capacity = forward;
+        if (reverse === forward) {
+            delete link.reverseCapacity;
+        } else {
+            link.reverseCapacity = reverse;
+        }
+        return true;
+    }
+
+    // Find a link between two nodes regardless of the direction it was declared in
+    function findLinkIndex(from, to) {
+        return links.findIndex(l =>
+            (l.from === from && l.to === to) || (l.from === to && l.to === from)
+        );
+    }
+
+    function validateNodeId(id) {
+        if (typeof id !== 'string' || !NODE_ID_PATTERN.test(id)) {
+            throw new SimulationError('Node id must be a non-empty string of letters, digits or underscores');
+        }
+    }
+
+    function requireNode(id) {
+        if (!nodes.includes(id)) {
+            throw new SimulationError(`Node ${id} not found`, 404);
+        }
+    }
 
-// Initialize network state
-function initializeNetwork() {
-    networkState.queues = {};
-    networkState.linkLoads = {};
-    networkState.nodeStats = {};
+    // Add a node to the running topology with the same rate in every time slot
+    function addNode(id, rate = 0) {
+        validateNodeId(id);
+        if (nodes.includes(id)) {
+            throw new SimulationError(`Node ${id} already exists`, 409);
+        }
 
-    // Initialize node statistics
-    nodes.forEach(node => {
-        networkState.nodeStats[node] = {
+        nodes.push(id);
+        networkState.nodeStats[id] = {
             packetsGenerated: 0,
             packetsReceived: 0,
             currentLoad: 0
         };
-    });
+        Object.values(trafficRates).forEach(slotRates => {
+            slotRates[id] = rate;
+        });
+    }
 
-    // Initialize link loads
-    links.forEach(link => {
-        const linkKey = `${link.from}-${link.to}`;
-        networkState.linkLoads[linkKey] = 0;
-        networkState.queues[linkKey] = 0;
-    });
-}
+    // Rename a node, rewriting every link, link key and time-slot entry that uses it
+    function renameNode(oldId, newId) {
+        requireNode(oldId);
+        validateNodeId(newId);
+        if (oldId === newId) return;
+        if (nodes.includes(newId)) {
+            throw new SimulationError(`Node ${newId} already exists`, 409);
+        }
 
-// Get random destination different from source
-function getRandomDestination(source) {
-    const availableNodes = nodes.filter(n => n !== source);
-    return availableNodes[Math.floor(Math.random() * availableNodes.length)];
-}
+        nodes[nodes.indexOf(oldId)] = newId;
+        networkState.nodeStats[newId] = networkState.nodeStats[oldId];
+        delete networkState.nodeStats[oldId];
+        if (networkState.failedNodes[oldId]) {
+            networkState.failedNodes[newId] = networkState.failedNodes[oldId];
+            delete networkState.failedNodes[oldId];
+        }
+        if (arrivalConfig.nodes[oldId]) {
+            arrivalConfig.nodes[newId] = arrivalConfig.nodes[oldId];
+            delete arrivalConfig.nodes[oldId];
+        }
+        if (networkState.arrivalStates[oldId]) {
+            networkState.arrivalStates[newId] = networkState.arrivalStates[oldId];
+            delete networkState.arrivalStates[oldId];
+        }
+
+        links.forEach(link => {
+            if (link.from !== oldId && link.to !== oldId) return;
+
+            const oldDirections = linkDirections(link);
+            const oldKey = oldDirections[0].key;
+            if (link.from === oldId) link.from = newId;
+            if (link.to === oldId) link.to = newId;
+            const newDirections = linkDirections(link);
+            const newKey = newDirections[0].key;
+
+            oldDirections.forEach((direction, index) => {
+                const key = newDirections[index].key;
+                networkState.queues[key] = networkState.queues[direction.key] || 0;
+                networkState.linkLoads[key] = networkState.linkLoads[direction.key] || 0;
+                networkState.queueStates[key] = getQueueState(direction.key);
+                networkState.queuedPackets[key] = getWaitingPackets(direction.key);
+                delete networkState.queues[direction.key];
+                delete networkState.linkLoads[direction.key];
+                delete networkState.queueStates[direction.key];
+                delete networkState.queuedPackets[direction.key];
+                if (networkState.linkDrops[direction.key]) {
+                    networkState.linkDrops[key] = networkState.linkDrops[direction.key];
+                    delete networkState.linkDrops[direction.key];
+                }
+            });
+            if (networkState.failedLinks[oldKey]) {
+                networkState.failedLinks[newKey] = networkState.failedLinks[oldKey];
+                delete networkState.failedLinks[oldKey];
+            }
+        });
+
+        // Packets waiting in queues and the delay figures of pairs follow the new id
+        const renamed = id => (id === oldId ? newId : id);
+        Object.values(networkState.queuedPackets).forEach(waiting => {
+            waiting.forEach(journey => {
+                journey.source = renamed(journey.source);
+                journey.destination = renamed(journey.destination);
+                journey.path = journey.path.map(renamed);
+                journey.route.forEach(hop => {
+                    hop.from = renamed(hop.from);
+                    hop.to = renamed(hop.to);
+                    hop.linkKey = directionKey(hop.from, hop.to);
+                });
+            });
+        });
+        if (networkState.eventState) renameEventNode(renamed);
+        const pairs = {};
+        Object.entries(networkState.latencyStats.pairs).forEach(([pairKey, pair]) => {
+            pairs[pairKey.split('-').map(renamed).join('-')] = pair;
+        });
+        networkState.latencyStats.pairs = pairs;
 
-// Process queued packets from previous ticks
-function processQueuedPackets() {
-    Object.keys(networkState.queues).forEach(linkKey => {
-        if (networkState.queues[linkKey] > 0) {
-            const link = links.find(l => `${l.from}-${l.to}` === linkKey);
-            if (link) {
-                const processable = Math.min(networkState.queues[linkKey], link.capacity);
-                networkState.queues[linkKey] -= processable;
-                networkState.totalPacketsTransmitted += processable;
+        Object.values(trafficRates).forEach(slotRates => {
+            if (oldId in slotRates) {
+                slotRates[newId] = slotRates[oldId];
+                delete slotRates[oldId];
+            }
+        });
+        Object.values(trafficMatrix).forEach(rows => {
+            if (rows[oldId]) {
+                rows[newId] = rows[oldId];
+                delete rows[oldId];
             }
+            Object.values(rows).forEach(row => {
+                if (oldId in row) {
+                    row[newId] = row[oldId];
+                    delete row[oldId];
+                }
+            });
+        });
+    }
+
+    // Remove a node together with every link attached to it
+    function removeNode(id) {
+        requireNode(id);
+
+        if (networkState.eventState) dropEventPacketsThrough(id);
+        links
+            .filter(l => l.from === id || l.to === id)
+            .forEach(l => removeLink(l.from, l.to));
+
+        nodes.splice(nodes.indexOf(id), 1);
+        delete networkState.nodeStats[id];
+        delete networkState.failedNodes[id];
+        delete arrivalConfig.nodes[id];
+        delete networkState.arrivalStates[id];
+        Object.values(trafficRates).forEach(slotRates => {
+            delete slotRates[id];
+        });
+        // Demand towards the removed node disappears from its sources' rates
+        Object.entries(trafficMatrix).forEach(([slot, rows]) => {
+            delete rows[id];
+            Object.values(rows).forEach(row => {
+                delete row[id];
+            });
+            syncMatrixRates(slot);
+        });
+    }
+
+    // Validate optional link metrics: delay (ms) may be zero, an admin cost must be positive
+    function validateLinkMetrics({ delay, cost }) {
+        if (delay !== undefined && (!Number.isFinite(delay) || delay < 0)) {
+            throw new SimulationError('Delay must be a number (>= 0)');
+        }
+        if (cost !== undefined && (!Number.isFinite(cost) || cost <= 0)) {
+            throw new SimulationError('Cost must be a number (> 0)');
+        }
+    }
+
+    // Add a link between two existing nodes; reverseCapacity, delay and cost are optional
+    function addLink(from, to, capacity, metrics = {}) {
+        requireNode(from);
+        requireNode(to);
+        if (from === to) {
+            throw new SimulationError('A link must connect two different nodes');
+        }
+        if (!Number.isFinite(capacity) || capacity <= 0) {
+            throw new SimulationError('Valid capacity (> 0) is required');
+        }
+        if (metrics.reverseCapacity !== undefined &&
+            (!Number.isFinite(metrics.reverseCapacity) || metrics.reverseCapacity <= 0)) {
+            throw new SimulationError('Reverse capacity must be a number (> 0)');
+        }
+        if (metrics.queue !== undefined) {
+            let errors = validateQueueOptions(metrics.queue);
+            if (errors.length === 0) errors = validateEffectiveQueueOptions(mergeQueueOptions(queueConfig, metrics.queue));
+            if (errors.length > 0) throw new SimulationError('Invalid queue options', 400, errors);
+        }
+        if (metrics.policers !== undefined) {
+            const errors = validatePolicers(metrics.policers, Object.keys(trafficClasses));
+            if (errors.length > 0) throw new SimulationError('Invalid policers', 400, errors);
+        }
+        validateLinkMetrics(metrics);
+        if (findLinkIndex(from, to) !== -1) {
+            throw new SimulationError(`Link between ${from} and ${to} already exists`, 409);
         }
-    });
-}
 
-// Calculate link utilization and handle congestion
-function updateLinkLoad(linkKey, packets) {
-    const link = links.find(l => `${l.from}-${l.to}` === linkKey);
-    if (!link) return false;
+        const link = copyLink({ from, to, capacity, ...metrics });
+        links.push(link);
+        linkDirections(link).forEach(({ key }) => {
+            networkState.linkLoads[key] = 0;
+            networkState.queues[key] = 0;
+            networkState.queueStates[key] = createQueueState();
+        });
+    }
 
-    const currentLoad = networkState.linkLoads[linkKey] || 0;
-    const newLoad = currentLoad + packets;
+    // Remove a link and drop whatever was queued on it
+    function removeLink(from, to) {
+        const index = findLinkIndex(from, to);
+        if (index === -1) {
+            throw new SimulationError(`Link between ${from} and ${to} not found`, 404);
+        }
 
-    if (newLoad > link.capacity) {
-        // Congestion: queue excess packets
-        const excess = newLoad - link.capacity;
-        networkState.queues[linkKey] = (networkState.queues[linkKey] || 0) + excess;
-        networkState.linkLoads[linkKey] = link.capacity;
-        return false; // Indicates congestion
-    } else {
-        networkState.linkLoads[linkKey] = newLoad;
-        return true; // No congestion
+        const [link] = links.splice(index, 1);
+        handleFailedLinkQueue(link, 'drop');
+        linkDirections(link).forEach(({ key }) => {
+            delete networkState.linkLoads[key];
+            delete networkState.queues[key];
+            delete networkState.queueStates[key];
+            delete networkState.queuedPackets[key];
+            delete networkState.linkDrops[key];
+        });
+        delete networkState.failedLinks[`${link.from}-${link.to}`];
+    }
+
+    // Update the admin cost and/or propagation delay of a link
+    function updateLinkMetrics(from, to, metrics) {
+        const index = findLinkIndex(from, to);
+        if (index === -1) {
+            throw new SimulationError(`Link between ${from} and ${to} not found`, 404);
+        }
+        validateLinkMetrics(metrics);
+
+        ['cost', 'delay'].forEach(field => {
+            if (metrics[field] !== undefined) links[index][field] = metrics[field];
+        });
     }
-}
 
-// Main simulation step
-function simulateTick() {
-    const currentRates = trafficRates[networkState.currentTime];
-    if (!currentRates) return;
+    // Select the routing metric; referenceBandwidth only matters for inverse-capacity
+    function setRoutingMetric(metric, referenceBandwidth) {
+        if (!ROUTING_METRICS[metric]) {
+            throw new SimulationError(`Unknown routing metric ${metric} (expected one of ${Object.keys(ROUTING_METRICS).join(', ')})`);
+        }
+        if (referenceBandwidth !== undefined && (!Number.isFinite(referenceBandwidth) || referenceBandwidth <= 0)) {
+            throw new SimulationError('Reference bandwidth must be a number (> 0)');
+        }
+
+        routingConfig.metric = metric;
+        if (referenceBandwidth !== undefined) {
+            routingConfig.referenceBandwidth = referenceBandwidth;
+        }
+    }
 
-    // Reset current tick data
-    networkState.linkLoads = {};
-    networkState.packetStats = [];
-    let tickPacketsGenerated = 0;
+    // Copy of the routing configuration that callers may keep or modify
+    function getRoutingConfig() {
+        return {
+            ...routingConfig,
+            adaptive: { ...routingConfig.adaptive },
+            distanceVector: { ...routingConfig.distanceVector },
+            linkState: { ...routingConfig.linkState }
+        };
+    }
 
-    // Process queued packets from previous ticks first
-    processQueuedPackets();
+    // Select single-path, ECMP, k-shortest-path or adaptive routing and how traffic is split
+    function setRoutingMode(mode, { loadBalancing, k, flowsPerPair, adaptive } = {}) {
+        if (!ROUTING_MODES.includes(mode)) {
+            throw new SimulationError(`Unknown routing mode ${mode} (expected one of ${ROUTING_MODES.join(', ')})`);
+        }
+        if (loadBalancing !== undefined && !LOAD_BALANCING.includes(loadBalancing)) {
+            throw new SimulationError(`Load balancing must be one of ${LOAD_BALANCING.join(', ')}`);
+        }
+        if (k !== undefined && (!Number.isInteger(k) || k < 1 || k > MAX_PATHS)) {
+            throw new SimulationError(`k must be an integer between 1 and ${MAX_PATHS}`);
+        }
+        if (flowsPerPair !== undefined && (!Number.isInteger(flowsPerPair) || flowsPerPair < 1)) {
+            throw new SimulationError('flowsPerPair must be a positive integer');
+        }
+        if (adaptive !== undefined) {
+            const errors = validateAdaptiveOptions(adaptive);
+            if (errors.length > 0) {
+                throw new SimulationError(errors.join('; '));
+            }
+        }
 
-    // Generate new traffic for each node
-    Object.entries(currentRates).forEach(([source, rate]) => {
-        networkState.nodeStats[source].packetsGenerated += rate;
-        networkState.nodeStats[source].currentLoad = rate;
-        tickPacketsGenerated += rate;
+        routingConfig.mode = mode;
+        if (adaptive !== undefined) Object.assign(routingConfig.adaptive, adaptive);
+        if (loadBalancing !== undefined) routingConfig.loadBalancing = loadBalancing;
+        if (k !== undefined) routingConfig.k = k;
+        if (flowsPerPair !== undefined) routingConfig.flowsPerPair = flowsPerPair;
+        networkState.roundRobin = {};
+    }
 
-        // Generate packets from this source
-        for (let i = 0; i < rate; i++) {
-            const destination = getRandomDestination(source);
-            const path = dijkstra(nodes, links, source, destination);
+    // Choose how forwarding decisions are made: global oracle or a simulated routing protocol
+    function setRoutingProtocol(protocol, { distanceVector, linkState } = {}) {
+        if (!ROUTING_PROTOCOLS.includes(protocol)) {
+            throw new SimulationError(`Unknown routing protocol ${protocol} (expected one of ${ROUTING_PROTOCOLS.join(', ')})`);
+        }
+        const errors = [
+            ...(distanceVector !== undefined ? validateDistanceVectorOptions(distanceVector) : []),
+            ...(linkState !== undefined ? validateLinkStateOptions(linkState) : [])
+        ];
+        if (errors.length > 0) {
+            throw new SimulationError(errors.join('; '));
+        }
+
+        if (distanceVector !== undefined) Object.assign(routingConfig.distanceVector, distanceVector);
+        if (linkState !== undefined) Object.assign(routingConfig.linkState, linkState);
+        if (protocol !== routingConfig.protocol) {
+            routingConfig.protocol = protocol;
+            // Tables are rebuilt from scratch, so the protocol starts converging now
+            networkState.protocolState = null;
+        }
+    }
+
+    // Routing table of one node under the active protocol; the oracle's table is derived
+    // from the paths it would hand out
+    function getRoutingTable(nodeId) {
+        requireNode(nodeId);
+
+        let routes;
+        if (routingConfig.protocol === 'oracle') {
+            routes = nodes
+                .filter(destination => destination !== nodeId)
+                .map(destination => {
+                    const [best] = computeCandidatePaths(nodeId, destination);
+                    return {
+                        destination,
+                        nextHop: best ? best.path[1] : null,
+                        metric: best ? best.cost : null,
+                        reachable: Boolean(best)
+                    };
+                });
+        } else {
+            const table = ensureProtocolState().tables[nodeId] || {};
+            routes = Object.entries(table)
+                .filter(([destination]) => destination !== nodeId)
+                .map(([destination, route]) => ({
+                    destination,
+                    nextHop: isRouteReachable(route) ? route.nextHop : null,
+                    metric: route.metric,
+                    reachable: isRouteReachable(route)
+                }));
+        }
 
-            if (path.length < 2) continue;
+        const state = networkState.protocolState;
+        return {
+            node: nodeId,
+            protocol: routingConfig.protocol,
+            routes,
+            convergence: getConvergenceInfo(),
+            ...(routingConfig.protocol === 'link-state' && state && {
+                linkStateDatabase: describeDatabase(state.linkState, nodeId)
+            })
+        };
+    }
+
+    // Run identical traffic through each routing mode, starting from the current state,
+    // and report how each fared. The live simulation is left untouched.
+    function compareRoutingModes(modes, ticks) {
+        if (!Array.isArray(modes) || modes.length < 2 || modes.some(mode => !ROUTING_MODES.includes(mode))) {
+            throw new SimulationError(`Modes must list at least two of ${ROUTING_MODES.join(', ')}`);
+        }
+        if (!Number.isInteger(ticks) || ticks < 1 || ticks > MAX_COMPARE_TICKS) {
+            throw new SimulationError(`Ticks must be an integer between 1 and ${MAX_COMPARE_TICKS}`);
+        }
 
-            let packetTransmitted = true;
-            const packetRoute = [];
+        const savedState = JSON.parse(JSON.stringify(networkState));
+        const savedConfig = getRoutingConfig();
+        replaying = true;
 
-            // Simulate packet transmission through each link in path
-            for (let j = 0; j < path.length - 1; j++) {
-                const from = path[j];
-                const to = path[j + 1];
-                const linkKey = `${from}-${to}`;
+        try {
+            const results = modes.map(mode => {
+                networkState = JSON.parse(JSON.stringify(savedState));
+                routingConfig.mode = mode;
 
-                // Check if link can handle this packet
-                const transmitted = updateLinkLoad(linkKey, 1);
-                packetRoute.push({ from, to, transmitted, linkKey });
+                // Every run draws its traffic from the same starting point of its own generator
+                const trafficRng = { ...savedState.rng };
+                trafficRandom = () => nextRandom(trafficRng);
 
-                if (!transmitted) {
-                    packetTransmitted = false;
+                let peakUtilization = 0;
+                let congestedLinkTicks = 0;
+                for (let t = 0; t < ticks; t++) {
+                    simulateTick();
+                    getNetworkStats().links.forEach(link => {
+                        peakUtilization = Math.max(peakUtilization, parseFloat(link.utilization));
+                        if (link.congested) congestedLinkTicks += 1;
+                    });
                 }
-            }
 
-            // Record packet statistics
-            networkState.packetStats.push({
-                id: `${source}-${destination}-${i}`,
-                source,
-                destination,
-                path,
-                route: packetRoute,
-                transmitted: packetTransmitted,
-                timestamp: networkState.simulationStep
+                const generated = networkState.totalPacketsGenerated - savedState.totalPacketsGenerated;
+                const transmitted = networkState.totalPacketsTransmitted - savedState.totalPacketsTransmitted;
+                const queued = Object.values(networkState.queues).reduce((a, b) => a + b, 0);
+
+                return {
+                    mode,
+                    packetsGenerated: generated,
+                    packetsTransmitted: transmitted,
+                    packetLoss: generated > 0 ? ((generated - transmitted) / generated * 100).toFixed(2) : 0,
+                    packetsQueued: queued,
+                    peakUtilization: peakUtilization.toFixed(2),
+                    congestedLinkTicks,
+                    routeFlaps: networkState.routeFlaps - savedState.routeFlaps
+                };
             });
 
-            if (packetTransmitted) {
-                networkState.nodeStats[destination].packetsReceived += 1;
-                networkState.totalPacketsTransmitted += 1;
-            }
+            return { ticks, results };
+        } finally {
+            networkState = savedState;
+            Object.assign(routingConfig, savedConfig);
+            trafficRandom = random;
+            routeCache = {};
+            replaying = false;
         }
-    });
+    }
 
-    networkState.totalPacketsGenerated += tickPacketsGenerated;
-    networkState.simulationStep += 1;
-}
+    // Candidate paths the router would use between two nodes right now
+    function getCandidatePaths(source, destination) {
+        requireNode(source);
+        requireNode(destination);
+        return computeCandidatePaths(source, destination);
+    }
+
+    // Copy only the configuration fields of a link
+    function copyLink(link) {
+        const copy = { from: link.from, to: link.to, capacity: link.capacity };
+        OPTIONAL_LINK_FIELDS.forEach(field => {
+            if (link[field] === undefined) return;
+            copy[field] = typeof link[field] === 'object' ? JSON.parse(JSON.stringify(link[field])) : link[field];
+        });
+        return copy;
+    }
+
+    function getTrafficClasses() {
+        return JSON.parse(JSON.stringify(trafficClasses));
+    }
+
+    // Replace the set of traffic classes; per-class counters start over
+    function setTrafficClasses(classes) {
+        const errors = validateTrafficClasses(classes);
+        if (errors.length > 0) throw new SimulationError('Invalid traffic classes', 400, errors);
+
+        Object.keys(trafficClasses).forEach(name => delete trafficClasses[name]);
+        Object.entries(classes).forEach(([name, { share, dscp = 0, priority = 0 }]) => {
+            trafficClasses[name] = { share, dscp, priority };
+        });
+        networkState.classRoundRobin = {};
+        networkState.classStats = {};
+    }
+
+    // Police traffic classes on one link (per direction); null removes every policer
+    function setLinkPolicers(from, to, policers) {
+        const index = findLinkIndex(from, to);
+        if (index === -1) {
+            throw new SimulationError(`Link between ${from} and ${to} not found`, 404);
+        }
 
-// Get comprehensive network statistics
-function getNetworkStats() {
-    const linkStats = links.map(link => {
+        if (policers === null) {
+            delete links[index].policers;
+            return;
+        }
+        const errors = validatePolicers(policers, Object.keys(trafficClasses));
+        if (errors.length > 0) throw new SimulationError('Invalid policers', 400, errors);
+        links[index].policers = JSON.parse(JSON.stringify(policers));
+    }
+
+    // Default arrival model plus the nodes that have their own
+    function getArrivalConfig() {
+        return JSON.parse(JSON.stringify(arrivalConfig));
+    }
+
+    function parseArrivalModel(spec) {
+        const errors = validateArrivalModel(spec);
+        if (errors.length > 0) throw new SimulationError('Invalid arrival model', 400, errors);
+        return normalizeArrivalModel(spec);
+    }
+
+    // Change the arrival model of every node without one of its own
+    function setDefaultArrivalModel(spec) {
+        arrivalConfig.default = parseArrivalModel(spec);
+        Object.keys(networkState.arrivalStates)
+            .filter(node => !arrivalConfig.nodes[node])
+            .forEach(node => delete networkState.arrivalStates[node]);
+    }
+
+    // Give a node its own arrival model; null returns it to the default
+    function setNodeArrivalModel(node, spec) {
+        requireNode(node);
+        if (spec === null) {
+            delete arrivalConfig.nodes[node];
+        } else {
+            arrivalConfig.nodes[node] = parseArrivalModel(spec);
+        }
+        delete networkState.arrivalStates[node];
+    }
+
+    // Default buffer size and queue discipline, plus the links that override them
+    function getQueueConfig() {
+        return {
+            ...mergeQueueOptions(queueConfig),
+            overrides: links
+                .filter(link => link.queue !== undefined)
+                .map(link => ({ from: link.from, to: link.to, queue: JSON.parse(JSON.stringify(link.queue)) }))
+        };
+    }
+
+    // Problems with the RED thresholds in effect under the given defaults, on links without an
+    // override and on each link with one
+    function effectiveQueueErrors(defaults, linkList) {
+        return [
+            ...validateEffectiveQueueOptions(defaults),
+            ...linkList
+                .filter(link => link.queue !== undefined)
+                .flatMap(link => validateEffectiveQueueOptions(mergeQueueOptions(defaults, link.queue), `${link.from}-${link.to}.queue`))
+        ];
+    }
+
+    // Change the default queue options of every link direction without an override
+    function setQueueDefaults(options) {
+        let errors = validateQueueOptions(options);
+        if (errors.length === 0) errors = effectiveQueueErrors(mergeQueueOptions(queueConfig, options), links);
+        if (errors.length > 0) throw new SimulationError('Invalid queue options', 400, errors);
+        Object.assign(queueConfig, mergeQueueOptions(queueConfig, options));
+    }
+
+    // Override queue options on one link (both directions); null clears the override
+    function setLinkQueue(from, to, options) {
+        const index = findLinkIndex(from, to);
+        if (index === -1) {
+            throw new SimulationError(`Link between ${from} and ${to} not found`, 404);
+        }
+
+        if (options === null) {
+            delete links[index].queue;
+            return;
+        }
+        let errors = validateQueueOptions(options);
+        if (errors.length === 0) errors = validateEffectiveQueueOptions(mergeQueueOptions(queueConfig, options));
+        if (errors.length > 0) throw new SimulationError('Invalid queue options', 400, errors);
+        links[index].queue = JSON.parse(JSON.stringify(options));
+    }
+
+    function validateQueuePolicy(policy) {
+        if (!QUEUE_FAILURE_POLICIES.includes(policy)) {
+            throw new SimulationError(`Queue policy must be one of ${QUEUE_FAILURE_POLICIES.join(', ')}`);
+        }
+    }
+
+    // Apply the queue policy to packets waiting on a link that just went down: drop them, or
+    // move each direction's queue onto the first hop of a detour between the same endpoints
+    function handleFailedLinkQueue(link, policy) {
+        if (networkState.eventState) return flushEventQueues(link, policy);
+
+        const result = { dropped: 0, rerouted: 0 };
+        const active = getActiveTopology();
+
+        linkDirections(link).forEach(({ from, to, key }) => {
+            const queued = networkState.queues[key] || 0;
+            if (queued === 0) return;
+
+            networkState.queues[key] = 0;
+            const waiting = getWaitingPackets(key).splice(0);
+
+            if (policy === 'reroute' && active.nodes.includes(from) && active.nodes.includes(to)) {
+                const detour = dijkstra(active.nodes, active.links, from, to, (l, start) => getLinkCost(l, routingConfig, start));
+                if (detour.length >= 2) {
+                    const firstKey = directionKey(detour[0], detour[1]);
+                    networkState.queues[firstKey] = (networkState.queues[firstKey] || 0) + queued;
+                    // The packets now take the detour in place of the failed link
+                    waiting.forEach(journey => {
+                        journey.path = [...journey.path.slice(0, journey.hop), ...detour, ...journey.path.slice(journey.hop + 2)];
+                        journey.route[journey.route.length - 1] = { from: detour[0], to: detour[1], transmitted: false, linkKey: firstKey };
+                    });
+                    getWaitingPackets(firstKey).push(...waiting);
+                    result.rerouted += queued;
+                    return;
+                }
+            }
+
+            networkState.packetsDroppedByFailure += queued;
+            recordDrop('link-down', key, queued);
+            waiting.forEach(journey => finishAggregatePacket(journey, 'link-down'));
+            result.dropped += queued;
+        });
+
+        return result;
+    }
+
+    // Take a link down; it carries no traffic until restored
+    function failLink(from, to, policy = failureConfig.queuePolicy) {
+        validateQueuePolicy(policy);
+        const index = findLinkIndex(from, to);
+        if (index === -1) {
+            throw new SimulationError(`Link between ${from} and ${to} not found`, 404);
+        }
+
+        const link = links[index];
         const linkKey = `${link.from}-${link.to}`;
-        const currentLoad = networkState.linkLoads[linkKey] || 0;
-        const queueSize = networkState.queues[linkKey] || 0;
+        if (networkState.failedLinks[linkKey]) {
+            throw new SimulationError(`Link between ${from} and ${to} has already failed`, 409);
+        }
+
+        networkState.failedLinks[linkKey] = { since: networkState.simulationStep };
+        routeCache = {};
+        return handleFailedLinkQueue(link, policy);
+    }
+
+    function restoreLink(from, to) {
+        const index = findLinkIndex(from, to);
+        if (index === -1) {
+            throw new SimulationError(`Link between ${from} and ${to} not found`, 404);
+        }
+
+        const linkKey = `${links[index].from}-${links[index].to}`;
+        if (!networkState.failedLinks[linkKey]) {
+            throw new SimulationError(`Link between ${from} and ${to} has not failed`, 409);
+        }
+        delete networkState.failedLinks[linkKey];
+    }
+
+    // Take a node down: it stops generating traffic and every attached link goes with it
+    function failNode(id, policy = failureConfig.queuePolicy) {
+        validateQueuePolicy(policy);
+        requireNode(id);
+        if (networkState.failedNodes[id]) {
+            throw new SimulationError(`Node ${id} has already failed`, 409);
+        }
+
+        networkState.failedNodes[id] = { since: networkState.simulationStep };
+        routeCache = {};
+
+        const result = { dropped: 0, rerouted: 0 };
+        links
+            .filter(link => link.from === id || link.to === id)
+            .forEach(link => {
+                const linkResult = handleFailedLinkQueue(link, policy);
+                result.dropped += linkResult.dropped;
+                result.rerouted += linkResult.rerouted;
+            });
+        return result;
+    }
+
+    function restoreNode(id) {
+        requireNode(id);
+        if (!networkState.failedNodes[id]) {
+            throw new SimulationError(`Node ${id} has not failed`, 409);
+        }
+        delete networkState.failedNodes[id];
+    }
+
+    // Default policy for queued packets when no policy is given with a failure
+    function setFailurePolicy(policy) {
+        validateQueuePolicy(policy);
+        failureConfig.queuePolicy = policy;
+    }
 
+    // Current failures and when they started
+    function getFailures() {
         return {
-            from: link.from,
-            to: link.to,
-            capacity: link.capacity,
-            currentLoad,
-            utilization: (currentLoad / link.capacity * 100).toFixed(2),
-            queueSize,
-            congested: currentLoad >= link.capacity || queueSize > 0
+            queuePolicy: failureConfig.queuePolicy,
+            links: Object.entries(networkState.failedLinks).map(([linkKey, { since }]) => {
+                const [from, to] = linkKey.split('-');
+                return { from, to, since };
+            }),
+            nodes: Object.entries(networkState.failedNodes).map(([id, { since }]) => ({ id, since }))
         };
-    });
+    }
 
-    return {
-        currentTime: networkState.currentTime,
-        simulationStep: networkState.simulationStep,
-        isRunning: networkState.isRunning,
-        nodes: nodes.map(node => ({
-            id: node,
-            ...networkState.nodeStats[node]
-        })),
-        links: linkStats,
-        packets: networkState.packetStats,
-        summary: {
-            totalPacketsGenerated: networkState.totalPacketsGenerated,
-            totalPacketsTransmitted: networkState.totalPacketsTransmitted,
-            packetLoss: networkState.totalPacketsGenerated > 0
-                ? ((networkState.totalPacketsGenerated - networkState.totalPacketsTransmitted) / networkState.totalPacketsGenerated * 100).toFixed(2)
-                : 0,
-            averageQueueSize: Object.values(networkState.queues).reduce((a, b) => a + b, 0) / links.length
+    // Export the live configuration as a scenario document
+    function exportScenario() {
+        return {
+            version: SCENARIO_VERSION,
+            currentTime: networkState.currentTime,
+            nodes: [...nodes],
+            links: links.map(copyLink),
+            trafficRates: JSON.parse(JSON.stringify(trafficRates)),
+            trafficMatrix: JSON.parse(JSON.stringify(trafficMatrix)),
+            schedule: { ...scheduleConfig },
+            engine: simulationConfig.engine,
+            seed: simulationConfig.seed,
+            queue: mergeQueueOptions(queueConfig),
+            trafficClasses: getTrafficClasses(),
+            arrivals: getArrivalConfig(),
+            routing: getRoutingConfig()
+        };
+    }
+
+    // Replace the whole configuration with a scenario document and reset the simulation
+    function loadScenario(doc) {
+        const errors = validateScenario(doc);
+        if (errors.length === 0) errors.push(...effectiveQueueErrors(mergeQueueOptions(queueConfig, doc.queue), doc.links));
+        if (errors.length > 0) {
+            throw new SimulationError('Invalid scenario', 400, errors);
         }
-    };
-}
 
-// Simulation control functions
-function startSimulation() {
-    networkState.isRunning = true;
-    initializeNetwork();
-}
+        nodes.splice(0, nodes.length, ...doc.nodes);
+        links.splice(0, links.length, ...doc.links.map(copyLink));
 
-function pauseSimulation() {
-    networkState.isRunning = false;
-}
+        Object.keys(trafficRates).forEach(slot => delete trafficRates[slot]);
+        sortSlots(Object.keys(doc.trafficRates)).forEach(slot => {
+            // Nodes missing from a slot generate no traffic in it
+            trafficRates[slot] = {};
+            nodes.forEach(node => {
+                trafficRates[slot][node] = doc.trafficRates[slot][node] || 0;
+            });
+        });
 
-function resetSimulation() {
-    networkState.isRunning = false;
-    networkState.simulationStep = 0;
-    networkState.currentTime = '08:00';
-    networkState.totalPacketsGenerated = 0;
-    networkState.totalPacketsTransmitted = 0;
-    initializeNetwork();
-}
+        // Matrix rows take precedence over the rates of their sources
+        Object.keys(trafficMatrix).forEach(slot => delete trafficMatrix[slot]);
+        Object.entries(doc.trafficMatrix || {}).forEach(([slot, rows]) => {
+            trafficMatrix[slot] = JSON.parse(JSON.stringify(rows));
+            syncMatrixRates(slot);
+        });
 
-// Update traffic generation rates (for dynamic control)
-function updateTrafficRates(nodeId, newRate) {
-    if (nodes.includes(nodeId) && trafficRates[networkState.currentTime]) {
-        trafficRates[networkState.currentTime][nodeId] = newRate;
-        return true;
+        if (doc.routing) {
+            const {
+                metric, referenceBandwidth, mode, loadBalancing, k, flowsPerPair, adaptive,
+                protocol, distanceVector, linkState
+            } = doc.routing;
+            setRoutingMetric(metric || routingConfig.metric, referenceBandwidth);
+            setRoutingMode(mode || routingConfig.mode, { loadBalancing, k, flowsPerPair, adaptive });
+            setRoutingProtocol(protocol || routingConfig.protocol, { distanceVector, linkState });
+        }
+
+        if (doc.engine) simulationConfig.engine = doc.engine;
+        if (doc.schedule) setScheduleOptions(doc.schedule);
+        if (doc.seed !== undefined) simulationConfig.seed = doc.seed;
+        if (doc.queue) setQueueDefaults(doc.queue);
+        if (doc.trafficClasses) setTrafficClasses(doc.trafficClasses);
+        if (doc.arrivals) {
+            if (doc.arrivals.default) arrivalConfig.default = normalizeArrivalModel(doc.arrivals.default);
+            arrivalConfig.nodes = {};
+            Object.entries(doc.arrivals.nodes || {}).forEach(([node, spec]) => {
+                arrivalConfig.nodes[node] = normalizeArrivalModel(spec);
+            });
+        } else {
+            arrivalConfig.nodes = {};
+        }
+        startTime = doc.currentTime || Object.keys(trafficRates)[0];
+        resetSimulation();
     }
-    return false;
-}
 
-// Update link capacity (for dynamic control)
-function updateLinkCapacity(from, to, newCapacity) {
-    const link = links.find(l => l.from === from && l.to === to);
-    if (link) {
-        link.capacity = newCapacity;
-        return true;
+    // Everything needed to carry on from this exact point later: the configuration as a scenario
+    // (starting where the run started) and the live state, queues, counters, failures and RNG included
+    function captureSnapshot() {
+        return {
+            scenario: { ...exportScenario(), currentTime: startTime },
+            failurePolicy: failureConfig.queuePolicy,
+            speed: simulationConfig.speed,
+            state: JSON.parse(JSON.stringify({ ...networkState, isRunning: false }))
+        };
+    }
+
+    // Go back to a captured point; the simulation is left paused there and a reset still returns
+    // to the start of the captured run
+    function restoreSnapshot(snapshot) {
+        const { scenario, failurePolicy, speed, state } = snapshot || {};
+        if (!state || typeof state !== 'object' || !Number.isInteger(state.simulationStep) || !state.rng) {
+            throw new SimulationError('Invalid snapshot: missing simulation state');
+        }
+        if (!scenario || !scenario.trafficRates || !scenario.trafficRates[state.currentTime]) {
+            throw new SimulationError('Invalid snapshot: its time slot is not in its scenario');
+        }
+
+        loadScenario(scenario);
+        if (failurePolicy !== undefined) setFailurePolicy(failurePolicy);
+        if (speed !== undefined) setSimulationSpeed(speed);
+        networkState = JSON.parse(JSON.stringify({ ...state, isRunning: false }));
+        routeCache = {};
+        // The history of the restored run starts here; count its first tick from these totals
+        history.totals = historyTotals();
+        notifyListeners('reset');
+    }
+
+    // Replace nodes and links (e.g. from GraphML/DOT), keeping rates of nodes that survive
+    function loadTopology(topology) {
+        const current = exportScenario();
+        const rates = {};
+        const matrix = {};
+
+        Object.entries(current.trafficRates).forEach(([slot, slotRates]) => {
+            rates[slot] = {};
+            topology.nodes.forEach(node => {
+                rates[slot][node] = slotRates[node] || 0;
+            });
+        });
+        Object.entries(current.trafficMatrix).forEach(([slot, rows]) => {
+            matrix[slot] = {};
+            Object.entries(rows)
+                .filter(([source]) => topology.nodes.includes(source))
+                .forEach(([source, row]) => {
+                    matrix[slot][source] = {};
+                    Object.entries(row)
+                        .filter(([destination]) => topology.nodes.includes(destination) && destination !== source)
+                        .forEach(([destination, demand]) => {
+                            matrix[slot][source][destination] = demand;
+                        });
+                });
+        });
+
+        const arrivalNodes = {};
+        Object.entries(current.arrivals.nodes)
+            .filter(([node]) => topology.nodes.includes(node))
+            .forEach(([node, spec]) => {
+                arrivalNodes[node] = spec;
+            });
+
+        loadScenario({
+            ...current,
+            nodes: topology.nodes,
+            links: topology.links,
+            trafficRates: rates,
+            trafficMatrix: matrix,
+            arrivals: { ...current.arrivals, nodes: arrivalNodes }
+        });
+    }
+
+    // Slot after the given one; after the last slot the first when the schedule wraps, else null
+    function nextTimeSlot(slot) {
+        const timeSlots = sortSlots(Object.keys(trafficRates));
+        const index = timeSlots.indexOf(slot);
+        if (index < timeSlots.length - 1) return timeSlots[index + 1];
+        return scheduleConfig.wrap ? timeSlots[0] : null;
     }
-    return false;
-}
 
-// Advance to next time slot
-function advanceTimeSlot() {
-    const timeSlots = Object.keys(trafficRates);
-    const currentIndex = timeSlots.indexOf(networkState.currentTime);
-    if (currentIndex < timeSlots.length - 1) {
-        networkState.currentTime = timeSlots[currentIndex + 1];
+    // Advance to next time slot
+    function advanceTimeSlot() {
+        const next = nextTimeSlot(networkState.currentTime);
+        if (next) {
+            networkState.currentTime = next;
+            networkState.slotTicks = 0;
+        }
+    }
+
+    // Rates in effect this tick: the current slot's, ramped towards the next slot's when
+    // interpolating
+    function getCurrentRates() {
+        const rates = trafficRates[networkState.currentTime];
+        if (!rates || !scheduleConfig.interpolate || scheduleConfig.ticksPerSlot === 0) return rates;
+
+        const next = nextTimeSlot(networkState.currentTime);
+        if (!next) return rates;
+        return interpolateRates(rates, trafficRates[next], networkState.slotTicks / scheduleConfig.ticksPerSlot);
+    }
+
+    // Simulated time of day: the current slot's start plus the share of the slot already run
+    function getTimeOfDay() {
+        const timeSlots = sortSlots(Object.keys(trafficRates));
+        const index = timeSlots.indexOf(networkState.currentTime);
+        if (index === -1 || scheduleConfig.ticksPerSlot === 0) return networkState.currentTime;
+
+        const elapsed = Math.floor(slotLength(timeSlots, index) * networkState.slotTicks / scheduleConfig.ticksPerSlot);
+        return formatSlot(slotMinute(networkState.currentTime) + elapsed);
+    }
+
+    function getSchedule() {
+        return {
+            ...scheduleConfig,
+            slots: sortSlots(Object.keys(trafficRates)),
+            currentTime: networkState.currentTime,
+            timeOfDay: getTimeOfDay(),
+            slotTicks: networkState.slotTicks,
+            currentRates: { ...getCurrentRates() }
+        };
+    }
+
+    function setScheduleOptions(options) {
+        const errors = validateScheduleOptions(options);
+        if (errors.length > 0) throw new SimulationError('Invalid schedule options', 400, errors);
+
+        const { ticksPerSlot, wrap, interpolate } = options;
+        if (ticksPerSlot !== undefined) scheduleConfig.ticksPerSlot = ticksPerSlot;
+        if (wrap !== undefined) scheduleConfig.wrap = wrap;
+        if (interpolate !== undefined) scheduleConfig.interpolate = interpolate;
+        if (scheduleConfig.ticksPerSlot > 0 && networkState.slotTicks >= scheduleConfig.ticksPerSlot) {
+            networkState.slotTicks = scheduleConfig.ticksPerSlot - 1;
+        }
+    }
+
+    // Replace every time slot, either from { slots: { [slot]: rates } } or from equal-length slots
+    // ({ rates: [...], slotMinutes, start? }). Traffic matrix rows of slots that remain are scaled
+    // to the new rates; time restarts at the first slot.
+    function setSchedule({ slots, rates, slotMinutes, start, ...options }) {
+        let newSlots = slots;
+        if (slots === undefined) {
+            const built = buildSlots(rates, slotMinutes, start);
+            if (built.errors.length > 0) throw new SimulationError('Invalid schedule', 400, built.errors);
+            newSlots = built.slots;
+        }
+        const errors = [
+            ...validateTrafficRates(newSlots, nodes),
+            ...validateScheduleOptions(options)
+        ];
+        if (errors.length > 0) throw new SimulationError('Invalid schedule', 400, errors);
+
+        Object.keys(trafficRates).forEach(slot => delete trafficRates[slot]);
+        sortSlots(Object.keys(newSlots)).forEach(slot => {
+            trafficRates[slot] = {};
+            nodes.forEach(node => {
+                trafficRates[slot][node] = newSlots[slot][node] || 0;
+            });
+        });
+        Object.entries(trafficMatrix).forEach(([slot, rows]) => {
+            if (!trafficRates[slot]) {
+                delete trafficMatrix[slot];
+                return;
+            }
+            Object.keys(rows).forEach(source => {
+                const row = Object.keys(rows[source]).length > 0 ? rows[source] : evenWeights(nodes, source);
+                rows[source] = scaleRow(row, trafficRates[slot][source]);
+            });
+        });
+
+        setScheduleOptions(options);
+        startTime = Object.keys(trafficRates)[0];
+        networkState.currentTime = startTime;
+        networkState.slotTicks = 0;
+    }
+
+    // Jump to any time of day ("13:40", or "1/13:40" on a multi-day schedule): the slot in effect
+    // then becomes current, part-way through when slots last several ticks
+    function jumpToTime(time) {
+        const minute = slotMinute(time);
+        if (Number.isNaN(minute)) {
+            throw new SimulationError('Time must be HH:MM or day/HH:MM');
+        }
+
+        const timeSlots = sortSlots(Object.keys(trafficRates));
+        const { slot, index, offset } = slotAt(timeSlots, minute);
+        networkState.currentTime = slot;
+        networkState.slotTicks = scheduleConfig.ticksPerSlot > 0
+            ? Math.min(scheduleConfig.ticksPerSlot - 1, Math.floor(offset / slotLength(timeSlots, index) * scheduleConfig.ticksPerSlot))
+            : 0;
+    }
+
+    // Stops the clock and tells listeners the simulation is gone
+    function dispose() {
+        pauseSimulation();
+        notifyListeners('closed');
+        listeners.clear();
     }
+
+    return {
+        simulateTick,
+        getNetworkStats,
+        getLatencyStats,
+        getTickTiming,
+        isRunning,
+        getHistory,
+        exportRows,
+        startSimulation,
+        pauseSimulation,
+        resetSimulation,
+        setSimulationSpeed,
+        subscribe,
+        updateTrafficRates,
+        getSchedule,
+        setSchedule,
+        setScheduleOptions,
+        jumpToTime,
+        getTrafficMatrix,
+        setTrafficMatrix,
+        setMatrixDemand,
+        applyTrafficMatrixPreset,
+        clearTrafficMatrix,
+        updateLinkCapacity,
+        advanceTimeSlot,
+        initializeNetwork,
+        addNode,
+        renameNode,
+        removeNode,
+        addLink,
+        removeLink,
+        exportScenario,
+        loadScenario,
+        captureSnapshot,
+        restoreSnapshot,
+        loadTopology,
+        updateLinkMetrics,
+        setRoutingMetric,
+        setRoutingMode,
+        getCandidatePaths,
+        compareRoutingModes,
+        setRoutingProtocol,
+        getRoutingTable,
+        setSimulationEngine,
+        getQueueConfig,
+        setQueueDefaults,
+        setLinkQueue,
+        getTrafficClasses,
+        setTrafficClasses,
+        setLinkPolicers,
+        getArrivalConfig,
+        setDefaultArrivalModel,
+        setNodeArrivalModel,
+        failLink,
+        restoreLink,
+        failNode,
+        restoreNode,
+        setFailurePolicy,
+        getFailures,
+        dispose
+    };
 }
 
 module.exports = {
-    simulateTick,
-    getNetworkStats,
-    startSimulation,
-    pauseSimulation,
-    resetSimulation,
-    updateTrafficRates,
-    updateLinkCapacity,
-    advanceTimeSlot,
-    initializeNetwork
+    createSimulation
 };
\ No newline at end of file
@@ -0,0 +1,92 @@
+// routes/export.js - CSV / NDJSON downloads of the packet trace and per-tick link and node
+// statistics. Rows are written as they are produced, pausing whenever the client falls behind,
+// so a long run never has to fit in memory as one response body.
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { EXPORT_CONTENT_TYPES, exportHeader, formatExportRow } = require('../utils/exports');
+
+// Rows formatted into one chunk before it is written
+const ROWS_PER_CHUNK = 500;
+
+const toNumber = value => (value === undefined ? undefined : Number(value));
+
+// Comma-separated ids of a query parameter, undefined when it is absent
+const toList = value => (value === undefined
+    ? undefined
+    : String(value).split(',').map(item => item.trim()).filter(Boolean));
+
+// Resolve once the response can take more data, or the client has gone away
+function drained(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+async function streamRows(res, kind, format, rows) {
+    let chunk = exportHeader(kind, format);
+    let count = 0;
+    for (const row of rows) {
+        chunk += formatExportRow(kind, format, row);
+        count += 1;
+        if (count % ROWS_PER_CHUNK === 0) {
+            if (res.destroyed) return;
+            const accepted = res.write(chunk);
+            chunk = '';
+            if (!accepted) await drained(res);
+        }
+    }
+    if (!res.destroyed) res.end(chunk);
+}
+
+// Download packets (?source=, ?destination=, ?node=), links (?link=A-B,B-A) or nodes (?node=)
+// between ?from= and ?to= (simulation steps) as ?format=csv (default) or ndjson
+router.get('/export/:kind', async (req, res) => {
+    const { kind } = req.params;
+    const { format = 'csv', from, to, source, destination, node, link } = req.query;
+
+    let exported;
+    try {
+        exported = req.simulation.exportRows(kind, {
+            format,
+            from: toNumber(from),
+            to: toNumber(to),
+            sources: toList(source),
+            destinations: toList(destination),
+            nodes: toList(node),
+            links: toList(link)
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+        return;
+    }
+
+    // Steps the session still keeps, so clients can tell when older ones have been discarded
+    const { range, rows } = exported;
+    res.set('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `attachment; filename="netsim-${req.sessionId}-${kind}.${format}"`);
+    if (range.from !== null) {
+        res.set('X-Export-From-Step', String(range.from));
+        res.set('X-Export-To-Step', String(range.to));
+    }
+    res.set('X-Export-Truncated', String(range.truncated));
+
+    try {
+        await streamRows(res, kind, format, rows);
+    } catch (error) {
+        // Headers and part of the body are already out; all that is left is to cut the download short
+        console.error('Export failed:', error);
+        res.destroy(error);
+    }
+});
+
+module.exports = router;
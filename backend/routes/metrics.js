@@ -0,0 +1,83 @@
+// routes/metrics.js - Prometheus scrape endpoint covering every session's simulation
+const express = require('express');
+const router = express.Router();
+const { listSessions, getSession } = require('../sessions');
+const { PROMETHEUS_CONTENT_TYPE, createRegistry } = require('../utils/prometheus');
+
+// Delay metrics of the stats summary and the quantiles exposed for each
+const DELAY_METRICS = [
+    ['latency', 'netsim_packet_latency_ticks', 'End-to-end latency of recently delivered packets, in ticks'],
+    ['hopQueueDelay', 'netsim_hop_queue_delay_ticks', 'Queuing delay per hop of recently delivered packets, in ticks'],
+    ['jitter', 'netsim_packet_jitter_ticks', 'Latency difference between consecutive packets of a pair, in ticks']
+];
+const QUANTILES = [['p50', '0.5'], ['p95', '0.95'], ['p99', '0.99']];
+
+// Add the metrics of one session's simulation. Gauges carry the current time slot; counters do
+// not, so their series survive slot changes.
+function collectSession(registry, session, simulation) {
+    const stats = simulation.getNetworkStats();
+    const timing = simulation.getTickTiming();
+    const slot = stats.currentTime;
+    const { summary } = stats;
+
+    registry.gauge('netsim_simulation_step', 'Ticks simulated since the last reset', { session }, stats.simulationStep);
+    registry.gauge('netsim_simulation_running', 'Whether the backend clock is running (1) or paused (0)', { session }, stats.isRunning ? 1 : 0);
+    registry.gauge('netsim_time_slot_info', 'Current time slot and simulated time of day', { session, slot, time_of_day: stats.timeOfDay }, 1);
+    registry.gauge('netsim_last_tick_duration_seconds', 'Wall-clock time the last tick took to compute', { session }, timing.last);
+    registry.counter('netsim_tick_duration_seconds_total', 'Wall-clock time spent computing ticks', { session }, timing.total);
+    registry.counter('netsim_ticks_total', 'Ticks computed', { session }, timing.count);
+
+    stats.links.forEach(link => {
+        link.directions.forEach(direction => {
+            const labels = { session, link: `${direction.from}-${direction.to}`, from: direction.from, to: direction.to };
+            registry.gauge('netsim_link_utilization_ratio', 'Load of a link direction in the last tick relative to its capacity', { ...labels, slot }, parseFloat(direction.utilization) / 100);
+            registry.gauge('netsim_link_load_packets', 'Packets a link direction carried in the last tick', { ...labels, slot }, direction.currentLoad);
+            registry.gauge('netsim_link_capacity_packets', 'Packets a link direction can carry per tick', labels, direction.capacity);
+            registry.gauge('netsim_link_queue_packets', 'Packets waiting in the queue of a link direction', { ...labels, slot }, direction.queueSize);
+            registry.gauge('netsim_link_up', 'Whether a link is up (1) or failed (0)', labels, link.failed ? 0 : 1);
+            Object.entries(direction.drops).forEach(([reason, count]) => {
+                registry.counter('netsim_link_packets_dropped_total', 'Packets dropped on a link direction, by reason', { ...labels, reason }, count);
+            });
+        });
+    });
+
+    stats.nodes.forEach(node => {
+        const labels = { session, node: node.id };
+        registry.counter('netsim_node_packets_generated_total', 'Packets a node generated', labels, node.packetsGenerated);
+        registry.counter('netsim_node_packets_received_total', 'Packets delivered to a node', labels, node.packetsReceived);
+        registry.gauge('netsim_node_load_packets', 'Packets a node sent in the last tick', { ...labels, slot }, node.currentLoad);
+        registry.gauge('netsim_node_up', 'Whether a node is up (1) or failed (0)', labels, node.failed ? 0 : 1);
+    });
+
+    registry.counter('netsim_packets_generated_total', 'Packets generated by all nodes', { session }, summary.totalPacketsGenerated);
+    registry.counter('netsim_packets_transmitted_total', 'Packets delivered to their destination', { session }, summary.totalPacketsTransmitted);
+    Object.entries(summary.drops).forEach(([reason, count]) => {
+        registry.counter('netsim_packets_dropped_total', 'Packets dropped, by reason', { session, reason }, count);
+    });
+    registry.gauge('netsim_packet_loss_ratio', 'Share of generated packets not (yet) delivered since the last reset', { session, slot }, parseFloat(summary.packetLoss) / 100);
+
+    DELAY_METRICS.forEach(([metric, name, help]) => {
+        const figures = summary.latency[metric];
+        if (!figures) return;
+        QUANTILES.forEach(([field, quantile]) => {
+            registry.gauge(name, help, { session, quantile }, figures[field]);
+        });
+    });
+}
+
+router.get('/', (req, res) => {
+    try {
+        const registry = createRegistry();
+        listSessions().forEach(({ id }) => collectSession(registry, id, getSession(id).simulation));
+
+        res.set('Content-Type', PROMETHEUS_CONTENT_TYPE);
+        res.send(registry.render());
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+// routes/sessions.js - Create, list and delete simulation sessions. A session's simulation is
+// driven through /api/sessions/:sessionId/simulate, which offers every /api/simulate route.
+const express = require('express');
+const router = express.Router();
+const {
+    MAX_SESSIONS,
+    SESSION_IDLE_MINUTES,
+    describeSession,
+    createSession,
+    getSession,
+    touchSession,
+    listSessions,
+    deleteSession
+} = require('../sessions');
+const { parseScenario } = require('../utils/scenario');
+const { readSnapshot } = require('../snapshots');
+
+// Create a session, starting from the default network, a scenario or a saved snapshot
+router.post('/', (req, res) => {
+    try {
+        const { scenario, snapshotId } = req.body || {};
+        const doc = typeof scenario === 'string' ? parseScenario(scenario) : scenario;
+
+        const session = createSession({
+            scenario: doc,
+            snapshot: snapshotId === undefined ? undefined : readSnapshot(snapshotId).snapshot
+        });
+        res.status(201).json({
+            success: true,
+            message: `Session ${session.id} created`,
+            data: session
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
+router.get('/', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                sessions: listSessions(),
+                maxSessions: MAX_SESSIONS,
+                idleMinutes: SESSION_IDLE_MINUTES
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+router.get('/:sessionId', (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const session = getSession(sessionId);
+        touchSession(sessionId);
+        res.json({
+            success: true,
+            data: describeSession(session)
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Delete a session, stopping its simulation and closing its streams
+router.delete('/:sessionId', (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        deleteSession(sessionId);
+        res.json({
+            success: true,
+            message: `Session ${sessionId} deleted`
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
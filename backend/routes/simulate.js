@@ -1,21 +1,28 @@
 // routes/simulate.js - Enhanced API routes with fixed route patterns
 const express = require('express');
-const router = express.Router();
-const {
-    simulateTick,
-    getNetworkStats,
-    startSimulation,
-    pauseSimulation,
-    resetSimulation,
-    updateTrafficRates,
-    updateLinkCapacity,
-    advanceTimeSlot
-} = require('../network');
+// Every route acts on req.simulation, the simulation of the session the request is addressed to
+const router = express.Router({ mergeParams: true });
+const { ROUTING_METRICS } = require('../utils/linkMetrics');
+const { ROUTING_MODES, LOAD_BALANCING } = require('../utils/loadBalancing');
+const { ROUTING_PROTOCOLS } = require('../utils/routingProtocols');
+const { SIMULATION_ENGINES } = require('../utils/discreteEvent');
+const { QUEUE_DISCIPLINES } = require('../utils/queueDisciplines');
+const { ARRIVAL_MODELS, DEFAULT_ARRIVAL_PARAMETERS } = require('../utils/arrivalModels');
+const { TRAFFIC_MATRIX_PRESETS, TRAFFIC_MATRIX_MODES } = require('../utils/trafficMatrix');
+const { parseScenario, serializeScenario } = require('../utils/scenario');
+const { HISTORY_METRICS, HISTORY_LIMIT } = require('../utils/history');
+const { LATENCY_METRICS, PAIR_WINDOW, NETWORK_WINDOW } = require('../utils/latency');
+const { parseGraphML, toGraphML, parseDot, toDot } = require('../utils/graphFormats');
+const { saveSnapshot, readSnapshot, listSnapshots, deleteSnapshot } = require('../snapshots');
+
+const YAML_TYPES = ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml'];
+const DOT_TYPES = ['text/vnd.graphviz', 'text/x-dot'];
+const GRAPHML_TYPES = ['application/graphml+xml', 'application/xml', 'text/xml'];
 
 // Get current network statistics
 router.get('/stats', (req, res) => {
     try {
-        const stats = getNetworkStats();
+        const stats = req.simulation.getNetworkStats();
         res.json({
             success: true,
             data: stats
@@ -28,11 +35,63 @@ router.get('/stats', (req, res) => {
     }
 });
 
+// Latency, per-hop queuing delay, hop count and jitter percentiles, network-wide and per
+// source-destination pair (?source=A&destination=E narrows the pairs)
+router.get('/latency', (req, res) => {
+    try {
+        const { source, destination } = req.query;
+
+        res.json({
+            success: true,
+            data: {
+                ...req.simulation.getLatencyStats({ source, destination }),
+                metrics: LATENCY_METRICS,
+                window: { pair: PAIR_WINDOW, network: NETWORK_WINDOW }
+            }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Per-tick history of one metric over a range of steps, downsampled to at most `points` points
+router.get('/history', (req, res) => {
+    try {
+        const { metric, entity, from, to, points } = req.query;
+        const toNumber = value => (value === undefined ? undefined : Number(value));
+
+        const data = req.simulation.getHistory({
+            metric,
+            entities: entity ? String(entity).split(',').map(item => item.trim()).filter(Boolean) : [],
+            from: toNumber(from),
+            to: toNumber(to),
+            points: toNumber(points)
+        });
+        res.json({
+            success: true,
+            data: {
+                ...data,
+                availableMetrics: HISTORY_METRICS,
+                limit: HISTORY_LIMIT
+            }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
 // Run single simulation tick
 router.post('/tick', (req, res) => {
     try {
-        simulateTick();
-        const stats = getNetworkStats();
+        req.simulation.simulateTick();
+        const stats = req.simulation.getNetworkStats();
         res.json({
             success: true,
             message: 'Simulation tick completed',
@@ -49,13 +108,18 @@ router.post('/tick', (req, res) => {
 // Start continuous simulation
 router.post('/start', (req, res) => {
     try {
-        startSimulation();
+        const { engine, seed, speed } = req.body || {};
+
+        if (speed !== undefined) req.simulation.setSimulationSpeed(speed);
+        req.simulation.startSimulation(engine, seed);
+        const stats = req.simulation.getNetworkStats();
         res.json({
             success: true,
-            message: 'Simulation started'
+            message: 'Simulation started',
+            data: { seed: stats.seed, speed: stats.speed }
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message
         });
@@ -65,7 +129,7 @@ router.post('/start', (req, res) => {
 // Pause simulation
 router.post('/pause', (req, res) => {
     try {
-        pauseSimulation();
+        req.simulation.pauseSimulation();
         res.json({
             success: true,
             message: 'Simulation paused'
@@ -78,16 +142,64 @@ router.post('/pause', (req, res) => {
     }
 });
 
-// Reset simulation to initial state
+// Set how fast the backend clock ticks
+router.post('/speed', (req, res) => {
+    try {
+        const { speed } = req.body;
+
+        req.simulation.setSimulationSpeed(speed);
+        res.json({
+            success: true,
+            message: speed === 'max' ? 'Simulation runs as fast as possible' : `Simulation runs at ${speed} ticks/second`,
+            data: { speed, isRunning: req.simulation.getNetworkStats().isRunning }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Reset simulation to initial state, optionally with a new random seed
 router.post('/reset', (req, res) => {
     try {
-        resetSimulation();
+        const { seed } = req.body || {};
+
+        req.simulation.resetSimulation(seed);
         res.json({
             success: true,
-            message: 'Simulation reset to initial state'
+            message: 'Simulation reset to initial state',
+            data: { seed: req.simulation.getNetworkStats().seed }
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Select the simulation engine (resets the simulation)
+router.post('/engine', (req, res) => {
+    try {
+        const { engine } = req.body;
+
+        if (!engine) {
+            return res.status(400).json({
+                success: false,
+                error: 'Engine is required'
+            });
+        }
+
+        req.simulation.setSimulationEngine(engine);
+        res.json({
+            success: true,
+            message: `Simulation engine set to ${engine}`,
+            data: { engine, availableEngines: SIMULATION_ENGINES }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
             success: false,
             error: error.message
         });
@@ -107,7 +219,7 @@ router.post('/traffic/:nodeId', (req, res) => {
             });
         }
 
-        const updated = updateTrafficRates(nodeId, parseInt(rate));
+        const updated = req.simulation.updateTrafficRates(nodeId, parseInt(rate));
 
         if (updated) {
             res.json({
@@ -128,31 +240,136 @@ router.post('/traffic/:nodeId', (req, res) => {
     }
 });
 
-// FIXED: Update link capacity - changed route pattern to avoid path-to-regexp issues
-router.post('/link-capacity', (req, res) => {
+// Get the traffic matrix of a time slot (the current one unless ?slot= is given)
+router.get('/matrix', (req, res) => {
     try {
-        const { from, to, capacity } = req.body;
+        res.json({
+            success: true,
+            data: {
+                ...req.simulation.getTrafficMatrix(req.query.slot),
+                availablePresets: TRAFFIC_MATRIX_PRESETS,
+                availableModes: TRAFFIC_MATRIX_MODES
+            }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
 
-        if (!from || !to) {
+// Set rows of a slot's traffic matrix as demands or as weights over the current rates
+router.put('/matrix', (req, res) => {
+    try {
+        const { matrix, slot, mode } = req.body;
+
+        req.simulation.setTrafficMatrix(matrix, { slot, mode });
+        const data = req.simulation.getTrafficMatrix(slot);
+        res.json({
+            success: true,
+            message: `Traffic matrix updated for ${data.slot}`,
+            data
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
+// Set the demand of one source/destination pair
+router.put('/matrix/:source/:destination', (req, res) => {
+    try {
+        const { source, destination } = req.params;
+        const { demand, slot } = req.body;
+
+        req.simulation.setMatrixDemand(source, destination, demand, slot);
+        res.json({
+            success: true,
+            message: `Demand from ${source} to ${destination} set to ${demand} packets/second`,
+            data: req.simulation.getTrafficMatrix(slot)
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
+// Fill the traffic matrix from a uniform, gravity or hotspot preset
+router.post('/matrix/preset', (req, res) => {
+    try {
+        const { preset, slot, ...options } = req.body;
+
+        const slots = req.simulation.applyTrafficMatrixPreset(preset, options, slot);
+        res.json({
+            success: true,
+            message: `Applied ${preset} traffic matrix to ${slots.join(', ')}`,
+            data: req.simulation.getTrafficMatrix(slot === 'all' ? undefined : slot)
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
+// Go back to spreading every node's rate evenly in a time slot
+router.delete('/matrix', (req, res) => {
+    try {
+        req.simulation.clearTrafficMatrix(req.query.slot);
+        res.json({
+            success: true,
+            message: 'Traffic matrix cleared'
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Set the capacity of a link from -> to and, with reverseCapacity, to -> from; without it both
+// directions get the same capacity. Shared by both link capacity routes.
+function updateCapacity(req, res, from, to) {
+    try {
+        const { capacity, reverseCapacity } = req.body;
+
+        if (!capacity || capacity <= 0) {
             return res.status(400).json({
                 success: false,
-                error: 'Both from and to nodes are required'
+                error: 'Valid capacity (> 0) is required'
             });
         }
 
-        if (!capacity || capacity <= 0) {
+        if (reverseCapacity !== undefined && !(reverseCapacity > 0)) {
             return res.status(400).json({
                 success: false,
-                error: 'Valid capacity (> 0) is required'
+                error: 'Reverse capacity must be > 0'
             });
         }
 
-        const updated = updateLinkCapacity(from, to, parseInt(capacity));
+        const updated = req.simulation.updateLinkCapacity(
+            from,
+            to,
+            parseInt(capacity),
+            reverseCapacity === undefined ? undefined : parseInt(reverseCapacity)
+        );
 
         if (updated) {
             res.json({
                 success: true,
-                message: `Link capacity updated from ${from} to ${to}: ${capacity} packets/second`
+                message: reverseCapacity === undefined
+                    ? `Link capacity updated from ${from} to ${to}: ${capacity} packets/second`
+                    : `Link capacity updated from ${from} to ${to}: ${capacity}/${reverseCapacity} packets/second`
             });
         } else {
             res.status(404).json({
@@ -166,76 +383,186 @@ router.post('/link-capacity', (req, res) => {
             error: error.message
         });
     }
+}
+
+// FIXED: Update link capacity - changed route pattern to avoid path-to-regexp issues
+router.post('/link-capacity', (req, res) => {
+    const { from, to } = req.body;
+
+    if (!from || !to) {
+        return res.status(400).json({
+            success: false,
+            error: 'Both from and to nodes are required'
+        });
+    }
+
+    updateCapacity(req, res, from, to);
 });
 
 // Alternative: Keep the original route but with proper parameter encoding
 router.put('/link/:fromNode/:toNode', (req, res) => {
+    updateCapacity(req, res, req.params.fromNode, req.params.toNode);
+});
+
+// Advance to next time slot
+router.post('/advance-time', (req, res) => {
     try {
-        const { fromNode, toNode } = req.params;
-        const { capacity } = req.body;
+        req.simulation.advanceTimeSlot();
+        const stats = req.simulation.getNetworkStats();
+        res.json({
+            success: true,
+            message: `Advanced to time slot: ${stats.currentTime}`,
+            data: { currentTime: stats.currentTime }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
 
-        if (!capacity || capacity <= 0) {
+// Get the time-slot schedule, its options and the rates in effect now
+router.get('/schedule', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: req.simulation.getSchedule()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Upload a new schedule: explicit slots, or a list of rates for slots of equal length
+router.put('/schedule', (req, res) => {
+    try {
+        req.simulation.setSchedule(req.body || {});
+        const schedule = req.simulation.getSchedule();
+        res.json({
+            success: true,
+            message: `Schedule set with ${schedule.slots.length} time slots`,
+            data: schedule
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
+// Change auto-advance, wraparound and interpolation
+router.post('/schedule/options', (req, res) => {
+    try {
+        req.simulation.setScheduleOptions(req.body || {});
+        res.json({
+            success: true,
+            message: 'Schedule options updated',
+            data: req.simulation.getSchedule()
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
+// Jump to any time of day
+router.post('/time', (req, res) => {
+    try {
+        const { time } = req.body;
+
+        req.simulation.jumpToTime(time);
+        const stats = req.simulation.getNetworkStats();
+        res.json({
+            success: true,
+            message: `Jumped to ${time} (time slot ${stats.currentTime})`,
+            data: { currentTime: stats.currentTime, timeOfDay: stats.timeOfDay }
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Add a node to the running topology
+router.post('/nodes', (req, res) => {
+    try {
+        const { id, rate } = req.body;
+
+        if (rate !== undefined && (isNaN(parseInt(rate)) || rate < 0)) {
             return res.status(400).json({
                 success: false,
-                error: 'Valid capacity (> 0) is required'
+                error: 'Rate must be a number (>= 0)'
             });
         }
 
-        const updated = updateLinkCapacity(fromNode, toNode, parseInt(capacity));
+        req.simulation.addNode(id, rate === undefined ? 0 : parseInt(rate));
+        res.status(201).json({
+            success: true,
+            message: `Node ${id} added`
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Rename a node
+router.put('/nodes/:nodeId', (req, res) => {
+    try {
+        const { nodeId } = req.params;
+        const { id } = req.body;
 
-        if (updated) {
-            res.json({
-                success: true,
-                message: `Link capacity updated from ${fromNode} to ${toNode}: ${capacity} packets/second`
-            });
-        } else {
-            res.status(404).json({
-                success: false,
-                error: `Link from ${fromNode} to ${toNode} not found`
-            });
-        }
+        req.simulation.renameNode(nodeId, id);
+        res.json({
+            success: true,
+            message: `Node ${nodeId} renamed to ${id}`
+        });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message
         });
     }
 });
 
-// Advance to next time slot
-router.post('/advance-time', (req, res) => {
+// Inspect a node's routing table and the protocol's convergence state
+router.get('/nodes/:nodeId/routes', (req, res) => {
     try {
-        advanceTimeSlot();
-        const stats = getNetworkStats();
+        const { nodeId } = req.params;
         res.json({
             success: true,
-            message: `Advanced to time slot: ${stats.currentTime}`,
-            data: { currentTime: stats.currentTime }
+            data: req.simulation.getRoutingTable(nodeId)
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message
         });
     }
 });
 
-// Get network topology (for frontend visualization)
-router.get('/topology', (req, res) => {
+// Get the default arrival model and the nodes with their own
+router.get('/arrivals', (req, res) => {
     try {
-        const stats = getNetworkStats();
         res.json({
             success: true,
             data: {
-                nodes: stats.nodes.map(node => ({
-                    id: node.id,
-                    label: node.id
-                })),
-                links: stats.links.map(link => ({
-                    source: link.from,
-                    target: link.to,
-                    capacity: link.capacity
-                }))
+                ...req.simulation.getArrivalConfig(),
+                availableModels: ARRIVAL_MODELS,
+                defaultParameters: DEFAULT_ARRIVAL_PARAMETERS
             }
         });
     } catch (error) {
@@ -246,4 +573,774 @@ router.get('/topology', (req, res) => {
     }
 });
 
+// Change the arrival model of every node without one of its own
+router.post('/arrivals', (req, res) => {
+    try {
+        req.simulation.setDefaultArrivalModel(req.body);
+        res.json({
+            success: true,
+            message: `Default arrival model set to ${req.body.model}`,
+            data: req.simulation.getArrivalConfig()
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
+// Give a node its own arrival model
+router.put('/nodes/:nodeId/arrival', (req, res) => {
+    try {
+        const { nodeId } = req.params;
+
+        req.simulation.setNodeArrivalModel(nodeId, req.body);
+        res.json({
+            success: true,
+            message: `Arrival model of node ${nodeId} set to ${req.body.model}`,
+            data: req.simulation.getArrivalConfig().nodes[nodeId]
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
+// Return a node to the default arrival model
+router.delete('/nodes/:nodeId/arrival', (req, res) => {
+    try {
+        const { nodeId } = req.params;
+
+        req.simulation.setNodeArrivalModel(nodeId, null);
+        res.json({
+            success: true,
+            message: `Node ${nodeId} uses the default arrival model`
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Delete a node and all links attached to it
+router.delete('/nodes/:nodeId', (req, res) => {
+    try {
+        const { nodeId } = req.params;
+
+        req.simulation.removeNode(nodeId);
+        res.json({
+            success: true,
+            message: `Node ${nodeId} removed`
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Add a link between two existing nodes
+router.post('/links', (req, res) => {
+    try {
+        const { from, to, capacity, reverseCapacity, delay, cost, queue, policers } = req.body;
+
+        if (!from || !to) {
+            return res.status(400).json({
+                success: false,
+                error: 'Both from and to nodes are required'
+            });
+        }
+
+        req.simulation.addLink(from, to, parseInt(capacity), {
+            reverseCapacity: reverseCapacity === undefined ? undefined : parseInt(reverseCapacity),
+            delay: delay === undefined ? undefined : parseFloat(delay),
+            cost: cost === undefined ? undefined : parseFloat(cost),
+            queue,
+            policers
+        });
+        res.status(201).json({
+            success: true,
+            message: `Link added from ${from} to ${to}: ${capacity} packets/second`
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Update the admin cost and/or propagation delay of a link
+router.put('/link/:fromNode/:toNode/metrics', (req, res) => {
+    try {
+        const { fromNode, toNode } = req.params;
+        const { cost, delay } = req.body;
+
+        if (cost === undefined && delay === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'At least one of cost or delay is required'
+            });
+        }
+
+        req.simulation.updateLinkMetrics(fromNode, toNode, {
+            cost: cost === undefined ? undefined : parseFloat(cost),
+            delay: delay === undefined ? undefined : parseFloat(delay)
+        });
+        res.json({
+            success: true,
+            message: `Link metrics updated between ${fromNode} and ${toNode}`
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Get the default buffer size and queue discipline and the per-link overrides
+router.get('/queues', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                ...req.simulation.getQueueConfig(),
+                availableDisciplines: QUEUE_DISCIPLINES
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Change the default queue options for links without an override
+router.post('/queues', (req, res) => {
+    try {
+        req.simulation.setQueueDefaults(req.body);
+        res.json({
+            success: true,
+            message: 'Queue defaults updated',
+            data: req.simulation.getQueueConfig()
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
+// Override the buffer size and queue discipline of one link
+router.put('/link/:fromNode/:toNode/queue', (req, res) => {
+    try {
+        const { fromNode, toNode } = req.params;
+
+        req.simulation.setLinkQueue(fromNode, toNode, req.body);
+        res.json({
+            success: true,
+            message: `Queue options set on link between ${fromNode} and ${toNode}`
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
+// Return a link to the default queue options
+router.delete('/link/:fromNode/:toNode/queue', (req, res) => {
+    try {
+        const { fromNode, toNode } = req.params;
+
+        req.simulation.setLinkQueue(fromNode, toNode, null);
+        res.json({
+            success: true,
+            message: `Link between ${fromNode} and ${toNode} uses the default queue options`
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Get the traffic classes with their per-class statistics
+router.get('/classes', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: req.simulation.getNetworkStats().classes
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Replace the traffic classes
+router.post('/classes', (req, res) => {
+    try {
+        const { classes } = req.body;
+
+        req.simulation.setTrafficClasses(classes);
+        res.json({
+            success: true,
+            message: `Traffic classes set: ${Object.keys(classes).join(', ')}`,
+            data: req.simulation.getTrafficClasses()
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
+// Police traffic classes on one link
+router.put('/link/:fromNode/:toNode/policers', (req, res) => {
+    try {
+        const { fromNode, toNode } = req.params;
+
+        req.simulation.setLinkPolicers(fromNode, toNode, req.body);
+        res.json({
+            success: true,
+            message: `Policers set on link between ${fromNode} and ${toNode}`
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
+// Remove every policer from a link
+router.delete('/link/:fromNode/:toNode/policers', (req, res) => {
+    try {
+        const { fromNode, toNode } = req.params;
+
+        req.simulation.setLinkPolicers(fromNode, toNode, null);
+        res.json({
+            success: true,
+            message: `Policers removed from link between ${fromNode} and ${toNode}`
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Delete a link
+router.delete('/link/:fromNode/:toNode', (req, res) => {
+    try {
+        const { fromNode, toNode } = req.params;
+
+        req.simulation.removeLink(fromNode, toNode);
+        res.json({
+            success: true,
+            message: `Link between ${fromNode} and ${toNode} removed`
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Fail a link; queued packets are dropped or rerouted per the policy
+router.post('/link/:fromNode/:toNode/fail', (req, res) => {
+    try {
+        const { fromNode, toNode } = req.params;
+        const { policy } = req.body || {};
+
+        const result = req.simulation.failLink(fromNode, toNode, policy);
+        res.json({
+            success: true,
+            message: `Link between ${fromNode} and ${toNode} failed`,
+            data: result
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Restore a failed link
+router.post('/link/:fromNode/:toNode/restore', (req, res) => {
+    try {
+        const { fromNode, toNode } = req.params;
+
+        req.simulation.restoreLink(fromNode, toNode);
+        res.json({
+            success: true,
+            message: `Link between ${fromNode} and ${toNode} restored`
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Fail a node together with all of its links
+router.post('/nodes/:nodeId/fail', (req, res) => {
+    try {
+        const { nodeId } = req.params;
+        const { policy } = req.body || {};
+
+        const result = req.simulation.failNode(nodeId, policy);
+        res.json({
+            success: true,
+            message: `Node ${nodeId} failed`,
+            data: result
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Restore a failed node
+router.post('/nodes/:nodeId/restore', (req, res) => {
+    try {
+        const { nodeId } = req.params;
+
+        req.simulation.restoreNode(nodeId);
+        res.json({
+            success: true,
+            message: `Node ${nodeId} restored`
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// List active failures
+router.get('/failures', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: req.simulation.getFailures()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Set the default queue policy used when a failure does not specify one
+router.post('/failures/policy', (req, res) => {
+    try {
+        const { policy } = req.body;
+
+        if (!policy) {
+            return res.status(400).json({
+                success: false,
+                error: 'Policy is required'
+            });
+        }
+
+        req.simulation.setFailurePolicy(policy);
+        res.json({
+            success: true,
+            message: `Queued packets on failed links will be ${policy === 'drop' ? 'dropped' : 'rerouted'}`,
+            data: req.simulation.getFailures()
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Get the active routing configuration
+router.get('/routing', (req, res) => {
+    try {
+        const stats = req.simulation.getNetworkStats();
+        res.json({
+            success: true,
+            data: {
+                ...stats.routing,
+                availableMetrics: Object.keys(ROUTING_METRICS),
+                availableModes: ROUTING_MODES,
+                availableLoadBalancing: LOAD_BALANCING,
+                availableProtocols: ROUTING_PROTOCOLS
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Select the link cost metric used by the router
+router.post('/routing/metric', (req, res) => {
+    try {
+        const { metric, referenceBandwidth } = req.body;
+
+        if (!metric) {
+            return res.status(400).json({
+                success: false,
+                error: `Metric is required (one of ${Object.keys(ROUTING_METRICS).join(', ')})`
+            });
+        }
+
+        req.simulation.setRoutingMetric(metric, referenceBandwidth === undefined ? undefined : parseFloat(referenceBandwidth));
+        res.json({
+            success: true,
+            message: `Routing metric set to ${metric}`,
+            data: req.simulation.getNetworkStats().routing
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Select single-path, ECMP or k-shortest-path routing
+router.post('/routing/mode', (req, res) => {
+    try {
+        const { mode, loadBalancing, k, flowsPerPair, adaptive } = req.body;
+
+        if (!mode) {
+            return res.status(400).json({
+                success: false,
+                error: `Mode is required (one of ${ROUTING_MODES.join(', ')})`
+            });
+        }
+
+        req.simulation.setRoutingMode(mode, {
+            loadBalancing,
+            k: k === undefined ? undefined : parseInt(k),
+            flowsPerPair: flowsPerPair === undefined ? undefined : parseInt(flowsPerPair),
+            adaptive
+        });
+        res.json({
+            success: true,
+            message: `Routing mode set to ${mode}`,
+            data: req.simulation.getNetworkStats().routing
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Choose between oracle routing and a simulated routing protocol
+router.post('/routing/protocol', (req, res) => {
+    try {
+        const { protocol, distanceVector, linkState } = req.body;
+
+        if (!protocol) {
+            return res.status(400).json({
+                success: false,
+                error: `Protocol is required (one of ${ROUTING_PROTOCOLS.join(', ')})`
+            });
+        }
+
+        req.simulation.setRoutingProtocol(protocol, { distanceVector, linkState });
+        res.json({
+            success: true,
+            message: `Routing protocol set to ${protocol}`,
+            data: req.simulation.getNetworkStats().routing
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Compare routing modes (e.g. static vs adaptive) on identical traffic without touching the live run
+router.post('/routing/compare', (req, res) => {
+    try {
+        const { modes = ['single', 'adaptive'], ticks = 20 } = req.body;
+
+        const comparison = req.simulation.compareRoutingModes(modes, parseInt(ticks));
+        res.json({
+            success: true,
+            data: comparison
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Candidate paths (with costs and split weights) between two nodes
+router.get('/routing/paths/:fromNode/:toNode', (req, res) => {
+    try {
+        const { fromNode, toNode } = req.params;
+        res.json({
+            success: true,
+            data: req.simulation.getCandidatePaths(fromNode, toNode)
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Export the live configuration as a scenario document (?format=json|yaml)
+router.get('/scenario', (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+
+        if (!['json', 'yaml'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Format must be json or yaml'
+            });
+        }
+
+        if (format === 'yaml') {
+            return res.type('application/yaml').send(serializeScenario(req.simulation.exportScenario(), 'yaml'));
+        }
+
+        res.json({
+            success: true,
+            data: req.simulation.exportScenario()
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Load a scenario document (JSON body or YAML text) and reset the simulation
+router.post('/scenario', express.text({ type: YAML_TYPES, limit: '10mb' }), (req, res) => {
+    try {
+        const doc = typeof req.body === 'string' ? parseScenario(req.body) : req.body;
+
+        req.simulation.loadScenario(doc);
+        res.json({
+            success: true,
+            message: 'Scenario loaded',
+            data: req.simulation.exportScenario()
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
+// Get network topology (for frontend visualization)
+router.get('/topology', (req, res) => {
+    try {
+        const stats = req.simulation.getNetworkStats();
+        res.json({
+            success: true,
+            data: {
+                nodes: stats.nodes.map(node => ({
+                    id: node.id,
+                    label: node.id,
+                    failed: node.failed
+                })),
+                links: stats.links.map(link => ({
+                    source: link.from,
+                    target: link.to,
+                    capacity: link.capacity,
+                    ...(link.reverseCapacity !== undefined && { reverseCapacity: link.reverseCapacity }),
+                    failed: link.failed,
+                    ...(link.delay !== undefined && { delay: link.delay })
+                }))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Save the full simulation state (configuration, queues, counters, RNG state and step) to disk
+router.post('/snapshots', (req, res) => {
+    try {
+        const { name } = req.body || {};
+
+        const snapshot = saveSnapshot(req.simulation.captureSnapshot(), { name, sessionId: req.sessionId });
+        res.status(201).json({
+            success: true,
+            message: `Snapshot ${snapshot.id} saved at step ${snapshot.simulationStep}`,
+            data: snapshot
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Saved snapshots of every session
+router.get('/snapshots', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: listSnapshots()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Carry on from a snapshot; restoring the same snapshot again branches another run from it
+router.post('/snapshots/:snapshotId/restore', (req, res) => {
+    try {
+        const { snapshotId } = req.params;
+
+        const { snapshot } = readSnapshot(snapshotId);
+        req.simulation.restoreSnapshot(snapshot);
+        const stats = req.simulation.getNetworkStats();
+        res.json({
+            success: true,
+            message: `Restored snapshot ${snapshotId} at step ${stats.simulationStep}`,
+            data: stats
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
+router.delete('/snapshots/:snapshotId', (req, res) => {
+    try {
+        const { snapshotId } = req.params;
+
+        deleteSnapshot(snapshotId);
+        res.json({
+            success: true,
+            message: `Snapshot ${snapshotId} deleted`
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Export the topology with live utilization and queue attributes (?format=dot|graphml)
+router.get('/topology/export', (req, res) => {
+    try {
+        const format = req.query.format || 'dot';
+        const stats = req.simulation.getNetworkStats();
+
+        if (format === 'dot') {
+            return res.type('text/vnd.graphviz').send(toDot(stats));
+        }
+        if (format === 'graphml') {
+            return res.type('application/graphml+xml').send(toGraphML(stats));
+        }
+
+        res.status(400).json({
+            success: false,
+            error: 'Format must be dot or graphml'
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Import a topology drawn in Graphviz DOT or GraphML (yEd/Gephi) and reset the simulation
+router.post('/topology/import', express.text({ type: [...DOT_TYPES, ...GRAPHML_TYPES], limit: '10mb' }), (req, res) => {
+    try {
+        const format = req.query.format || (req.is(GRAPHML_TYPES) ? 'graphml' : 'dot');
+        const defaultCapacity = req.query.defaultCapacity === undefined
+            ? undefined
+            : parseFloat(req.query.defaultCapacity);
+
+        if (typeof req.body !== 'string' || req.body.trim() === '') {
+            return res.status(400).json({
+                success: false,
+                error: `Send the topology as text with Content-Type ${DOT_TYPES[0]} or ${GRAPHML_TYPES[0]}`
+            });
+        }
+
+        if (!['dot', 'graphml'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Format must be dot or graphml'
+            });
+        }
+
+        const topology = format === 'graphml'
+            ? parseGraphML(req.body, { defaultCapacity })
+            : parseDot(req.body, { defaultCapacity });
+
+        req.simulation.loadTopology(topology);
+        res.json({
+            success: true,
+            message: `Imported ${topology.nodes.length} nodes and ${topology.links.length} links from ${format}`,
+            data: topology
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            ...(error.details && { details: error.details })
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
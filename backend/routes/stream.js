@@ -0,0 +1,177 @@
+// routes/stream.js - Server-Sent Events push channel: every connected dashboard gets a compact
+// delta after each tick without advancing the simulation itself. Each session's simulation has
+// its own broadcast, shared by all of that session's clients.
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { touchSession } = require('../sessions');
+const {
+    STREAM_TOPICS,
+    DEFAULT_STREAM_TOPICS,
+    compactPacket,
+    createSnapshot,
+    diffSnapshots,
+    filterTopics
+} = require('../utils/stateDelta');
+
+// At most one delta per this many ms; ticks in between (max speed) are merged into one
+const MIN_BROADCAST_INTERVAL = 100;
+
+// Packets carried by one merged delta; the rest are only counted
+const MAX_STREAMED_PACKETS = 500;
+
+// Comment line sent to idle connections so proxies keep them open
+const HEARTBEAT_INTERVAL = 15000;
+
+// Broadcast per simulation that has had a client, until the simulation is disposed of
+const broadcasts = new Map();
+
+function send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(filterTopics(data, client.topics))}\n\n`);
+}
+
+// Full state for a client that is (re)starting from scratch
+function snapshotMessage(snapshot) {
+    return {
+        ...snapshot.clock,
+        summary: snapshot.summary,
+        links: Object.values(snapshot.links),
+        nodes: Object.values(snapshot.nodes)
+    };
+}
+
+function flushDelta(broadcast) {
+    broadcast.timer = null;
+    if (!broadcast.pending) return;
+
+    const next = createSnapshot(broadcast.simulation.getNetworkStats());
+    const delta = {
+        ...diffSnapshots(broadcast.snapshot, next),
+        packets: broadcast.packets,
+        ...(broadcast.packetsOmitted > 0 && { packetsOmitted: broadcast.packetsOmitted })
+    };
+    broadcast.snapshot = next;
+    broadcast.packets = [];
+    broadcast.packetsOmitted = 0;
+    broadcast.pending = false;
+    broadcast.lastSent = Date.now();
+
+    broadcast.clients.forEach(client => send(client, 'tick', delta));
+}
+
+function onSimulationEvent(broadcast, type, payload) {
+    const { simulation, clients } = broadcast;
+
+    if (type === 'closed') {
+        // The session is gone; its clients have nothing left to watch
+        clearTimeout(broadcast.timer);
+        broadcasts.delete(simulation);
+        clients.forEach(client => client.res.end());
+        clients.clear();
+        return;
+    }
+
+    if (clients.size === 0) return;
+
+    if (type === 'reset') {
+        clearTimeout(broadcast.timer);
+        broadcast.timer = null;
+        broadcast.pending = false;
+        broadcast.packets = [];
+        broadcast.packetsOmitted = 0;
+        broadcast.snapshot = createSnapshot(simulation.getNetworkStats());
+        clients.forEach(client => send(client, 'snapshot', snapshotMessage(broadcast.snapshot)));
+        return;
+    }
+
+    if (type === 'status') {
+        const { isRunning, speed } = simulation.getNetworkStats();
+        clients.forEach(client => send(client, 'status', { isRunning, speed }));
+        return;
+    }
+
+    // A tick: collect its packets and send a delta now, or once the interval is up
+    const room = MAX_STREAMED_PACKETS - broadcast.packets.length;
+    broadcast.packets.push(...payload.packets.slice(0, Math.max(room, 0)).map(compactPacket));
+    broadcast.packetsOmitted += Math.max(payload.packets.length - Math.max(room, 0), 0);
+    broadcast.pending = true;
+
+    const wait = broadcast.lastSent + MIN_BROADCAST_INTERVAL - Date.now();
+    if (wait <= 0) {
+        clearTimeout(broadcast.timer);
+        flushDelta(broadcast);
+    } else if (!broadcast.timer) {
+        broadcast.timer = setTimeout(() => flushDelta(broadcast), wait);
+    }
+}
+
+// Broadcast of a simulation, set up the first time one of its clients connects
+function getBroadcast(simulation) {
+    if (!broadcasts.has(simulation)) {
+        // State as last sent to clients, plus what piled up since
+        const broadcast = {
+            simulation,
+            clients: new Set(),
+            snapshot: null,
+            packets: [],
+            packetsOmitted: 0,
+            pending: false,
+            timer: null,
+            lastSent: 0
+        };
+        simulation.subscribe((type, payload) => onSimulationEvent(broadcast, type, payload));
+        broadcasts.set(simulation, broadcast);
+    }
+    return broadcasts.get(simulation);
+}
+
+// Connected clients keep their session from expiring
+setInterval(() => {
+    broadcasts.forEach(({ clients }) => {
+        clients.forEach(client => {
+            client.res.write(': heartbeat\n\n');
+            touchSession(client.sessionId);
+        });
+    });
+}, HEARTBEAT_INTERVAL).unref();
+
+// Subscribe to the simulation's push channel
+router.get('/stream', (req, res) => {
+    const topics = req.query.topics
+        ? String(req.query.topics).split(',').map(topic => topic.trim()).filter(Boolean)
+        : DEFAULT_STREAM_TOPICS;
+    const unknown = topics.filter(topic => !STREAM_TOPICS.includes(topic));
+    if (unknown.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: `Unknown topics: ${unknown.join(', ')}`,
+            availableTopics: STREAM_TOPICS
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const broadcast = getBroadcast(req.simulation);
+    const { clients } = broadcast;
+
+    // Deltas are relative to the last broadcast, so a newcomer starts from that state; any
+    // pending delta then brings it up to date with everyone else
+    if (clients.size === 0) {
+        clearTimeout(broadcast.timer);
+        Object.assign(broadcast, { timer: null, pending: false, packets: [], packetsOmitted: 0 });
+        broadcast.snapshot = createSnapshot(req.simulation.getNetworkStats());
+    }
+    const client = { res, topics, sessionId: req.sessionId };
+    clients.add(client);
+    send(client, 'snapshot', snapshotMessage(broadcast.snapshot));
+
+    req.on('close', () => {
+        clients.delete(client);
+    });
+});
+
+module.exports = router;
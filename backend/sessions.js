@@ -0,0 +1,136 @@
+// sessions.js - Independent simulations addressed by id. The default session backs /api/simulate
+// and lives as long as the server; every other session is created on request and dropped once
+// nobody has used it for a while and its clock is not running.
+const crypto = require('crypto');
+const { createSimulation } = require('./network');
+const { SimulationError } = require('./utils/errors');
+
+const DEFAULT_SESSION_ID = 'default';
+
+// Sessions that may exist at once, the default one included
+const MAX_SESSIONS = Number(process.env.MAX_SESSIONS) || 20;
+
+// Minutes without a request (or a connected stream) after which a session is removed
+const SESSION_IDLE_MINUTES = Number(process.env.SESSION_IDLE_MINUTES) || 30;
+
+// How often idle sessions are looked for (ms)
+const EXPIRY_CHECK_INTERVAL = 60 * 1000;
+
+const sessions = new Map();
+
+function describeSession(session) {
+    const { isRunning, simulationStep, currentTime } = session.simulation.getNetworkStats();
+    return {
+        id: session.id,
+        createdAt: new Date(session.createdAt).toISOString(),
+        lastActivity: new Date(session.lastActivity).toISOString(),
+        expiresAt: session.id === DEFAULT_SESSION_ID || isRunning
+            ? null
+            : new Date(session.lastActivity + SESSION_IDLE_MINUTES * 60 * 1000).toISOString(),
+        isRunning,
+        simulationStep,
+        currentTime
+    };
+}
+
+function register(id, simulation) {
+    const now = Date.now();
+    const session = { id, simulation, createdAt: now, lastActivity: now };
+    sessions.set(id, session);
+    return session;
+}
+
+// The default session, created on first use
+function getDefaultSession() {
+    if (!sessions.has(DEFAULT_SESSION_ID)) {
+        const simulation = createSimulation();
+        simulation.initializeNetwork();
+        register(DEFAULT_SESSION_ID, simulation);
+    }
+    return sessions.get(DEFAULT_SESSION_ID);
+}
+
+// Start a new session from the default network, a scenario document or a captured snapshot
+function createSession({ scenario, snapshot } = {}) {
+    if (sessions.size >= MAX_SESSIONS) {
+        throw new SimulationError(`Session limit reached (${MAX_SESSIONS}); delete a session or wait for an idle one to expire`, 429);
+    }
+
+    const simulation = createSimulation();
+    simulation.initializeNetwork();
+    if (scenario !== undefined) {
+        simulation.loadScenario(scenario);
+    }
+    if (snapshot !== undefined) {
+        simulation.restoreSnapshot(snapshot);
+    }
+    return describeSession(register(crypto.randomUUID(), simulation));
+}
+
+function getSession(id) {
+    const session = id === DEFAULT_SESSION_ID ? getDefaultSession() : sessions.get(id);
+    if (!session) {
+        throw new SimulationError(`Session ${id} not found`, 404);
+    }
+    return session;
+}
+
+// Mark a session as in use, postponing its expiry
+function touchSession(id) {
+    const session = sessions.get(id);
+    if (session) session.lastActivity = Date.now();
+}
+
+function listSessions() {
+    getDefaultSession();
+    return [...sessions.values()].map(describeSession);
+}
+
+function removeSession(session) {
+    sessions.delete(session.id);
+    session.simulation.dispose();
+}
+
+function deleteSession(id) {
+    if (id === DEFAULT_SESSION_ID) {
+        throw new SimulationError('The default session cannot be deleted');
+    }
+    removeSession(getSession(id));
+}
+
+// A session running headless on the server clock stays in use however long it goes unvisited;
+// its idle time counts from when it was last used or paused
+function expireIdleSessions() {
+    const cutoff = Date.now() - SESSION_IDLE_MINUTES * 60 * 1000;
+    sessions.forEach(session => {
+        if (session.simulation.isRunning()) {
+            session.lastActivity = Date.now();
+            return;
+        }
+        if (session.id !== DEFAULT_SESSION_ID && session.lastActivity < cutoff) {
+            removeSession(session);
+        }
+    });
+}
+
+setInterval(expireIdleSessions, EXPIRY_CHECK_INTERVAL).unref();
+
+// Stop every session's clock (on shutdown)
+function pauseAllSessions() {
+    sessions.forEach(session => session.simulation.pauseSimulation());
+}
+
+module.exports = {
+    DEFAULT_SESSION_ID,
+    MAX_SESSIONS,
+    SESSION_IDLE_MINUTES,
+    getDefaultSession,
+    describeSession,
+    createSession,
+    getSession,
+    touchSession,
+    listSessions,
+    deleteSession,
+    expireIdleSessions,
+    pauseAllSessions
+};
@@ -0,0 +1,94 @@
+// snapshots.js - Simulation snapshots saved as JSON files on local disk. Snapshots are not tied
+// to the session they were taken in: any session can be restored from one, so several what-if
+// runs can branch from the same moment.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { SimulationError } = require('./utils/errors');
+
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(__dirname, 'snapshots');
+
+// Snapshot ids double as file names
+const SNAPSHOT_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const MAX_SNAPSHOT_NAME_LENGTH = 100;
+
+function snapshotFile(id) {
+    if (typeof id !== 'string' || !SNAPSHOT_ID_PATTERN.test(id)) {
+        throw new SimulationError(`Snapshot ${id} not found`, 404);
+    }
+    return path.join(SNAPSHOT_DIR, `${id}.json`);
+}
+
+// What the listing shows of a snapshot; the captured simulation itself stays on disk
+function describeSnapshot({ id, name, createdAt, sessionId, simulationStep, currentTime }) {
+    return { id, name, createdAt, sessionId, simulationStep, currentTime };
+}
+
+// Write a captured simulation (see captureSnapshot in network.js) to disk
+function saveSnapshot(snapshot, { name, sessionId } = {}) {
+    if (name !== undefined && (typeof name !== 'string' || name.length > MAX_SNAPSHOT_NAME_LENGTH)) {
+        throw new SimulationError(`Snapshot name must be a string of at most ${MAX_SNAPSHOT_NAME_LENGTH} characters`);
+    }
+
+    const id = crypto.randomUUID();
+    const doc = {
+        id,
+        name: name || null,
+        createdAt: new Date().toISOString(),
+        sessionId: sessionId || null,
+        simulationStep: snapshot.state.simulationStep,
+        currentTime: snapshot.state.currentTime,
+        snapshot
+    };
+
+    // Write to a temporary file first so a crash never leaves half a snapshot behind
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    const file = snapshotFile(id);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(doc));
+    fs.renameSync(`${file}.tmp`, file);
+    return describeSnapshot(doc);
+}
+
+function readSnapshot(id) {
+    const file = snapshotFile(id);
+    if (!fs.existsSync(file)) {
+        throw new SimulationError(`Snapshot ${id} not found`, 404);
+    }
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new SimulationError(`Snapshot ${id} is unreadable: ${error.message}`, 500);
+    }
+}
+
+// Saved snapshots, oldest first
+function listSnapshots() {
+    if (!fs.existsSync(SNAPSHOT_DIR)) return [];
+    return fs.readdirSync(SNAPSHOT_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            try {
+                return describeSnapshot(JSON.parse(fs.readFileSync(path.join(SNAPSHOT_DIR, file), 'utf8')));
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function deleteSnapshot(id) {
+    const file = snapshotFile(id);
+    if (!fs.existsSync(file)) {
+        throw new SimulationError(`Snapshot ${id} not found`, 404);
+    }
+    fs.unlinkSync(file);
+}
+
+module.exports = {
+    saveSnapshot,
+    readSnapshot,
+    listSnapshots,
+    deleteSnapshot
+};
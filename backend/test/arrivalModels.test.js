@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateArrivalModel, normalizeArrivalModel, arrivalTimes } = require('../utils/arrivalModels');
+const { createRng, nextRandom } = require('../utils/random');
+
+const TICK = 1000;
+
+// Packets per tick over many ticks, drawn from a seeded generator
+function countArrivals(spec, rate, ticks, seed = 7) {
+    const rng = createRng(seed);
+    const random = () => nextRandom(rng);
+    const state = {};
+    const counts = [];
+    for (let i = 0; i < ticks; i++) {
+        const times = arrivalTimes(normalizeArrivalModel(spec), rate, TICK, state, random);
+        times.forEach((time, index) => {
+            assert.ok(time >= 0 && time < TICK, `arrival at ${time} is outside the tick`);
+            if (index > 0) assert.ok(time >= times[index - 1], 'arrivals are not in order');
+        });
+        counts.push(times.length);
+    }
+    return counts;
+}
+
+const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+const variance = values => {
+    const m = mean(values);
+    return mean(values.map(value => (value - m) ** 2));
+};
+
+test('constant sends exactly the rate, carrying fractions over', () => {
+    assert.deepEqual(countArrivals({ model: 'constant' }, 3, 4), [3, 3, 3, 3]);
+    assert.deepEqual(countArrivals({ model: 'constant' }, 0.5, 4), [0, 1, 0, 1]);
+    assert.deepEqual(arrivalTimes({ model: 'constant' }, 2, TICK, {}), [250, 750]);
+});
+
+test('a rate of zero sends nothing', () => {
+    ['constant', 'poisson', 'on-off', 'pareto'].forEach(model => {
+        assert.deepEqual(arrivalTimes(normalizeArrivalModel({ model }), 0, TICK, {}), []);
+    });
+});
+
+test('poisson keeps the mean rate with variance close to the mean', () => {
+    const counts = countArrivals({ model: 'poisson' }, 20, 2000);
+    assert.ok(Math.abs(mean(counts) - 20) < 0.5, `mean ${mean(counts)}`);
+    assert.ok(Math.abs(variance(counts) - 20) < 3, `variance ${variance(counts)}`);
+});
+
+test('on-off keeps the mean rate but is burstier than poisson', () => {
+    const counts = countArrivals({ model: 'on-off', meanOn: 2000, meanOff: 2000 }, 20, 4000);
+    assert.ok(Math.abs(mean(counts) - 20) < 2, `mean ${mean(counts)}`);
+    assert.ok(variance(counts) > 40, `variance ${variance(counts)}`);
+    assert.ok(counts.includes(0), 'never silent');
+});
+
+test('pareto keeps the mean rate roughly', () => {
+    const counts = countArrivals({ model: 'pareto', shape: 1.9 }, 20, 4000);
+    assert.ok(Math.abs(mean(counts) - 20) < 3, `mean ${mean(counts)}`);
+});
+
+test('the same seed gives the same arrivals', () => {
+    const spec = { model: 'on-off' };
+    assert.deepEqual(countArrivals(spec, 10, 50, 3), countArrivals(spec, 10, 50, 3));
+});
+
+test('normalizeArrivalModel fills in defaults and drops unused fields', () => {
+    assert.deepEqual(normalizeArrivalModel({ model: 'on-off', meanOn: 500 }), { model: 'on-off', meanOn: 500, meanOff: 1000 });
+    assert.deepEqual(normalizeArrivalModel({ model: 'poisson', shape: 3 }), { model: 'poisson' });
+});
+
+test('validateArrivalModel rejects unknown models and bad parameters', () => {
+    assert.deepEqual(validateArrivalModel({ model: 'pareto', shape: 1.5 }), []);
+    assert.equal(validateArrivalModel(null).length, 1);
+    assert.equal(validateArrivalModel({ model: 'burst' }).length, 1);
+    assert.equal(validateArrivalModel({ model: 'on-off', meanOn: 0, meanOff: -1 }).length, 2);
+    assert.equal(validateArrivalModel({ model: 'pareto', shape: 1 }).length, 1);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dijkstra, equalCostPaths, kShortestPaths, pathCost } = require('../utils/dijkstra');
+
+// A square with a diagonal: A-B-D and A-C-D both cost 2, A-E-D costs 3
+const NODES = ['A', 'B', 'C', 'D', 'E'];
+const LINKS = [
+    { from: 'A', to: 'B', weight: 1 },
+    { from: 'B', to: 'D', weight: 1 },
+    { from: 'A', to: 'C', weight: 1 },
+    { from: 'C', to: 'D', weight: 1 },
+    { from: 'A', to: 'E', weight: 1 },
+    { from: 'E', to: 'D', weight: 2 }
+];
+const byWeight = link => link.weight;
+
+test('dijkstra finds a cheapest path', () => {
+    const path = dijkstra(NODES, LINKS, 'A', 'D', byWeight);
+    assert.equal(pathCost(path, LINKS, byWeight), 2);
+    assert.equal(path[0], 'A');
+    assert.equal(path[path.length - 1], 'D');
+});
+
+test('equalCostPaths returns every shortest path in a stable order', () => {
+    const paths = equalCostPaths(NODES, LINKS, 'A', 'D', byWeight);
+    assert.deepEqual(paths, [
+        { path: ['A', 'B', 'D'], cost: 2 },
+        { path: ['A', 'C', 'D'], cost: 2 }
+    ]);
+});
+
+test('equalCostPaths stops at maxPaths', () => {
+    assert.equal(equalCostPaths(NODES, LINKS, 'A', 'D', byWeight, 1).length, 1);
+});
+
+test('equalCostPaths returns nothing for unreachable or identical ends', () => {
+    assert.deepEqual(equalCostPaths([...NODES, 'F'], LINKS, 'A', 'F', byWeight), []);
+    assert.deepEqual(equalCostPaths(NODES, LINKS, 'A', 'A', byWeight), []);
+});
+
+test('equalCostPaths does not loop over zero-weight links', () => {
+    const links = [
+        { from: 'A', to: 'B', weight: 1 },
+        { from: 'B', to: 'C', weight: 0 },
+        { from: 'C', to: 'D', weight: 1 }
+    ];
+    assert.deepEqual(equalCostPaths(['A', 'B', 'C', 'D'], links, 'A', 'D', byWeight), [
+        { path: ['A', 'B', 'C', 'D'], cost: 2 }
+    ]);
+
+    // Every path stays loop-free when zero-weight links also open alternatives
+    const meshed = [...links, { from: 'A', to: 'C', weight: 1 }, { from: 'B', to: 'D', weight: 1 }];
+    const paths = equalCostPaths(['A', 'B', 'C', 'D'], meshed, 'A', 'D', byWeight);
+    assert.ok(paths.length > 1);
+    paths.forEach(({ path, cost }) => {
+        assert.equal(new Set(path).size, path.length, `${path.join(',')} revisits a node`);
+        assert.equal(cost, 2);
+    });
+});
+
+test('kShortestPaths returns loopless paths ordered by cost', () => {
+    const paths = kShortestPaths(NODES, LINKS, 'A', 'D', 3, byWeight);
+    assert.equal(paths.length, 3);
+    assert.deepEqual(paths.map(({ cost }) => cost), [2, 2, 3]);
+    assert.deepEqual(paths[2].path, ['A', 'E', 'D']);
+    paths.forEach(({ path }) => assert.equal(new Set(path).size, path.length));
+});
+
+test('kShortestPaths returns fewer paths when the graph has no more', () => {
+    const links = [{ from: 'A', to: 'B', weight: 1 }];
+    assert.deepEqual(kShortestPaths(['A', 'B'], links, 'A', 'B', 3, byWeight), [{ path: ['A', 'B'], cost: 1 }]);
+});
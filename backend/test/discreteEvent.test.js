@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulation } = require('../network');
+
+// Discrete-event run with a slow B-D link, so packets are still on their way to D after a few ticks
+function slowRun() {
+    const simulation = createSimulation();
+    simulation.initializeNetwork();
+    simulation.setSimulationEngine('discrete-event');
+    simulation.updateLinkMetrics('B', 'D', { delay: 999 });
+    for (let i = 0; i < 3; i++) simulation.simulateTick();
+    return simulation;
+}
+
+// Every packet generated was delivered, dropped, or is still in flight
+function assertAccounted(summary) {
+    const dropped = Object.values(summary.drops).reduce((a, b) => a + b, 0);
+    assert.equal(summary.totalPacketsTransmitted + dropped + summary.packetsInFlight, summary.totalPacketsGenerated);
+}
+
+test('packets in flight follow a renamed node', () => {
+    const simulation = slowRun();
+    assert.ok(simulation.getNetworkStats().summary.packetsInFlight > 0);
+
+    simulation.renameNode('D', 'Z');
+    for (let i = 0; i < 3; i++) simulation.simulateTick();
+
+    const { summary, nodes } = simulation.getNetworkStats();
+    assert.equal(summary.drops['link-down'], undefined);
+    assert.ok(nodes.find(node => node.id === 'Z').packetsReceived > 0);
+    assertAccounted(summary);
+});
+
+test('packets in flight through a removed node are dropped as link-down', () => {
+    const simulation = slowRun();
+    const inFlight = simulation.getNetworkStats().summary.packetsInFlight;
+
+    simulation.removeNode('D');
+    const removed = simulation.getNetworkStats().summary;
+    assert.ok(removed.drops['link-down'] > 0 && removed.drops['link-down'] <= inFlight);
+    assert.equal(removed.packetsDroppedByFailure, removed.drops['link-down']);
+
+    for (let i = 0; i < 3; i++) simulation.simulateTick();
+    assertAccounted(simulation.getNetworkStats().summary);
+});
+
+// A and B joined by one link, with only A sending; constant arrivals are spread evenly over each tick
+function pointToPoint(link, rate) {
+    const simulation = createSimulation();
+    simulation.initializeNetwork();
+    simulation.setSimulationEngine('discrete-event');
+    simulation.loadTopology({ nodes: ['A', 'B'], links: [{ from: 'A', to: 'B', ...link }] });
+    simulation.updateTrafficRates('A', rate);
+    simulation.updateTrafficRates('B', 0);
+    return simulation;
+}
+
+function delivered(simulation, ticks) {
+    const packets = [];
+    for (let i = 0; i < ticks; i++) {
+        simulation.simulateTick();
+        packets.push(...simulation.getNetworkStats().packets.filter(packet => packet.outcome === 'delivered'));
+    }
+    return packets;
+}
+
+test('latency is serialization plus propagation on an idle link', () => {
+    // 4 pkt/s: 250 ms to send a packet, then 300 ms on the wire
+    const simulation = pointToPoint({ capacity: 4, delay: 300 }, 2);
+    const packets = delivered(simulation, 2);
+
+    // The one sent at 1750 ms is still on the wire when the second tick ends
+    const { clock, summary } = simulation.getNetworkStats();
+    assert.equal(clock, 2000);
+    assert.equal(summary.packetsInFlight, 1);
+    assert.deepEqual(packets.map(packet => packet.createdAt), [250, 750, 1250]);
+    packets.forEach(packet => {
+        assert.equal(packet.deliveredAt - packet.createdAt, 550);
+        assert.equal(packet.latency, 0.55);
+        assert.deepEqual(packet.queueDelays, [0]);
+    });
+});
+
+test('packets queue behind a busy transmitter and arrive in later ticks', () => {
+    // Arrivals every 250 ms into a link that takes 500 ms per packet, then 1.5 s on the wire
+    const simulation = pointToPoint({ capacity: 2, delay: 1500 }, 4);
+    assert.deepEqual(delivered(simulation, 2), []);
+    assert.equal(simulation.getNetworkStats().summary.packetsInFlight, 8);
+
+    const packets = delivered(simulation, 2);
+    assert.deepEqual(packets.slice(0, 4).map(packet => [packet.createdAt, packet.deliveredAt, packet.queueDelays[0]]), [
+        [125, 2125, 0],
+        [375, 2625, 0.25],
+        [625, 3125, 0.5],
+        [875, 3625, 0.75]
+    ]);
+});
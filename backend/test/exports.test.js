@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    validateExportQuery,
+    packetExportRows,
+    linkExportRows,
+    nodeExportRows,
+    exportHeader,
+    formatExportRow
+} = require('../utils/exports');
+const { TRACE_LIMIT, createTrace, recordTracePacket, traceEntries, traceRange } = require('../utils/traces');
+
+const packet = (id, source, destination, outcome = 'delivered') => ({
+    id,
+    source,
+    destination,
+    trafficClass: 'voice',
+    path: [source, 'B', destination],
+    route: [
+        { from: source, to: 'B', transmitted: true },
+        { from: 'B', to: destination, transmitted: outcome === 'delivered' }
+    ],
+    outcome,
+    ...(outcome === 'delivered' && { latency: 2 })
+});
+
+const SAMPLES = [1, 2, 3].map(step => ({
+    step,
+    time: '08:00',
+    link: { 'A-B': { load: step, utilization: step, queue: 0 }, 'B-A': { load: 0, utilization: 0, queue: 0 } },
+    node: { A: { generated: step, received: 0 }, B: { generated: 0, received: step } }
+}));
+
+test('packet rows filter by step, source, destination and node', () => {
+    const trace = createTrace();
+    recordTracePacket(trace, packet('p1', 'A', 'D'), 1);
+    recordTracePacket(trace, packet('p2', 'C', 'D', 'buffer-overflow'), 2);
+    recordTracePacket(trace, packet('p3', 'A', 'E'), 3);
+    const ids = query => [...packetExportRows(traceEntries(trace), query)].map(row => row.id);
+
+    assert.deepEqual(ids({}), ['p1', 'p2', 'p3']);
+    assert.deepEqual(ids({ from: 2, to: 2 }), ['p2']);
+    assert.deepEqual(ids({ sources: ['A'] }), ['p1', 'p3']);
+    assert.deepEqual(ids({ destinations: ['D'], sources: ['C'] }), ['p2']);
+    assert.deepEqual(ids({ nodes: ['E', 'C'] }), ['p2', 'p3']);
+});
+
+test('trace entries record the outcome of every hop', () => {
+    const trace = createTrace();
+    recordTracePacket(trace, packet('p1', 'A', 'D', 'buffer-overflow'), 4);
+    const [entry] = traceEntries(trace);
+    assert.deepEqual(entry.hops, [
+        { from: 'A', to: 'B', outcome: 'sent' },
+        { from: 'B', to: 'D', outcome: 'buffer-overflow' }
+    ]);
+    assert.equal(entry.latency, null);
+});
+
+test('the trace keeps the newest TRACE_LIMIT entries in order and reports the steps it covers', () => {
+    const trace = createTrace();
+    for (let i = 0; i < TRACE_LIMIT + 3; i++) {
+        recordTracePacket(trace, packet(`p${i}`, 'A', 'D'), Math.floor(i / 2));
+    }
+    const entries = traceEntries(trace);
+    assert.equal(entries.length, TRACE_LIMIT);
+    assert.equal(entries[0].id, 'p3');
+    assert.equal(entries[entries.length - 1].id, `p${TRACE_LIMIT + 2}`);
+    // Step 1 lost one of its two entries, so the trace only fully covers step 2 onwards
+    assert.deepEqual(traceRange(trace), { from: 2, to: Math.floor((TRACE_LIMIT + 2) / 2), truncated: true });
+    assert.deepEqual(traceRange(createTrace()), { from: null, to: null, truncated: false });
+});
+
+test('link and node rows come one per entity and tick', () => {
+    const links = [...linkExportRows(SAMPLES, { from: 2, links: ['A-B'] })];
+    assert.deepEqual(links, [
+        { step: 2, time: '08:00', link: 'A-B', from: 'A', to: 'B', load: 2, utilization: 2, queue: 0 },
+        { step: 3, time: '08:00', link: 'A-B', from: 'A', to: 'B', load: 3, utilization: 3, queue: 0 }
+    ]);
+    assert.equal([...linkExportRows(SAMPLES, {})].length, 6);
+    assert.deepEqual([...nodeExportRows(SAMPLES, { to: 1, nodes: [] })].map(row => row.node), ['A', 'B']);
+});
+
+test('CSV rows flatten paths and hops and quote fields that need it', () => {
+    const trace = createTrace();
+    recordTracePacket(trace, { ...packet('p,1', 'A', 'D'), trafficClass: 'say "hi"' }, 1);
+    const [entry] = traceEntries(trace);
+
+    assert.equal(exportHeader('packets', 'csv'), 'id,step,source,destination,trafficClass,path,hops,outcome,latency\n');
+    assert.equal(
+        formatExportRow('packets', 'csv', entry),
+        '"p,1",1,A,D,"say ""hi""",A>B>D,A>B:sent;B>D:sent,delivered,2\n'
+    );
+    assert.equal(formatExportRow('packets', 'csv', { ...entry, id: 'p\n1', latency: null }).split('\n')[0], '"p');
+});
+
+test('NDJSON rows are one JSON object per line without a header', () => {
+    const [row] = linkExportRows(SAMPLES, { links: ['B-A'] });
+    assert.equal(exportHeader('links', 'ndjson'), '');
+    const line = formatExportRow('links', 'ndjson', row);
+    assert.ok(line.endsWith('\n'));
+    assert.deepEqual(JSON.parse(line), row);
+});
+
+test('validateExportQuery reports every problem', () => {
+    assert.deepEqual(validateExportQuery('packets', { format: 'csv', sources: ['A'] }), []);
+    assert.deepEqual(validateExportQuery('routes', {}), ['export must be one of packets, links, nodes']);
+    assert.deepEqual(validateExportQuery('links', { format: 'xml', from: 4, to: 2, nodes: ['A'] }), [
+        'format must be one of csv, ndjson',
+        'from must not be after to',
+        'node cannot filter a links export'
+    ]);
+    assert.deepEqual(validateExportQuery('nodes', { from: -1 }), ['from must be a simulation step (integer >= 0)']);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulation } = require('../network');
+const { parseGraphML, toGraphML, parseDot, toDot } = require('../utils/graphFormats');
+
+const GRAPHML = `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+  <key id="d0" for="edge" attr.name="capacity" attr.type="double"/>
+  <key id="d1" for="edge" attr.name="delay" attr.type="double"/>
+  <key id="n0" for="node" attr.name="label" attr.type="string"/>
+  <graph id="g" edgedefault="undirected">
+    <node id="n1"><data key="n0">Paris</data></node>
+    <node id="n2"><data key="n0">Lyon</data></node>
+    <node id="n3"/>
+    <edge source="n1" target="n2"><data key="d0">100</data><data key="d1">5</data></edge>
+    <edge source="n2" target="n3"/>
+  </graph>
+</graphml>`;
+
+test('GraphML nodes take their label, edges their mapped attributes', () => {
+    const topology = parseGraphML(GRAPHML, { defaultCapacity: 10 });
+    assert.deepEqual(topology, {
+        nodes: ['Paris', 'Lyon', 'n3'],
+        links: [
+            { from: 'Paris', to: 'Lyon', capacity: 100, delay: 5 },
+            { from: 'Lyon', to: 'n3', capacity: 10 }
+        ]
+    });
+});
+
+test('GraphML without a graph, or an edge without capacity, is rejected', () => {
+    assert.throws(() => parseGraphML('<graphml/>'), { status: 400 });
+    assert.throws(() => parseGraphML(GRAPHML), /no capacity attribute/);
+});
+
+test('DOT edge chains, defaults and comments', () => {
+    const topology = parseDot(`
+        strict graph net {
+            rankdir=LR; // layout only
+            edge [capacity=50];
+            A;
+            A -- B -- "C 1" [delay=2];
+            /* an override */
+            C_2 -- A [capacity=80, cost=3]
+        }`);
+    assert.deepEqual(topology, {
+        nodes: ['A', 'B', 'C 1', 'C_2'],
+        links: [
+            { from: 'A', to: 'B', capacity: 50, delay: 2 },
+            { from: 'B', to: 'C 1', capacity: 50, delay: 2 },
+            { from: 'C_2', to: 'A', capacity: 80, cost: 3 }
+        ]
+    });
+});
+
+test('malformed DOT is rejected', () => {
+    assert.throws(() => parseDot('network { A -- B }'), /must start with/);
+    assert.throws(() => parseDot('graph { A -- B [capacity=1]'), /end of input/);
+    assert.throws(() => parseDot('graph { subgraph s { A } }'), /Subgraphs/);
+    assert.throws(() => parseDot('graph { A -- B @ }'), { status: 400 });
+});
+
+test('exported topologies parse back to the same links', () => {
+    const simulation = createSimulation();
+    simulation.initializeNetwork();
+    simulation.updateLinkCapacity('A', 'B', 100, 40);
+    const stats = simulation.getNetworkStats();
+    const expected = stats.links.map(({ from, to, capacity, reverseCapacity }) =>
+        ({ from, to, capacity, ...(reverseCapacity !== undefined && { reverseCapacity }) }));
+
+    [parseGraphML(toGraphML(stats)), parseDot(toDot(stats))].forEach(topology => {
+        assert.deepEqual(topology.nodes, ['A', 'B', 'C', 'D', 'E']);
+        assert.deepEqual(topology.links, expected);
+    });
+});
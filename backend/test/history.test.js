@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    HISTORY_LIMIT,
+    createHistory,
+    recordSample,
+    historyRange,
+    historyEntities,
+    validateHistoryQuery,
+    queryHistory
+} = require('../utils/history');
+
+// History of `count` ticks where link A-B carries the step number as its load
+function buildHistory(count, first = 1) {
+    const history = createHistory();
+    for (let step = first; step < first + count; step++) {
+        recordSample(history, {
+            step,
+            time: '08:00',
+            link: { 'A-B': { load: step, utilization: 0, queue: 0 } },
+            node: { A: { generated: 1, received: 0 }, ...(step > 2 && { B: { generated: 2, received: 1 } }) },
+            summary: { generated: 1, transmitted: 1, drops: 0, packetLoss: 0, averageQueueSize: 0 }
+        });
+    }
+    return history;
+}
+
+test('queryHistory returns every sample in range when it fits in the points', () => {
+    const result = queryHistory(buildHistory(10), { metric: 'link.load', entities: ['A-B'], from: 3, to: 5 });
+    assert.equal(result.bucketSize, 1);
+    assert.equal(result.from, 3);
+    assert.equal(result.to, 5);
+    assert.deepEqual(result.series, [{
+        entity: 'A-B',
+        points: [
+            { step: 3, time: '08:00', value: 3 },
+            { step: 4, time: '08:00', value: 4 },
+            { step: 5, time: '08:00', value: 5 }
+        ]
+    }]);
+});
+
+test('queryHistory downsamples long ranges into buckets with mean, min and max', () => {
+    const result = queryHistory(buildHistory(10), { metric: 'link.load', entities: ['A-B'], points: 3 });
+    assert.equal(result.bucketSize, 4);
+    assert.deepEqual(result.series[0].points, [
+        { step: 1, time: '08:00', value: 2.5, min: 1, max: 4 },
+        { step: 5, time: '08:00', value: 6.5, min: 5, max: 8 },
+        { step: 9, time: '08:00', value: 9.5, min: 9, max: 10 }
+    ]);
+});
+
+test('queryHistory skips ticks an entity has no value for', () => {
+    const result = queryHistory(buildHistory(4), { metric: 'node.generated', entities: ['B'] });
+    assert.deepEqual(result.series[0].points.map(point => point.step), [3, 4]);
+});
+
+test('queryHistory returns empty series for a range with no samples', () => {
+    const result = queryHistory(buildHistory(4), { metric: 'summary.generated', entities: ['summary'], from: 50 });
+    assert.equal(result.from, null);
+    assert.deepEqual(result.series, [{ entity: 'summary', points: [] }]);
+});
+
+test('historyEntities lists entities in order of first appearance', () => {
+    const history = buildHistory(4);
+    assert.deepEqual(historyEntities(history, 'node.received'), ['A', 'B']);
+    assert.deepEqual(historyEntities(history, 'summary.drops'), ['summary']);
+});
+
+test('recordSample keeps only the last HISTORY_LIMIT ticks and reports what it dropped', () => {
+    const history = buildHistory(HISTORY_LIMIT);
+    assert.deepEqual(historyRange(history), { from: 1, to: HISTORY_LIMIT, truncated: false });
+
+    recordSample(history, { ...history.samples[0], step: HISTORY_LIMIT + 1 });
+    recordSample(history, { ...history.samples[0], step: HISTORY_LIMIT + 2 });
+    assert.equal(history.samples.length, HISTORY_LIMIT);
+    assert.deepEqual(historyRange(history), { from: 3, to: HISTORY_LIMIT + 2, truncated: true });
+    assert.deepEqual(historyRange(createHistory()), { from: null, to: null, truncated: false });
+});
+
+test('validateHistoryQuery reports every problem', () => {
+    assert.deepEqual(validateHistoryQuery({ metric: 'link.queue' }), []);
+    assert.equal(validateHistoryQuery({ metric: 'link.delay', from: -1, to: 1.5, points: 0 }).length, 4);
+    assert.deepEqual(validateHistoryQuery({ metric: 'node.received', from: 5, to: 2 }), ['from must not be after to']);
+});
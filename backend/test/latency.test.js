@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    PAIR_WINDOW,
+    createLatencyStats,
+    recordLatency,
+    networkLatency,
+    latencyReport
+} = require('../utils/latency');
+
+const deliver = (stats, source, destination, latency, queueDelays = []) =>
+    recordLatency(stats, { source, destination, latency, queueDelays });
+
+test('an empty window has no figures', () => {
+    assert.deepEqual(networkLatency(createLatencyStats()), {
+        delivered: 0,
+        latency: null,
+        hopQueueDelay: null,
+        hops: null,
+        jitter: null
+    });
+});
+
+test('percentiles use the nearest rank', () => {
+    const stats = createLatencyStats();
+    for (let latency = 1; latency <= 100; latency++) deliver(stats, 'A', 'B', latency);
+
+    const { latency } = networkLatency(stats);
+    assert.deepEqual(latency, { mean: 50.5, p50: 50, p95: 95, p99: 99, max: 100 });
+});
+
+test('percentiles sort numerically', () => {
+    const stats = createLatencyStats();
+    [10, 9, 100, 2].forEach(latency => deliver(stats, 'A', 'B', latency));
+    assert.equal(networkLatency(stats).latency.p50, 9);
+    assert.equal(networkLatency(stats).latency.max, 100);
+});
+
+test('hops and queuing delay come from the per-hop queue delays', () => {
+    const stats = createLatencyStats();
+    deliver(stats, 'A', 'C', 3, [0, 2]);
+    deliver(stats, 'A', 'C', 1, [1]);
+
+    const figures = networkLatency(stats);
+    assert.deepEqual(figures.hops, { mean: 1.5, p50: 1, p95: 2, p99: 2, max: 2 });
+    assert.deepEqual(figures.hopQueueDelay, { mean: 1, p50: 1, p95: 2, p99: 2, max: 2 });
+});
+
+test('jitter is taken between consecutive packets of the same pair only', () => {
+    const stats = createLatencyStats();
+    deliver(stats, 'A', 'B', 2);
+    deliver(stats, 'C', 'D', 10);
+    deliver(stats, 'A', 'B', 5);
+    deliver(stats, 'A', 'B', 4);
+
+    const report = latencyReport(stats);
+    const pair = report.pairs.find(({ source, destination }) => source === 'A' && destination === 'B');
+    assert.equal(pair.delivered, 3);
+    assert.deepEqual(pair.jitter, { mean: 2, p50: 1, p95: 3, p99: 3, max: 3 });
+
+    const other = report.pairs.find(({ source }) => source === 'C');
+    assert.equal(other.jitter, null);
+    assert.equal(report.network.delivered, 4);
+});
+
+test('a pair window keeps only its most recent packets', () => {
+    const stats = createLatencyStats();
+    for (let i = 0; i < PAIR_WINDOW; i++) deliver(stats, 'A', 'B', 100);
+    for (let i = 0; i < PAIR_WINDOW; i++) deliver(stats, 'A', 'B', 1);
+
+    const [pair] = latencyReport(stats).pairs;
+    assert.equal(pair.delivered, 2 * PAIR_WINDOW);
+    assert.equal(pair.latency.max, 1);
+    // The network window is larger and still holds the older packets
+    assert.equal(networkLatency(stats).latency.max, 100);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getLinkCost } = require('../utils/linkMetrics');
+const { DEFAULT_DISTANCE_VECTOR_OPTIONS, createTables, exchangeVectors } = require('../utils/distanceVector');
+const { DEFAULT_LINK_STATE_OPTIONS, createLinkStateState, runLinkStateTick } = require('../utils/linkState');
+
+const ASYMMETRIC = { from: 'A', to: 'B', capacity: 100, reverseCapacity: 20 };
+const INVERSE_CAPACITY = { metric: 'inverse-capacity', referenceBandwidth: 1000 };
+
+test('inverse-capacity prices each direction by its own capacity', () => {
+    assert.equal(getLinkCost(ASYMMETRIC, INVERSE_CAPACITY, 'A'), 10);
+    assert.equal(getLinkCost(ASYMMETRIC, INVERSE_CAPACITY, 'B'), 50);
+    // Declared direction when none is given; symmetric links cost the same both ways
+    assert.equal(getLinkCost(ASYMMETRIC, INVERSE_CAPACITY), 10);
+    assert.equal(getLinkCost({ from: 'A', to: 'B', capacity: 100 }, INVERSE_CAPACITY, 'B'), 10);
+});
+
+test('the routing protocols use the cost of the direction a route leaves by', () => {
+    const nodes = ['A', 'B'];
+    const links = [ASYMMETRIC];
+    const getCost = (link, from) => getLinkCost(link, INVERSE_CAPACITY, from);
+    const options = { ...DEFAULT_DISTANCE_VECTOR_OPTIONS, infinity: 100 };
+
+    const vectors = createTables(nodes);
+    for (let i = 0; i < 3; i++) exchangeVectors(vectors, nodes, links, getCost, options);
+    assert.equal(vectors.A.B.metric, 10);
+    assert.equal(vectors.B.A.metric, 50);
+
+    const state = createLinkStateState(nodes);
+    const tables = {};
+    for (let step = 0; step < 10; step++) {
+        runLinkStateTick(state, tables, nodes, links, getCost, step, DEFAULT_LINK_STATE_OPTIONS);
+    }
+    assert.equal(tables.A.B.metric, 10);
+    assert.equal(tables.B.A.metric, 50);
+});
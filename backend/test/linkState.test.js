@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_LINK_STATE_OPTIONS, createLinkStateState, runLinkStateTick } = require('../utils/linkState');
+
+const NODES = ['A', 'B', 'C'];
+const LINKS = [{ from: 'A', to: 'B' }, { from: 'B', to: 'C' }];
+
+// Run the protocol from `step` for `ticks` ticks over a fixed topology
+function run(state, tables, nodes, links, step, ticks) {
+    for (let t = step; t < step + ticks; t++) {
+        runLinkStateTick(state, tables, nodes, links, () => 1, t, DEFAULT_LINK_STATE_OPTIONS);
+    }
+    return step + ticks;
+}
+
+test('link-state floods every LSA and converges on shortest paths', () => {
+    const state = createLinkStateState(NODES);
+    const tables = {};
+    run(state, tables, NODES, LINKS, 0, 10);
+    assert.deepEqual(tables.A.C, { nextHop: 'B', metric: 2 });
+    assert.deepEqual(Object.keys(state.routers.C.lsdb).sort(), NODES);
+});
+
+test('a node that comes back carries on numbering above its old LSA', () => {
+    const state = createLinkStateState(NODES);
+    const tables = {};
+    let step = run(state, tables, NODES, LINKS, 0, 10);
+    const before = state.routers.A.lsdb.C.sequence;
+
+    // C fails: its neighbour B still holds C's last LSA
+    step = run(state, tables, ['A', 'B'], [LINKS[0]], step, 5);
+    assert.equal(state.routers.B.lsdb.C.sequence, before);
+
+    // Back with a different link cost; its new LSA must replace the old one everywhere
+    const costs = link => (link.to === 'C' ? 5 : 1);
+    for (let t = step; t < step + 10; t++) {
+        runLinkStateTick(state, tables, NODES, LINKS, costs, t, DEFAULT_LINK_STATE_OPTIONS);
+    }
+    assert.ok(state.routers.C.sequence > before);
+    assert.equal(state.routers.A.lsdb.C.sequence, state.routers.C.sequence);
+    assert.deepEqual(state.routers.A.lsdb.C.links, [{ neighbor: 'B', cost: 5 }]);
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulation } = require('../network');
+
+// Aggregate run with a narrow B-D link, so packets queue up on it
+function congestedRun() {
+    const simulation = createSimulation();
+    simulation.initializeNetwork();
+    simulation.updateLinkCapacity('B', 'D', 5);
+    for (let i = 0; i < 5; i++) simulation.simulateTick();
+    return simulation;
+}
+
+function createNetwork() {
+    const simulation = createSimulation();
+    simulation.initializeNetwork();
+    return simulation;
+}
+
+const linkIds = scenario => scenario.links.map(link => `${link.from}-${link.to}`).sort();
+
+test('nodes and links are added to the topology and the stats', () => {
+    const simulation = createNetwork();
+    simulation.addNode('F', 10);
+    simulation.addLink('E', 'F', 50, { reverseCapacity: 25, delay: 4 });
+
+    const scenario = simulation.exportScenario();
+    assert.ok(scenario.nodes.includes('F'));
+    assert.deepEqual(scenario.links.find(link => link.to === 'F'), { from: 'E', to: 'F', capacity: 50, reverseCapacity: 25, delay: 4 });
+    Object.values(scenario.trafficRates).forEach(rates => assert.equal(rates.F, 10));
+
+    simulation.simulateTick();
+    const stats = simulation.getNetworkStats();
+    assert.ok(stats.nodes.some(node => node.id === 'F'));
+    assert.deepEqual(stats.links.find(link => link.to === 'F').directions.map(d => d.capacity), [50, 25]);
+});
+
+test('topology changes are checked before anything is modified', () => {
+    const simulation = createNetwork();
+    const before = simulation.exportScenario();
+
+    assert.throws(() => simulation.addNode('A'), { status: 409 });
+    assert.throws(() => simulation.addNode('no spaces'), { status: 400 });
+    assert.throws(() => simulation.addLink('A', 'B', 10), { status: 409 });
+    assert.throws(() => simulation.addLink('B', 'A', 10), { status: 409 });
+    assert.throws(() => simulation.addLink('A', 'A', 10), { status: 400 });
+    assert.throws(() => simulation.addLink('A', 'Z', 10), { status: 404 });
+    assert.throws(() => simulation.addLink('A', 'E', 0), { status: 400 });
+    assert.throws(() => simulation.renameNode('A', 'B'), { status: 409 });
+    assert.throws(() => simulation.removeNode('Z'), { status: 404 });
+    assert.throws(() => simulation.removeLink('A', 'E'), { status: 404 });
+
+    assert.deepEqual(simulation.exportScenario(), before);
+});
+
+test('a renamed node keeps its links, rates and counters', () => {
+    const simulation = createNetwork();
+    for (let i = 0; i < 3; i++) simulation.simulateTick();
+    const before = simulation.getNetworkStats().nodes.find(node => node.id === 'D');
+
+    simulation.renameNode('D', 'X');
+    const scenario = simulation.exportScenario();
+    assert.ok(!scenario.nodes.includes('D'));
+    assert.deepEqual(linkIds(scenario), ['A-B', 'A-C', 'B-X', 'C-E', 'C-X', 'X-E']);
+    Object.values(scenario.trafficRates).forEach(rates => {
+        assert.ok(!('D' in rates));
+        assert.ok('X' in rates);
+    });
+
+    const after = simulation.getNetworkStats().nodes.find(node => node.id === 'X');
+    assert.equal(after.packetsReceived, before.packetsReceived);
+    simulation.simulateTick();
+    assert.ok(simulation.getNetworkStats().packets.every(packet => !packet.path.includes('D')));
+});
+
+test('removing a node takes its links and traffic with it', () => {
+    const simulation = createNetwork();
+    simulation.simulateTick();
+    simulation.removeNode('D');
+
+    const scenario = simulation.exportScenario();
+    assert.ok(!scenario.nodes.includes('D'));
+    assert.deepEqual(linkIds(scenario), ['A-B', 'A-C', 'C-E']);
+    Object.values(scenario.trafficRates).forEach(rates => assert.ok(!('D' in rates)));
+
+    simulation.simulateTick();
+    const stats = simulation.getNetworkStats();
+    assert.ok(stats.nodes.every(node => node.id !== 'D'));
+    assert.ok(stats.packets.every(packet => packet.destination !== 'D'));
+});
+
+test('updating link metrics only touches cost and delay', () => {
+    const simulation = createNetwork();
+    simulation.updateLinkMetrics('A', 'B', { cost: 5, delay: 0, reverseCapacity: 1, queue: { bufferSize: -1 } });
+    assert.deepEqual(simulation.exportScenario().links[0], { from: 'A', to: 'B', capacity: 100, cost: 5, delay: 0 });
+
+    assert.throws(() => simulation.updateLinkMetrics('A', 'B', { cost: 0 }), { status: 400 });
+    assert.throws(() => simulation.updateLinkMetrics('A', 'E', { cost: 1 }), { status: 404 });
+});
+
+test('queue settings that leave RED thresholds reversed are rejected', () => {
+    const simulation = createNetwork();
+    const before = simulation.getQueueConfig();
+
+    assert.throws(() => simulation.setQueueDefaults({ red: { minThreshold: 80 } }), { status: 400 });
+    assert.throws(() => simulation.setLinkQueue('A', 'B', { red: { minThreshold: 80 } }), { status: 400 });
+    assert.throws(() => simulation.addLink('A', 'E', 10, { queue: { wred: { 1: { maxThreshold: 5 } } } }), { status: 400 });
+    assert.deepEqual(simulation.getQueueConfig(), before);
+
+    // New defaults must also suit the links that override part of them
+    simulation.setLinkQueue('A', 'B', { red: { maxThreshold: 70 } });
+    assert.throws(() => simulation.setQueueDefaults({ red: { minThreshold: 75, maxThreshold: 90 } }), error =>
+        error.details.includes('A-B.queue.red.maxThreshold (70) must be greater than minThreshold (75)'));
+
+    const scenario = simulation.exportScenario();
+    assert.throws(() => createNetwork().loadScenario({ ...scenario, queue: { red: { minThreshold: 65 } } }), { status: 400 });
+});
+
+const queuedPackets = stats => stats.links
+    .reduce((sum, link) => sum + link.directions.reduce((n, direction) => n + direction.queueSize, 0), 0);
+
+test('removing a link drops the packets queued on it as link-down', () => {
+    const simulation = congestedRun();
+    const queued = queuedPackets(simulation.getNetworkStats());
+    assert.ok(queued > 0);
+
+    simulation.removeLink('B', 'D');
+    const { summary } = simulation.getNetworkStats();
+    const dropped = Object.values(summary.drops).reduce((a, b) => a + b, 0);
+    assert.equal(summary.packetsDroppedByFailure, summary.drops['link-down']);
+    assert.equal(summary.totalPacketsTransmitted + dropped + queuedPackets(simulation.getNetworkStats()), summary.totalPacketsGenerated);
+});
+
+['aggregate', 'discrete-event'].forEach(engine => {
+    test(`each direction of a link is loaded and queued on its own (${engine})`, () => {
+        const simulation = createNetwork();
+        simulation.setSimulationEngine(engine);
+        // A sends 50 pkt/s and B 30 pkt/s, all of it to each other
+        simulation.loadTopology({ nodes: ['A', 'B'], links: [{ from: 'A', to: 'B', capacity: 100, reverseCapacity: 5 }] });
+        for (let i = 0; i < 3; i++) simulation.simulateTick();
+
+        const [link] = simulation.getNetworkStats().links;
+        const [forward, reverse] = link.directions;
+        assert.deepEqual([forward.from, forward.capacity, reverse.from, reverse.capacity], ['A', 100, 'B', 5]);
+        assert.ok(forward.currentLoad > 5 && forward.queueSize === 0 && !forward.congested);
+        assert.ok(reverse.currentLoad <= 5 && reverse.queueSize > 0 && reverse.congested);
+        // The link as a whole reports its busier direction
+        assert.equal(link.utilization, reverse.utilization);
+    });
+});
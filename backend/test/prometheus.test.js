@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createRegistry } = require('../utils/prometheus');
+const { createSession, deleteSession } = require('../sessions');
+const metricsRouter = require('../routes/metrics');
+
+test('families are rendered once, with their samples in the order given', () => {
+    const registry = createRegistry();
+    registry.gauge('a_ratio', 'First', { session: 's1' }, 0.5);
+    registry.counter('b_total', 'Second', {}, 3);
+    registry.gauge('a_ratio', 'First', { session: 's2' }, 1);
+
+    assert.equal(registry.render(), [
+        '# HELP a_ratio First',
+        '# TYPE a_ratio gauge',
+        'a_ratio{session="s1"} 0.5',
+        'a_ratio{session="s2"} 1',
+        '# HELP b_total Second',
+        '# TYPE b_total counter',
+        'b_total 3',
+        ''
+    ].join('\n'));
+});
+
+test('label values and help text are escaped; odd values use the special forms', () => {
+    const registry = createRegistry();
+    registry.gauge('x', 'Back\\slash\nnewline', { name: 'say "hi"\\\n', absent: undefined }, Infinity);
+    registry.gauge('x', 'Back\\slash\nnewline', {}, -Infinity);
+    registry.gauge('x', 'Back\\slash\nnewline', {}, null);
+
+    assert.deepEqual(registry.render().split('\n'), [
+        '# HELP x Back\\\\slash\\nnewline',
+        '# TYPE x gauge',
+        'x{name="say \\"hi\\"\\\\\\n"} +Inf',
+        'x -Inf',
+        'x NaN',
+        ''
+    ]);
+});
+
+// Scrape the metrics route from a throwaway server
+async function scrape() {
+    const app = express();
+    app.use('/metrics', metricsRouter);
+    const server = app.listen(0);
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/metrics`);
+        return { contentType: response.headers.get('content-type'), body: await response.text() };
+    } finally {
+        server.close();
+    }
+}
+
+test('the scrape covers every session in valid exposition format', async () => {
+    const { id } = createSession();
+    try {
+        const { contentType, body } = await scrape();
+        // Express may reorder the parameters
+        assert.match(contentType, /^text\/plain;/);
+        assert.match(contentType, /version=0\.0\.4/);
+
+        const lines = body.trimEnd().split('\n');
+        const types = lines.filter(line => line.startsWith('# TYPE '));
+        assert.equal(new Set(types).size, types.length);
+        lines.filter(line => !line.startsWith('#')).forEach(line => {
+            assert.match(line, /^[a-z_]+(\{[a-z_]+="(?:[^"\\]|\\.)*"(,[a-z_]+="(?:[^"\\]|\\.)*")*\})? (-?[\d.e+-]+|NaN|[+-]Inf)$/);
+        });
+
+        assert.ok(lines.includes('netsim_simulation_step{session="default"} 0'));
+        assert.ok(lines.includes(`netsim_simulation_step{session="${id}"} 0`));
+        assert.ok(lines.includes(`netsim_link_capacity_packets{session="${id}",link="B-A",from="B",to="A"} 100`));
+    } finally {
+        deleteSession(id);
+    }
+});
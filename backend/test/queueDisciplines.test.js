@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_QUEUE_OPTIONS,
+    validateQueueOptions,
+    validateEffectiveQueueOptions,
+    mergeQueueOptions,
+    createQueueState,
+    admit,
+    evictionIndex,
+    nextIndex,
+    enqueue,
+    dequeue
+} = require('../utils/queueDisciplines');
+
+const options = override => mergeQueueOptions(DEFAULT_QUEUE_OPTIONS, override);
+
+test('thresholds are compared on the merged profile, not just the partial one', () => {
+    // Valid on its own, but above the default maxThreshold of 60
+    assert.deepEqual(validateQueueOptions({ red: { minThreshold: 80 } }), []);
+    assert.deepEqual(validateEffectiveQueueOptions(options({ red: { minThreshold: 80 } })), [
+        'queue.red.maxThreshold (60) must be greater than minThreshold (80)'
+    ]);
+    // A WRED profile fills its gaps from red
+    assert.deepEqual(validateEffectiveQueueOptions(options({ wred: { 2: { maxThreshold: 10 } } })), [
+        'queue.wred.2.maxThreshold (10) must be greater than minThreshold (20)'
+    ]);
+    assert.deepEqual(validateEffectiveQueueOptions(options({ red: { minThreshold: 80, maxThreshold: 90 } })), []);
+});
+
+test('admit accepts until the buffer is full under drop-tail', () => {
+    const state = createQueueState();
+    const dropTail = options({ bufferSize: 3 });
+    assert.equal(admit(state, dropTail, 0), null);
+    assert.equal(admit(state, dropTail, 2), null);
+    assert.equal(admit(state, dropTail, 3), 'buffer-overflow');
+});
+
+test('admit never drops early below the RED minimum threshold', () => {
+    const state = createQueueState();
+    const red = options({ discipline: 'red', red: { minThreshold: 5, maxThreshold: 10, weight: 1 } });
+    assert.equal(admit(state, red, 4, 0, () => 0), null);
+    assert.equal(state.average, 4);
+});
+
+test('admit drops early with rising probability between the RED thresholds', () => {
+    const red = options({
+        discipline: 'red',
+        red: { minThreshold: 5, maxThreshold: 10, maxProbability: 0.5, weight: 1 }
+    });
+    // Average 7.5 is half way, so the drop probability is 0.25
+    assert.equal(admit(createQueueState(), red, 7.5, 0, () => 0.24), 'early-drop');
+    assert.equal(admit(createQueueState(), red, 7.5, 0, () => 0.26), null);
+    // At or above the maximum threshold everything is dropped
+    assert.equal(admit(createQueueState(), red, 10, 0, () => 0.99), 'early-drop');
+});
+
+test('admit smooths the RED average with its weight', () => {
+    const state = createQueueState();
+    const red = options({ discipline: 'red', red: { weight: 0.5 } });
+    admit(state, red, 10);
+    admit(state, red, 10);
+    assert.equal(state.average, 7.5);
+});
+
+test('admit applies the WRED profile of the packet priority', () => {
+    const wred = options({
+        discipline: 'wred',
+        red: { minThreshold: 5, maxThreshold: 10, weight: 1 },
+        wred: { 3: { minThreshold: 50, maxThreshold: 90 } }
+    });
+    assert.equal(admit(createQueueState(), wred, 20, 0, () => 0), 'early-drop');
+    assert.equal(admit(createQueueState(), wred, 20, 3, () => 0), null);
+});
+
+test('enqueue under strict priority evicts the newest lowest-priority packet', () => {
+    const state = createQueueState();
+    const priority = options({ discipline: 'priority', bufferSize: 3 });
+    enqueue(state, priority, { id: 'a', priority: 1 });
+    enqueue(state, priority, { id: 'b', priority: 0 });
+    enqueue(state, priority, { id: 'c', priority: 0 });
+
+    const { reason, evicted } = enqueue(state, priority, { id: 'd', priority: 2 });
+    assert.equal(reason, null);
+    assert.equal(evicted.id, 'c');
+    assert.deepEqual(state.entries.map(entry => entry.id), ['a', 'b', 'd']);
+
+    // Nothing lower than the arriving packet: it is the one dropped
+    assert.deepEqual(enqueue(state, priority, { id: 'e', priority: 0 }), { reason: 'buffer-overflow', evicted: null });
+});
+
+test('dequeue serves the highest priority first, FIFO within a priority', () => {
+    const state = createQueueState();
+    const priority = options({ discipline: 'priority' });
+    [['a', 0], ['b', 2], ['c', 1], ['d', 2]].forEach(([id, p]) => enqueue(state, priority, { id, priority: p }));
+    assert.deepEqual([1, 2, 3, 4].map(() => dequeue(state, priority).id), ['b', 'd', 'c', 'a']);
+    assert.equal(dequeue(state, priority), undefined);
+});
+
+test('dequeue under WFQ shares the link by weight', () => {
+    const state = createQueueState();
+    const wfq = options({ discipline: 'wfq', weights: { 1: 2 } });
+    for (let i = 0; i < 4; i++) {
+        enqueue(state, wfq, { id: `low${i}`, priority: 0 });
+        enqueue(state, wfq, { id: `high${i}`, priority: 1 });
+    }
+    const served = [1, 2, 3].map(() => dequeue(state, wfq).id);
+    assert.equal(served.filter(id => id.startsWith('high')).length, 2);
+});
+
+test('nextIndex and evictionIndex work on any list of prioritized entries', () => {
+    const entries = [{ priority: 1, finish: 3 }, { priority: 0, finish: 1 }, { priority: 2, finish: 2 }, { priority: 0, finish: 4 }];
+    assert.equal(nextIndex(entries, options({})), 0);
+    assert.equal(nextIndex(entries, options({ discipline: 'priority' })), 2);
+    assert.equal(nextIndex(entries, options({ discipline: 'wfq' })), 1);
+    assert.equal(evictionIndex(entries, 1), 3);
+    assert.equal(evictionIndex(entries, 0), -1);
+});
+
+test('validateQueueOptions reports every problem', () => {
+    assert.deepEqual(validateQueueOptions({}), []);
+    const errors = validateQueueOptions({
+        discipline: 'lifo',
+        bufferSize: 0,
+        red: { minThreshold: 10, maxThreshold: 5 },
+        weights: { 1: -1 }
+    });
+    assert.equal(errors.length, 4);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulation } = require('../network');
+const { MAX_SEED, isValidSeed, createRng, nextRandom } = require('../utils/random');
+
+test('a generator replays the same sequence from the same seed', () => {
+    const draw = seed => {
+        const rng = createRng(seed);
+        return Array.from({ length: 5 }, () => nextRandom(rng));
+    };
+    assert.deepEqual(draw(7), draw(7));
+    assert.notDeepEqual(draw(7), draw(8));
+    draw(MAX_SEED).forEach(value => assert.ok(value >= 0 && value < 1));
+    assert.ok(isValidSeed(0) && isValidSeed(MAX_SEED));
+    assert.ok(!isValidSeed(-1) && !isValidSeed(1.5) && !isValidSeed(MAX_SEED + 1));
+});
+
+// Packets of each tick and final totals of a run with random arrivals, from the given seed
+function run(engine, seed, ticks = 5) {
+    const simulation = createSimulation();
+    simulation.initializeNetwork();
+    simulation.setSimulationEngine(engine);
+    simulation.setDefaultArrivalModel({ model: 'poisson' });
+    simulation.resetSimulation(seed);
+    const packets = [];
+    for (let i = 0; i < ticks; i++) {
+        simulation.simulateTick();
+        packets.push(simulation.getNetworkStats().packets);
+    }
+    return { simulation, packets, summary: simulation.getNetworkStats().summary };
+}
+
+['aggregate', 'discrete-event'].forEach(engine => {
+    test(`a seeded run is reproducible (${engine})`, () => {
+        const first = run(engine, 42);
+        const second = run(engine, 42);
+        assert.deepEqual(second.packets, first.packets);
+        assert.deepEqual(second.summary, first.summary);
+        assert.notDeepEqual(run(engine, 43).packets, first.packets);
+
+        // A reset keeps the seed and replays the run
+        const { simulation } = first;
+        simulation.resetSimulation();
+        assert.equal(simulation.getNetworkStats().seed, 42);
+        simulation.simulateTick();
+        assert.deepEqual(simulation.getNetworkStats().packets, first.packets[0]);
+    });
+});
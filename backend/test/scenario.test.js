@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulation } = require('../network');
+const { validateScenario, parseScenario, serializeScenario } = require('../utils/scenario');
+
+function createNetwork() {
+    const simulation = createSimulation();
+    simulation.initializeNetwork();
+    return simulation;
+}
+
+// A network with something set in most parts of the scenario
+function customized() {
+    const simulation = createNetwork();
+    simulation.addNode('F', 15);
+    simulation.addLink('E', 'F', 40, { reverseCapacity: 10, delay: 3, cost: 2 });
+    simulation.setRoutingMetric('inverse-capacity', 500);
+    simulation.setSimulationEngine('discrete-event');
+    simulation.setQueueDefaults({ discipline: 'red', bufferSize: 50 });
+    return simulation;
+}
+
+['json', 'yaml'].forEach(format => {
+    test(`a scenario survives a ${format} round trip`, () => {
+        const exported = customized().exportScenario();
+        const text = serializeScenario(exported, format);
+        assert.deepEqual(validateScenario(parseScenario(text)), []);
+
+        const loaded = createNetwork();
+        loaded.loadScenario(parseScenario(text));
+        assert.deepEqual(loaded.exportScenario(), exported);
+    });
+});
+
+test('invalid scenarios are rejected with every problem listed and nothing loaded', () => {
+    const simulation = createNetwork();
+    const before = simulation.exportScenario();
+    const doc = {
+        ...before,
+        nodes: [...before.nodes, 'A'],
+        links: [...before.links, { from: 'A', to: 'Z', capacity: -1 }]
+    };
+
+    assert.ok(validateScenario(doc).length >= 2);
+    assert.throws(() => simulation.loadScenario(doc), error => error.status === 400 && error.details.length >= 2);
+    assert.deepEqual(simulation.exportScenario(), before);
+});
+
+test('unparsable text is a 400', () => {
+    assert.throws(() => parseScenario('nodes: [A, B'), { status: 400 });
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_SESSION_ID,
+    MAX_SESSIONS,
+    SESSION_IDLE_MINUTES,
+    createSession,
+    getSession,
+    listSessions,
+    deleteSession,
+    expireIdleSessions
+} = require('../sessions');
+
+const IDLE_FOR = (SESSION_IDLE_MINUTES + 1) * 60 * 1000;
+
+test('idle sessions expire unless their clock is running', () => {
+    const idle = getSession(createSession().id);
+    const running = getSession(createSession().id);
+    running.simulation.startSimulation();
+    idle.lastActivity -= IDLE_FOR;
+    running.lastActivity -= IDLE_FOR;
+
+    expireIdleSessions();
+    assert.throws(() => getSession(idle.id), { status: 404 });
+    assert.equal(getSession(running.id), running);
+
+    // Once paused it is idle again, counting from when it last ran
+    running.simulation.pauseSimulation();
+    expireIdleSessions();
+    assert.equal(getSession(running.id), running);
+    deleteSession(running.id);
+});
+
+test('sessions do not share topology, traffic or clock', () => {
+    const first = getSession(createSession().id);
+    const second = getSession(createSession().id);
+    const defaults = getSession(DEFAULT_SESSION_ID).simulation.exportScenario();
+
+    first.simulation.addNode('F', 10);
+    first.simulation.removeLink('A', 'B');
+    second.simulation.updateTrafficRates('A', 99);
+    second.simulation.simulateTick();
+
+    assert.ok(!second.simulation.exportScenario().nodes.includes('F'));
+    assert.equal(second.simulation.exportScenario().links.length, defaults.links.length);
+    assert.equal(first.simulation.getNetworkStats().simulationStep, 0);
+    assert.equal(second.simulation.getNetworkStats().simulationStep, 1);
+    assert.deepEqual(getSession(DEFAULT_SESSION_ID).simulation.exportScenario(), defaults);
+
+    deleteSession(first.id);
+    assert.throws(() => getSession(first.id), { status: 404 });
+    assert.equal(getSession(second.id), second);
+    deleteSession(second.id);
+});
+
+test('the default session always exists and the session count is capped', () => {
+    assert.throws(() => deleteSession(DEFAULT_SESSION_ID), { status: 400 });
+
+    const created = [];
+    while (listSessions().length < MAX_SESSIONS) created.push(createSession().id);
+    assert.throws(() => createSession(), { status: 429 });
+    created.forEach(deleteSession);
+    assert.deepEqual(listSessions().map(session => session.id), [DEFAULT_SESSION_ID]);
+});
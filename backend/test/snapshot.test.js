@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulation } = require('../network');
+
+function createNetwork(engine) {
+    const simulation = createSimulation();
+    simulation.initializeNetwork();
+    simulation.setSimulationEngine(engine);
+    simulation.setDefaultArrivalModel({ model: 'poisson' });
+    return simulation;
+}
+
+// Packets of each of the next ticks, and the totals after them
+function runTicks(simulation, ticks) {
+    const packets = [];
+    for (let i = 0; i < ticks; i++) {
+        simulation.simulateTick();
+        packets.push(simulation.getNetworkStats().packets);
+    }
+    return { packets, summary: simulation.getNetworkStats().summary };
+}
+
+['aggregate', 'discrete-event'].forEach(engine => {
+    test(`a restored snapshot carries on exactly where it was taken (${engine})`, () => {
+        const original = createNetwork(engine);
+        original.updateLinkCapacity('B', 'D', 20);
+        original.failLink('C', 'E');
+        runTicks(original, 4);
+        // Through JSON, as it goes over the API
+        const snapshot = JSON.parse(JSON.stringify(original.captureSnapshot()));
+        const expected = runTicks(original, 3);
+
+        const restored = createNetwork(engine);
+        restored.restoreSnapshot(snapshot);
+        const stats = restored.getNetworkStats();
+        assert.equal(stats.simulationStep, 4);
+        assert.equal(stats.isRunning, false);
+        assert.deepEqual(stats.failures.links.map(({ from, to }) => `${from}-${to}`), ['C-E']);
+        assert.deepEqual(runTicks(restored, 3), expected);
+
+        // The same simulation can go back, too
+        original.restoreSnapshot(snapshot);
+        assert.deepEqual(runTicks(original, 3), expected);
+    });
+});
+
+test('a snapshot without state, or whose time slot is missing, is rejected', () => {
+    const simulation = createNetwork('aggregate');
+    const snapshot = simulation.captureSnapshot();
+    const before = simulation.exportScenario();
+
+    assert.throws(() => simulation.restoreSnapshot({}), { status: 400 });
+    assert.throws(() => simulation.restoreSnapshot({ ...snapshot, state: { ...snapshot.state, rng: undefined } }), { status: 400 });
+    assert.throws(() => simulation.restoreSnapshot({
+        ...snapshot,
+        state: { ...snapshot.state, currentTime: '23:59' }
+    }), { status: 400 });
+    assert.deepEqual(simulation.exportScenario(), before);
+});
@@ -0,0 +1,66 @@
+// utils/adaptiveRouting.js - Congestion-aware link costs with damping and hysteresis
+
+const ADAPTIVE_GRANULARITY = ['tick', 'packet'];
+
+const DEFAULT_ADAPTIVE_OPTIONS = {
+    // Recompute routes once per tick, or for every packet from live in-tick load
+    granularity: 'tick',
+    // EWMA weight of the newest sample; lower values damp oscillation more
+    smoothing: 0.3,
+    // Only switch paths when the new one is at least this fraction cheaper
+    hysteresis: 0.2,
+    // Cost multipliers: cost = base * (1 + utilizationWeight * u + queueWeight * q)
+    utilizationWeight: 2,
+    queueWeight: 4
+};
+
+// Return a list of problems with a (partial) adaptive options object
+function validateAdaptiveOptions(options) {
+    const errors = [];
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        return ['adaptive options must be an object'];
+    }
+
+    const { granularity, smoothing, hysteresis, utilizationWeight, queueWeight } = options;
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+    if (granularity !== undefined && !ADAPTIVE_GRANULARITY.includes(granularity)) {
+        errors.push(`adaptive.granularity must be one of ${ADAPTIVE_GRANULARITY.join(', ')}`);
+    }
+    if (smoothing !== undefined && (!isNumber(smoothing) || smoothing <= 0 || smoothing > 1)) {
+        errors.push('adaptive.smoothing must be a number in (0, 1]');
+    }
+    if (hysteresis !== undefined && (!isNumber(hysteresis) || hysteresis < 0 || hysteresis >= 1)) {
+        errors.push('adaptive.hysteresis must be a number in [0, 1)');
+    }
+    [['utilizationWeight', utilizationWeight], ['queueWeight', queueWeight]].forEach(([name, value]) => {
+        if (value !== undefined && (!isNumber(value) || value < 0)) {
+            errors.push(`adaptive.${name} must be a number >= 0`);
+        }
+    });
+
+    return errors;
+}
+
+// Fold a new utilization/queue sample into a link's smoothed estimate
+function updateEstimate(estimate, sample, smoothing) {
+    if (!estimate) return { ...sample };
+    return {
+        utilization: smoothing * sample.utilization + (1 - smoothing) * estimate.utilization,
+        queueRatio: smoothing * sample.queueRatio + (1 - smoothing) * estimate.queueRatio
+    };
+}
+
+// Multiplier applied to a link's base cost for a given congestion estimate
+function congestionFactor(estimate, options) {
+    if (!estimate) return 1;
+    return 1 + options.utilizationWeight * estimate.utilization + options.queueWeight * estimate.queueRatio;
+}
+
+module.exports = {
+    ADAPTIVE_GRANULARITY,
+    DEFAULT_ADAPTIVE_OPTIONS,
+    validateAdaptiveOptions,
+    updateEstimate,
+    congestionFactor
+};
@@ -0,0 +1,132 @@
+// utils/arrivalModels.js - Per-node packet arrival processes. Each model turns a node's mean
+// rate (packets per second) into the arrival times of one tick.
+
+// constant: exactly `rate` packets per tick, evenly spaced (no variance)
+// poisson: exponential inter-arrival times with mean 1 / rate
+// on-off: Markov-modulated Poisson process; exponential ON and OFF periods, Poisson arrivals
+//         while ON at the peak rate that keeps the long-run mean at `rate`
+// pareto: Pareto inter-arrival times (heavy-tailed, self-similar) with mean 1 / rate
+const ARRIVAL_MODELS = ['constant', 'poisson', 'on-off', 'pareto'];
+
+// Parameters per model; models not listed take none
+const DEFAULT_ARRIVAL_PARAMETERS = {
+    // Mean ON and OFF period lengths in ms
+    'on-off': { meanOn: 1000, meanOff: 1000 },
+    // Tail index; 1 < shape < 2 gives infinite variance and long-range dependence
+    pareto: { shape: 1.5 }
+};
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// Return a list of problems with an arrival model specification ({ model, ...parameters })
+function validateArrivalModel(spec, name = 'arrival') {
+    if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+        return [`${name} must be an object with a model`];
+    }
+
+    const errors = [];
+    const { model, meanOn, meanOff, shape } = spec;
+    if (!ARRIVAL_MODELS.includes(model)) {
+        errors.push(`${name}.model must be one of ${ARRIVAL_MODELS.join(', ')}`);
+    }
+    if (model === 'on-off') {
+        [['meanOn', meanOn], ['meanOff', meanOff]].forEach(([field, value]) => {
+            if (value !== undefined && (!isNumber(value) || value <= 0)) {
+                errors.push(`${name}.${field} must be a number > 0 (ms)`);
+            }
+        });
+    }
+    if (model === 'pareto' && shape !== undefined && (!isNumber(shape) || shape <= 1)) {
+        errors.push(`${name}.shape must be a number > 1`);
+    }
+    return errors;
+}
+
+// Model with its parameters filled in from the defaults, dropping fields it does not use
+function normalizeArrivalModel(spec) {
+    const defaults = DEFAULT_ARRIVAL_PARAMETERS[spec.model] || {};
+    const normalized = { model: spec.model };
+    Object.keys(defaults).forEach(field => {
+        normalized[field] = spec[field] === undefined ? defaults[field] : spec[field];
+    });
+    return normalized;
+}
+
+const exponential = (mean, random) => -mean * Math.log(1 - random());
+
+// Pareto with scale chosen so the mean is `mean`
+const pareto = (mean, shape, random) => mean * (shape - 1) / shape / Math.pow(1 - random(), 1 / shape);
+
+// Arrival offsets (ms, ascending, within [0, duration)) of one tick for a source with mean `rate`.
+// `state` is the source's arrival state carried between ticks: the time left until its next
+// arrival, for on-off the current period, and for constant the fractional packet owed.
+function arrivalTimes(spec, rate, duration, state, random = Math.random) {
+    if (rate <= 0) return [];
+
+    if (spec.model === 'constant') {
+        // Fractional rates carry the remainder into the next tick, so the mean stays exact
+        state.credit = (state.credit || 0) + rate;
+        const count = Math.floor(state.credit + 1e-9);
+        state.credit -= count;
+
+        const times = [];
+        for (let i = 0; i < count; i++) {
+            times.push((i + 0.5) * duration / count);
+        }
+        return times;
+    }
+
+    const mean = 1000 / rate;
+    const times = [];
+
+    if (spec.model === 'on-off') {
+        const { meanOn, meanOff } = spec;
+        const peakMean = mean * meanOn / (meanOn + meanOff);
+        if (state.on === undefined) {
+            state.on = random() < meanOn / (meanOn + meanOff);
+            state.remaining = exponential(state.on ? meanOn : meanOff, random);
+        }
+
+        let t = 0;
+        while (t < duration) {
+            // The current period either ends within the tick or carries over into the next
+            const ends = t + state.remaining < duration;
+            const periodEnd = ends ? t + state.remaining : duration;
+            if (state.on) {
+                // Arrivals are memoryless, so each ON stretch can start a fresh gap
+                let next = t + exponential(peakMean, random);
+                while (next < periodEnd) {
+                    times.push(next);
+                    next += exponential(peakMean, random);
+                }
+            }
+            if (ends) {
+                state.on = !state.on;
+                state.remaining = exponential(state.on ? meanOn : meanOff, random);
+            } else {
+                state.remaining -= duration - t;
+            }
+            t = periodEnd;
+        }
+        return times;
+    }
+
+    const gap = spec.model === 'pareto'
+        ? () => pareto(mean, spec.shape, random)
+        : () => exponential(mean, random);
+    let next = state.next === undefined ? gap() : state.next;
+    while (next < duration) {
+        times.push(next);
+        next += gap();
+    }
+    state.next = next - duration;
+    return times;
+}
+
+module.exports = {
+    ARRIVAL_MODELS,
+    DEFAULT_ARRIVAL_PARAMETERS,
+    validateArrivalModel,
+    normalizeArrivalModel,
+    arrivalTimes
+};
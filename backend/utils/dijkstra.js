@@ -1,6 +1,24 @@
 // utils/dijkstra.js - Dijkstra's shortest path algorithm implementation
 
-function dijkstra(nodes, links, start, end) {
+// Create adjacency list from links
+function buildGraph(nodes, links, getWeight) {
+    const graph = {};
+    nodes.forEach(node => {
+        graph[node] = [];
+    });
+
+    links.forEach(link => {
+        // Links are full duplex: add both directions, each with its own weight
+        graph[link.from].push({ node: link.to, weight: getWeight(link, link.from, link.to) });
+        graph[link.to].push({ node: link.from, weight: getWeight(link, link.to, link.from) });
+    });
+
+    return graph;
+}
+
+// getWeight(link, from, to) returns the cost of traversing a link in the from -> to
+// direction; defaults to hop count
+function dijkstra(nodes, links, start, end, getWeight = () => 1) {
     // Initialize distances and previous nodes
     const distances = {};
     const previous = {};
@@ -13,17 +31,7 @@ function dijkstra(nodes, links, start, end) {
         unvisited.add(node);
     });
 
-    // Create adjacency list from links
-    const graph = {};
-    nodes.forEach(node => {
-        graph[node] = [];
-    });
-
-    links.forEach(link => {
-        // Add both directions for undirected graph
-        graph[link.from].push({ node: link.to, weight: 1 });
-        graph[link.to].push({ node: link.from, weight: 1 });
-    });
+    const graph = buildGraph(nodes, links, getWeight);
 
     while (unvisited.size > 0) {
         // Find unvisited node with minimum distance
@@ -81,4 +89,140 @@ function dijkstra(nodes, links, start, end) {
     return path;
 }
 
-module.exports = { dijkstra };
\ No newline at end of file
+// Tolerance when comparing floating point path costs
+const COST_EPSILON = 1e-9;
+
+// Undirected key for the link between two nodes
+const edgeKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+// Total cost of a path (array of node ids)
+function pathCost(path, links, getWeight = () => 1) {
+    const weights = {};
+    links.forEach(link => {
+        weights[`${link.from}>${link.to}`] = getWeight(link, link.from, link.to);
+        weights[`${link.to}>${link.from}`] = getWeight(link, link.to, link.from);
+    });
+
+    let cost = 0;
+    for (let i = 0; i < path.length - 1; i++) {
+        cost += weights[`${path[i]}>${path[i + 1]}`];
+    }
+    return cost;
+}
+
+// All shortest paths between start and end (ECMP), up to maxPaths, in a stable order
+function equalCostPaths(nodes, links, start, end, getWeight = () => 1, maxPaths = 16) {
+    const graph = buildGraph(nodes, links, getWeight);
+    const distances = {};
+    const unvisited = new Set(nodes);
+
+    nodes.forEach(node => {
+        distances[node] = node === start ? 0 : Infinity;
+    });
+
+    // Full Dijkstra pass: every node's distance is needed to find all predecessors
+    while (unvisited.size > 0) {
+        let currentNode = null;
+        let minDistance = Infinity;
+
+        for (const node of unvisited) {
+            if (distances[node] < minDistance) {
+                minDistance = distances[node];
+                currentNode = node;
+            }
+        }
+
+        if (currentNode === null) break;
+        unvisited.delete(currentNode);
+
+        graph[currentNode].forEach(neighbor => {
+            const newDistance = distances[currentNode] + neighbor.weight;
+            if (newDistance < distances[neighbor.node] - COST_EPSILON) {
+                distances[neighbor.node] = newDistance;
+            }
+        });
+    }
+
+    if (distances[end] === undefined || distances[end] === Infinity || start === end) {
+        return [];
+    }
+
+    // Walk back from the destination along every edge that lies on a shortest path. Zero-weight
+    // links put both of their ends at the same distance, so nodes already on the path are skipped
+    // to keep the paths loop-free.
+    const paths = [];
+    const walk = (node, suffix) => {
+        if (paths.length >= maxPaths) return;
+        if (node === start) {
+            paths.push({ path: [start, ...suffix], cost: distances[end] });
+            return;
+        }
+
+        graph[node]
+            .filter(neighbor =>
+                Math.abs(distances[neighbor.node] + neighbor.weight - distances[node]) <= COST_EPSILON
+            )
+            .map(neighbor => neighbor.node)
+            .filter(previousNode => previousNode !== node && !suffix.includes(previousNode))
+            .sort()
+            .forEach(previousNode => walk(previousNode, [node, ...suffix]));
+    };
+    walk(end, []);
+
+    return paths;
+}
+
+// Yen's algorithm: up to k loopless shortest paths ordered by cost
+function kShortestPaths(nodes, links, start, end, k = 3, getWeight = () => 1) {
+    const first = dijkstra(nodes, links, start, end, getWeight);
+    if (first.length < 2) return [];
+
+    const shortest = [{ path: first, cost: pathCost(first, links, getWeight) }];
+    const candidates = [];
+    const samePath = (a, b) => a.length === b.length && a.every((node, index) => node === b[index]);
+
+    for (let i = 1; i < k; i++) {
+        const previousPath = shortest[i - 1].path;
+
+        for (let j = 0; j < previousPath.length - 1; j++) {
+            const spurNode = previousPath[j];
+            const rootPath = previousPath.slice(0, j + 1);
+
+            // Block the next hop of every accepted path that shares this root
+            const removedEdges = new Set();
+            shortest.forEach(({ path }) => {
+                if (path.length > j + 1 && samePath(path.slice(0, j + 1), rootPath)) {
+                    removedEdges.add(edgeKey(path[j], path[j + 1]));
+                }
+            });
+
+            // Root path nodes (except the spur node) may not be revisited
+            const removedNodes = new Set(rootPath.slice(0, -1));
+            const spurNodes = nodes.filter(node => !removedNodes.has(node));
+            const spurLinks = links.filter(link =>
+                !removedEdges.has(edgeKey(link.from, link.to)) &&
+                !removedNodes.has(link.from) &&
+                !removedNodes.has(link.to)
+            );
+
+            const spurPath = dijkstra(spurNodes, spurLinks, spurNode, end, getWeight);
+            if (spurPath.length === 0) continue;
+
+            const totalPath = [...rootPath.slice(0, -1), ...spurPath];
+            const known = candidates.some(c => samePath(c.path, totalPath)) ||
+                shortest.some(s => samePath(s.path, totalPath));
+            if (!known) {
+                candidates.push({ path: totalPath, cost: pathCost(totalPath, links, getWeight) });
+            }
+        }
+
+        if (candidates.length === 0) break;
+
+        candidates.sort((a, b) => a.cost - b.cost || a.path.length - b.path.length);
+        shortest.push(candidates.shift());
+    }
+
+    return shortest;
+}
+
+module.exports = { dijkstra, equalCostPaths, kShortestPaths, pathCost };
\ No newline at end of file
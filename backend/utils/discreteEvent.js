@@ -0,0 +1,66 @@
+// utils/discreteEvent.js - Event queue for the discrete-event engine. The queue is a plain
+// binary min-heap over an array, so simulation state stays JSON-serializable.
+
+// aggregate: per-tick counters with a whole path charged at once;
+// discrete-event: packets move through enqueue, transmission and propagation in time
+const SIMULATION_ENGINES = ['aggregate', 'discrete-event'];
+
+// Simulated milliseconds per tick; traffic rates and capacities are packets per second
+const TICK_DURATION = 1000;
+
+const EVENT_TYPES = ['arrival', 'enqueue', 'start-transmit', 'depart', 'propagate'];
+
+function createEventQueue() {
+    return { heap: [], sequence: 0 };
+}
+
+// Earlier time first; events scheduled for the same time run in scheduling order
+const before = (a, b) => a.time < b.time || (a.time === b.time && a.seq < b.seq);
+
+function pushEvent(queue, event) {
+    const heap = queue.heap;
+    heap.push({ ...event, seq: queue.sequence++ });
+
+    let index = heap.length - 1;
+    while (index > 0) {
+        const parent = (index - 1) >> 1;
+        if (!before(heap[index], heap[parent])) break;
+        [heap[index], heap[parent]] = [heap[parent], heap[index]];
+        index = parent;
+    }
+}
+
+function popEvent(queue) {
+    const heap = queue.heap;
+    if (heap.length === 0) return undefined;
+
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let index = 0;
+        while (true) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let smallest = index;
+            if (left < heap.length && before(heap[left], heap[smallest])) smallest = left;
+            if (right < heap.length && before(heap[right], heap[smallest])) smallest = right;
+            if (smallest === index) break;
+            [heap[index], heap[smallest]] = [heap[smallest], heap[index]];
+            index = smallest;
+        }
+    }
+    return top;
+}
+
+const peekEvent = queue => queue.heap[0];
+
+module.exports = {
+    SIMULATION_ENGINES,
+    TICK_DURATION,
+    EVENT_TYPES,
+    createEventQueue,
+    pushEvent,
+    popEvent,
+    peekEvent
+};
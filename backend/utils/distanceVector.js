@@ -0,0 +1,164 @@
+// utils/distanceVector.js - RIP-style distance-vector routing tables and vector exchange
+
+// none: advertise everything; split-horizon: omit routes learned from the neighbour;
+// poison-reverse: advertise them back to that neighbour as unreachable
+const SPLIT_HORIZON_MODES = ['none', 'split-horizon', 'poison-reverse'];
+
+const DEFAULT_DISTANCE_VECTOR_OPTIONS = {
+    // Ticks between vector exchanges
+    updateInterval: 2,
+    // Metric treated as unreachable; caps count-to-infinity (RIP uses 16)
+    infinity: 16,
+    splitHorizon: 'poison-reverse'
+};
+
+// Return a list of problems with a (partial) distance-vector options object
+function validateDistanceVectorOptions(options) {
+    const errors = [];
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        return ['distanceVector options must be an object'];
+    }
+
+    const { updateInterval, infinity, splitHorizon } = options;
+    if (updateInterval !== undefined && (!Number.isInteger(updateInterval) || updateInterval < 1)) {
+        errors.push('distanceVector.updateInterval must be a positive integer');
+    }
+    if (infinity !== undefined && (typeof infinity !== 'number' || !Number.isFinite(infinity) || infinity <= 1)) {
+        errors.push('distanceVector.infinity must be a number > 1');
+    }
+    if (splitHorizon !== undefined && !SPLIT_HORIZON_MODES.includes(splitHorizon)) {
+        errors.push(`distanceVector.splitHorizon must be one of ${SPLIT_HORIZON_MODES.join(', ')}`);
+    }
+
+    return errors;
+}
+
+// Each node starts out knowing only a zero-cost route to itself
+function createTables(nodes) {
+    const tables = {};
+    nodes.forEach(node => {
+        tables[node] = { [node]: { nextHop: node, metric: 0 } };
+    });
+    return tables;
+}
+
+// Neighbours of every node with the cost of the link from the neighbour back to it: what the
+// neighbour adds to the vectors the node sends it
+function buildNeighbors(nodes, links, getCost) {
+    const neighbors = {};
+    nodes.forEach(node => {
+        neighbors[node] = [];
+    });
+    links.forEach(link => {
+        neighbors[link.from].push({ node: link.to, cost: getCost(link, link.to) });
+        neighbors[link.to].push({ node: link.from, cost: getCost(link, link.from) });
+    });
+    return neighbors;
+}
+
+// The vector a node sends to one neighbour, after split horizon / poison reverse
+function buildAdvertisement(node, table, neighbor, options) {
+    const vector = {};
+    Object.entries(table).forEach(([destination, route]) => {
+        if (destination !== node && route.nextHop === neighbor) {
+            if (options.splitHorizon === 'split-horizon') return;
+            if (options.splitHorizon === 'poison-reverse') {
+                vector[destination] = options.infinity;
+                return;
+            }
+        }
+        vector[destination] = route.metric;
+    });
+    return vector;
+}
+
+// One synchronous update round: every node advertises the table it had at the start of
+// the round to each neighbour, then all advertisements are applied (Bellman-Ford).
+// Returns true if any table changed.
+function exchangeVectors(tables, nodes, links, getCost, options) {
+    const neighbors = buildNeighbors(nodes, links, getCost);
+    const nodeSet = new Set(nodes);
+    let changed = false;
+
+    // Keep tables in step with the node set
+    nodes.forEach(node => {
+        if (!tables[node]) {
+            tables[node] = { [node]: { nextHop: node, metric: 0 } };
+            changed = true;
+        }
+    });
+    Object.keys(tables).forEach(node => {
+        if (!nodeSet.has(node)) {
+            delete tables[node];
+            changed = true;
+            return;
+        }
+        Object.keys(tables[node]).forEach(destination => {
+            if (!nodeSet.has(destination)) {
+                delete tables[node][destination];
+                changed = true;
+            }
+        });
+    });
+
+    // Local link-down detection: routes through a neighbour that is gone become unreachable
+    nodes.forEach(node => {
+        const neighborSet = new Set(neighbors[node].map(n => n.node));
+        Object.entries(tables[node]).forEach(([destination, route]) => {
+            if (destination !== node && !neighborSet.has(route.nextHop) && route.metric < options.infinity) {
+                route.metric = options.infinity;
+                changed = true;
+            }
+        });
+    });
+
+    const advertisements = [];
+    nodes.forEach(node => {
+        neighbors[node].forEach(({ node: neighbor, cost }) => {
+            advertisements.push({
+                from: node,
+                to: neighbor,
+                cost,
+                vector: buildAdvertisement(node, tables[node], neighbor, options)
+            });
+        });
+    });
+
+    advertisements.forEach(({ from, to, cost, vector }) => {
+        const table = tables[to];
+
+        Object.entries(vector).forEach(([destination, advertised]) => {
+            if (destination === to) return;
+
+            const metric = Math.min(options.infinity, advertised + cost);
+            const current = table[destination];
+
+            if (!current) {
+                if (metric < options.infinity) {
+                    table[destination] = { nextHop: from, metric };
+                    changed = true;
+                }
+            } else if (current.nextHop === from) {
+                // Always believe the neighbour we route through, even if the news is bad
+                if (current.metric !== metric) {
+                    current.metric = metric;
+                    changed = true;
+                }
+            } else if (metric < current.metric) {
+                current.nextHop = from;
+                current.metric = metric;
+                changed = true;
+            }
+        });
+    });
+
+    return changed;
+}
+
+module.exports = {
+    SPLIT_HORIZON_MODES,
+    DEFAULT_DISTANCE_VECTOR_OPTIONS,
+    validateDistanceVectorOptions,
+    createTables,
+    exchangeVectors
+};
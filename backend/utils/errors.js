@@ -0,0 +1,13 @@
+// utils/errors.js - Error type used by the simulator to report invalid requests
+
+// Carries an HTTP status so routes can map simulator failures to responses
+class SimulationError extends Error {
+    constructor(message, status = 400, details = undefined) {
+        super(message);
+        this.name = 'SimulationError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+module.exports = { SimulationError };
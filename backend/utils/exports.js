@@ -0,0 +1,133 @@
+// utils/exports.js - Rows of the CSV / NDJSON downloads: packet traces and per-tick link and node
+// statistics, filtered by step range and entity and produced lazily so large runs stream
+
+const EXPORT_KINDS = ['packets', 'links', 'nodes'];
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const EXPORT_CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// CSV columns, in order; NDJSON rows carry the same fields with path and hops as lists
+const EXPORT_COLUMNS = {
+    packets: ['id', 'step', 'source', 'destination', 'trafficClass', 'path', 'hops', 'outcome', 'latency'],
+    links: ['step', 'time', 'link', 'from', 'to', 'load', 'utilization', 'queue'],
+    nodes: ['step', 'time', 'node', 'generated', 'received']
+};
+
+// Entity filters (lists of ids) each kind accepts
+const EXPORT_FILTERS = {
+    packets: ['sources', 'destinations', 'nodes'],
+    links: ['links'],
+    nodes: ['nodes']
+};
+
+// Query parameter each filter is given as
+const FILTER_PARAMETERS = { sources: 'source', destinations: 'destination', nodes: 'node', links: 'link' };
+
+// Return a list of problems with an export query ({ format, from, to } plus entity filters)
+function validateExportQuery(kind, query) {
+    const errors = [];
+    if (!EXPORT_KINDS.includes(kind)) {
+        return [`export must be one of ${EXPORT_KINDS.join(', ')}`];
+    }
+    const { format, from, to } = query;
+    if (format !== undefined && !EXPORT_FORMATS.includes(format)) {
+        errors.push(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+    }
+    [['from', from], ['to', to]].forEach(([field, value]) => {
+        if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+            errors.push(`${field} must be a simulation step (integer >= 0)`);
+        }
+    });
+    if (from !== undefined && to !== undefined && from > to) {
+        errors.push('from must not be after to');
+    }
+    Object.entries(FILTER_PARAMETERS).forEach(([filter, parameter]) => {
+        if (query[filter] === undefined) return;
+        if (!EXPORT_FILTERS[kind].includes(filter)) {
+            errors.push(`${parameter} cannot filter a ${kind} export`);
+        } else if (!Array.isArray(query[filter]) || query[filter].some(entity => typeof entity !== 'string')) {
+            errors.push(`${parameter} must be a list of ids`);
+        }
+    });
+    return errors;
+}
+
+const inRange = (step, { from, to }) => (from === undefined || step >= from) && (to === undefined || step <= to);
+
+// A filter given as an empty list matches everything, like no filter at all
+const matches = (list, value) => !list || list.length === 0 || list.includes(value);
+
+// Trace entries in range, from any of `sources`, to any of `destinations` and, with `nodes`,
+// starting or ending at one of them
+function* packetExportRows(entries, query) {
+    const { sources, destinations, nodes } = query;
+    for (const entry of entries) {
+        if (!inRange(entry.step, query)) continue;
+        if (!matches(sources, entry.source) || !matches(destinations, entry.destination)) continue;
+        if (nodes && nodes.length > 0 && !nodes.includes(entry.source) && !nodes.includes(entry.destination)) continue;
+        yield entry;
+    }
+}
+
+// One row per link direction ("A-B") and tick of the history
+function* linkExportRows(samples, query) {
+    for (const sample of samples) {
+        if (!inRange(sample.step, query)) continue;
+        for (const [link, values] of Object.entries(sample.link)) {
+            if (!matches(query.links, link)) continue;
+            const [from, to] = link.split('-');
+            yield { step: sample.step, time: sample.time, link, from, to, ...values };
+        }
+    }
+}
+
+// One row per node and tick of the history
+function* nodeExportRows(samples, query) {
+    for (const sample of samples) {
+        if (!inRange(sample.step, query)) continue;
+        for (const [node, values] of Object.entries(sample.node)) {
+            if (!matches(query.nodes, node)) continue;
+            yield { step: sample.step, time: sample.time, node, ...values };
+        }
+    }
+}
+
+// Quote a CSV field when it holds a separator, quote or line break (RFC 4180)
+function csvField(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Lists flattened for CSV: path as "A>B>D", hops as "A>B:sent;B>D:delivered"
+function csvValue(column, value) {
+    if (column === 'path') return value.join('>');
+    if (column === 'hops') return value.map(hop => `${hop.from}>${hop.to}:${hop.outcome}`).join(';');
+    return value;
+}
+
+// What goes before the first row: the CSV header, nothing for NDJSON
+function exportHeader(kind, format) {
+    return format === 'csv' ? `${EXPORT_COLUMNS[kind].join(',')}\n` : '';
+}
+
+function formatExportRow(kind, format, row) {
+    if (format === 'ndjson') return `${JSON.stringify(row)}\n`;
+    return `${EXPORT_COLUMNS[kind].map(column => csvField(csvValue(column, row[column]))).join(',')}\n`;
+}
+
+module.exports = {
+    EXPORT_KINDS,
+    EXPORT_FORMATS,
+    EXPORT_CONTENT_TYPES,
+    EXPORT_COLUMNS,
+    validateExportQuery,
+    packetExportRows,
+    linkExportRows,
+    nodeExportRows,
+    exportHeader,
+    formatExportRow
+};
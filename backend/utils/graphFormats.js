@@ -0,0 +1,301 @@
+// utils/graphFormats.js - GraphML and Graphviz DOT import/export for the topology
+const { XMLParser } = require('fast-xml-parser');
+const { SimulationError } = require('./errors');
+
+// Edge attributes that map directly onto the links model
+const LINK_ATTRIBUTES = ['capacity', 'reverseCapacity', 'delay', 'cost'];
+
+// Build a { nodes, links } topology from parsed node ids and edge attribute maps
+function buildTopology(nodeIds, edges, defaultCapacity) {
+    const nodes = [...new Set(nodeIds)];
+
+    const links = edges.map(({ from, to, attributes }) => {
+        [from, to].forEach(node => {
+            if (!nodes.includes(node)) nodes.push(node);
+        });
+
+        const link = { from, to };
+        LINK_ATTRIBUTES.forEach(name => {
+            if (attributes[name] !== undefined && attributes[name] !== '') {
+                link[name] = Number(attributes[name]);
+            }
+        });
+
+        if (link.capacity === undefined) {
+            if (defaultCapacity === undefined) {
+                throw new SimulationError(`Edge ${from} - ${to} has no capacity attribute and no defaultCapacity was given`);
+            }
+            link.capacity = defaultCapacity;
+        }
+        return link;
+    });
+
+    return { nodes, links };
+}
+
+// ---------------------------------------------------------------------------
+// GraphML
+// ---------------------------------------------------------------------------
+
+const asArray = value => value === undefined ? [] : Array.isArray(value) ? value : [value];
+
+function parseGraphML(text, { defaultCapacity } = {}) {
+    const parser = new XMLParser({
+        ignoreAttributes: false,
+        attributeNamePrefix: '',
+        removeNSPrefix: true,
+        parseTagValue: false
+    });
+
+    let doc;
+    try {
+        doc = parser.parse(text);
+    } catch (error) {
+        throw new SimulationError(`Could not parse GraphML: ${error.message}`);
+    }
+
+    const graphml = doc && doc.graphml;
+    const graph = graphml && asArray(graphml.graph)[0];
+    if (!graph) {
+        throw new SimulationError('GraphML document has no <graph> element');
+    }
+
+    // <key id="d0" for="edge" attr.name="capacity"/> maps data keys to attribute names
+    const keyNames = {};
+    asArray(graphml.key).forEach(key => {
+        keyNames[key.id] = key['attr.name'] || key.id;
+    });
+
+    const readData = element => {
+        const attributes = {};
+        asArray(element.data).forEach(data => {
+            const value = typeof data === 'object' ? data['#text'] : data;
+            if (value !== undefined) {
+                attributes[keyNames[data.key] || data.key] = String(value).trim();
+            }
+        });
+        return attributes;
+    };
+
+    // Gephi stores the display name in a "label" attribute; fall back to the node id
+    const nodeNames = {};
+    asArray(graph.node).forEach(node => {
+        nodeNames[node.id] = readData(node).label || node.id;
+    });
+
+    const edges = asArray(graph.edge).map(edge => ({
+        from: nodeNames[edge.source] || edge.source,
+        to: nodeNames[edge.target] || edge.target,
+        attributes: readData(edge)
+    }));
+
+    return buildTopology(Object.values(nodeNames), edges, defaultCapacity);
+}
+
+const escapeXml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const GRAPHML_KEYS = [
+    { id: 'packetsGenerated', for: 'node', type: 'long' },
+    { id: 'packetsReceived', for: 'node', type: 'long' },
+    { id: 'currentLoad', for: 'node', type: 'double' },
+    { id: 'failed', for: 'node', type: 'boolean' },
+    { id: 'capacity', for: 'edge', type: 'double' },
+    { id: 'reverseCapacity', for: 'edge', type: 'double' },
+    { id: 'delay', for: 'edge', type: 'double' },
+    { id: 'cost', for: 'edge', type: 'double' },
+    { id: 'routingCost', for: 'edge', type: 'double' },
+    { id: 'currentLoad', for: 'edge', type: 'double' },
+    { id: 'utilization', for: 'edge', type: 'double' },
+    { id: 'queueSize', for: 'edge', type: 'long' },
+    { id: 'congested', for: 'edge', type: 'boolean' },
+    { id: 'failed', for: 'edge', type: 'boolean' }
+];
+
+// Serialize network stats (nodes and links with live load) to GraphML
+function toGraphML(stats) {
+    const dataLines = (item, kind) => GRAPHML_KEYS
+        .filter(key => key.for === kind && item[key.id] !== undefined)
+        .map(key => `      <data key="${kind}_${key.id}">${escapeXml(item[key.id])}</data>`);
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        ...GRAPHML_KEYS.map(key =>
+            `  <key id="${key.for}_${key.id}" for="${key.for}" attr.name="${key.id}" attr.type="${key.type}"/>`
+        ),
+        '  <graph id="network" edgedefault="undirected">'
+    ];
+
+    stats.nodes.forEach(node => {
+        lines.push(`    <node id="${escapeXml(node.id)}">`, ...dataLines(node, 'node'), '    </node>');
+    });
+
+    stats.links.forEach((link, index) => {
+        lines.push(
+            `    <edge id="e${index}" source="${escapeXml(link.from)}" target="${escapeXml(link.to)}">`,
+            ...dataLines(link, 'edge'),
+            '    </edge>'
+        );
+    });
+
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n') + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// Graphviz DOT
+// ---------------------------------------------------------------------------
+
+// Split DOT source into identifiers, quoted strings and punctuation
+function tokenizeDot(text) {
+    const tokens = [];
+    const pattern = /\s+|\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/|"((?:[^"\\]|\\.)*)"|(--|->|[{}[\];,=:])|([A-Za-z_][A-Za-z0-9_]*|-?(?:\d+(?:\.\d*)?|\.\d+))|(.)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const [, quoted, punct, id, unknown] = match;
+        if (quoted !== undefined) tokens.push({ type: 'id', value: quoted.replace(/\\"/g, '"') });
+        else if (punct !== undefined) tokens.push({ type: punct, value: punct });
+        else if (id !== undefined) tokens.push({ type: 'id', value: id });
+        else if (unknown !== undefined) {
+            throw new SimulationError(`Unexpected character ${JSON.stringify(unknown)} in DOT source`);
+        }
+    }
+
+    return tokens;
+}
+
+// Parse the subset of DOT that describes a flat graph: node, edge and default attribute statements
+function parseDot(text, { defaultCapacity } = {}) {
+    const tokens = tokenizeDot(text);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const expect = type => {
+        const token = next();
+        if (!token || token.type !== type) {
+            throw new SimulationError(`Expected "${type}" in DOT source but found ${token ? JSON.stringify(token.value) : 'end of input'}`);
+        }
+        return token;
+    };
+
+    const parseAttributes = () => {
+        const attributes = {};
+        while (peek() && peek().type === '[') {
+            next();
+            while (peek() && peek().type !== ']') {
+                const name = expect('id').value;
+                expect('=');
+                attributes[name] = expect('id').value;
+                if (peek() && (peek().type === ',' || peek().type === ';')) next();
+            }
+            expect(']');
+        }
+        return attributes;
+    };
+
+    if (peek() && peek().type === 'id' && peek().value.toLowerCase() === 'strict') next();
+    const graphType = expect('id').value.toLowerCase();
+    if (graphType !== 'graph' && graphType !== 'digraph') {
+        throw new SimulationError('DOT source must start with "graph" or "digraph"');
+    }
+    if (peek() && peek().type === 'id') next();
+    expect('{');
+
+    const nodeIds = [];
+    const edges = [];
+    let edgeDefaults = {};
+
+    while (peek() && peek().type !== '}') {
+        const token = next();
+
+        if (token.type === ';') continue;
+        if (token.type === '{' || (token.type === 'id' && token.value.toLowerCase() === 'subgraph')) {
+            throw new SimulationError('Subgraphs are not supported in DOT import');
+        }
+        if (token.type !== 'id') {
+            throw new SimulationError(`Unexpected ${JSON.stringify(token.value)} in DOT source`);
+        }
+
+        const keyword = token.value.toLowerCase();
+        if (['graph', 'node', 'edge'].includes(keyword) && peek() && peek().type === '[') {
+            const attributes = parseAttributes();
+            if (keyword === 'edge') edgeDefaults = { ...edgeDefaults, ...attributes };
+            continue;
+        }
+
+        // Graph attribute assignment such as rankdir=LR
+        if (peek() && peek().type === '=') {
+            next();
+            expect('id');
+            continue;
+        }
+
+        // Edge chain A -- B -- C [attrs] or a single node statement
+        const chain = [token.value];
+        while (peek() && (peek().type === '--' || peek().type === '->')) {
+            next();
+            chain.push(expect('id').value);
+        }
+        const attributes = parseAttributes();
+
+        if (chain.length === 1) {
+            nodeIds.push(chain[0]);
+        } else {
+            for (let i = 0; i < chain.length - 1; i++) {
+                edges.push({ from: chain[i], to: chain[i + 1], attributes: { ...edgeDefaults, ...attributes } });
+            }
+        }
+    }
+    expect('}');
+
+    return buildTopology(nodeIds, edges, defaultCapacity);
+}
+
+const quoteDot = value => `"${String(value).replace(/"/g, '\\"')}"`;
+
+// Serialize network stats to an undirected DOT graph, styling links by utilization
+function toDot(stats) {
+    const lines = ['graph network {', '    node [shape=circle];'];
+
+    stats.nodes.forEach(node => {
+        const style = node.failed ? ', failed=true, style=dashed' : '';
+        lines.push(`    ${quoteDot(node.id)} [packetsGenerated=${node.packetsGenerated}, packetsReceived=${node.packetsReceived}, currentLoad=${node.currentLoad}${style}];`);
+    });
+
+    stats.links.forEach(link => {
+        const utilization = parseFloat(link.utilization);
+        const color = link.congested ? 'red' : utilization > 80 ? 'orange' : utilization > 50 ? 'green' : 'gray';
+        const attributes = [
+            `capacity=${link.capacity}`,
+            ...(link.reverseCapacity !== undefined ? [`reverseCapacity=${link.reverseCapacity}`] : []),
+            ...(link.delay !== undefined ? [`delay=${link.delay}`] : []),
+            ...(link.cost !== undefined ? [`cost=${link.cost}`] : []),
+            `routingCost=${link.routingCost}`,
+            `currentLoad=${link.currentLoad}`,
+            `utilization=${link.utilization}`,
+            `queueSize=${link.queueSize}`,
+            `congested=${link.congested}`,
+            `label=${quoteDot(`${link.utilization}%`)}`,
+            `color=${color}`,
+            `penwidth=${Math.max(1, utilization / 20).toFixed(1)}`,
+            ...(link.failed ? ['failed=true', 'style=dashed'] : [])
+        ];
+        lines.push(`    ${quoteDot(link.from)} -- ${quoteDot(link.to)} [${attributes.join(', ')}];`);
+    });
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    parseGraphML,
+    toGraphML,
+    parseDot,
+    toDot
+};
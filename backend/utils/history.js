@@ -0,0 +1,133 @@
+// utils/history.js - Bounded per-tick history of link, node and summary metrics, and range
+// queries over it that downsample long ranges into a manageable number of points
+
+// Ticks kept; older samples are dropped as new ones come in
+const HISTORY_LIMIT = 2000;
+
+// Points a query returns at most unless it asks for another number
+const DEFAULT_HISTORY_POINTS = 200;
+
+// link.* are per link direction ("A-B"); node.generated/received and summary.generated,
+// transmitted and drops count packets of that tick; the rest are values at the end of the tick
+const HISTORY_METRICS = [
+    'link.load',
+    'link.utilization',
+    'link.queue',
+    'node.generated',
+    'node.received',
+    'summary.generated',
+    'summary.transmitted',
+    'summary.drops',
+    'summary.packetLoss',
+    'summary.averageQueueSize'
+];
+
+// Samples oldest first, the cumulative counters as of the last one (per-tick counts are the
+// difference) and the step of the newest sample dropped so far (null while none has been)
+function createHistory() {
+    return { samples: [], totals: null, discardedStep: null };
+}
+
+// Add one tick's sample ({ step, time, link, node, summary }), dropping the oldest past the limit
+function recordSample(history, sample) {
+    history.samples.push(sample);
+    if (history.samples.length > HISTORY_LIMIT) {
+        const dropped = history.samples.splice(0, history.samples.length - HISTORY_LIMIT);
+        history.discardedStep = dropped[dropped.length - 1].step;
+    }
+}
+
+// Steps the history holds ({ from, to }, null when empty) and whether older ones were dropped
+function historyRange(history) {
+    const { samples } = history;
+    return {
+        from: samples.length > 0 ? samples[0].step : null,
+        to: samples.length > 0 ? samples[samples.length - 1].step : null,
+        truncated: history.discardedStep !== null
+    };
+}
+
+// Entities a metric has values for in the history, in order of first appearance
+function historyEntities(history, metric) {
+    const [scope] = metric.split('.');
+    if (scope === 'summary') return ['summary'];
+
+    const entities = new Set();
+    history.samples.forEach(sample => {
+        Object.keys(sample[scope]).forEach(entity => entities.add(entity));
+    });
+    return [...entities];
+}
+
+// Return a list of problems with a history query ({ metric, entities, from, to, points })
+function validateHistoryQuery({ metric, from, to, points }) {
+    const errors = [];
+    if (!HISTORY_METRICS.includes(metric)) {
+        errors.push(`metric must be one of ${HISTORY_METRICS.join(', ')}`);
+    }
+    [['from', from], ['to', to]].forEach(([field, value]) => {
+        if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+            errors.push(`${field} must be a simulation step (integer >= 0)`);
+        }
+    });
+    if (from !== undefined && to !== undefined && from > to) {
+        errors.push('from must not be after to');
+    }
+    if (points !== undefined && (!Number.isInteger(points) || points < 1 || points > HISTORY_LIMIT)) {
+        errors.push(`points must be an integer between 1 and ${HISTORY_LIMIT}`);
+    }
+    return errors;
+}
+
+// Values of one metric per entity between two steps (inclusive). When the range holds more
+// samples than `points`, consecutive samples are merged into buckets reporting their mean,
+// min and max; each point carries the step and time slot its bucket starts at.
+function queryHistory(history, { metric, entities, from, to, points = DEFAULT_HISTORY_POINTS }) {
+    const [scope, field] = metric.split('.');
+    const samples = history.samples.filter(sample =>
+        (from === undefined || sample.step >= from) && (to === undefined || sample.step <= to));
+    const bucketSize = Math.max(1, Math.ceil(samples.length / points));
+
+    const series = entities.map(entity => {
+        const valueOf = sample => {
+            const values = scope === 'summary' ? sample.summary : sample[scope][entity];
+            return values ? values[field] : undefined;
+        };
+
+        const data = [];
+        for (let start = 0; start < samples.length; start += bucketSize) {
+            const bucket = samples.slice(start, start + bucketSize);
+            const values = bucket.map(valueOf).filter(value => value !== undefined);
+            if (values.length === 0) continue;
+
+            const mean = values.reduce((a, b) => a + b, 0) / values.length;
+            data.push({
+                step: bucket[0].step,
+                time: bucket[0].time,
+                value: Math.round(mean * 1000) / 1000,
+                ...(bucketSize > 1 && { min: Math.min(...values), max: Math.max(...values) })
+            });
+        }
+        return { entity, points: data };
+    });
+
+    return {
+        metric,
+        from: samples.length > 0 ? samples[0].step : null,
+        to: samples.length > 0 ? samples[samples.length - 1].step : null,
+        bucketSize,
+        series
+    };
+}
+
+module.exports = {
+    HISTORY_LIMIT,
+    DEFAULT_HISTORY_POINTS,
+    HISTORY_METRICS,
+    createHistory,
+    recordSample,
+    historyRange,
+    historyEntities,
+    validateHistoryQuery,
+    queryHistory
+};
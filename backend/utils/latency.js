@@ -0,0 +1,115 @@
+// utils/latency.js - Per-packet delay metrics of delivered packets: end-to-end latency, queuing
+// delay per hop, hop count and jitter, kept per source-destination pair over a sliding window
+// and summarized as percentiles
+
+// Most recent values of each metric kept per pair, and network-wide
+const PAIR_WINDOW = 500;
+const NETWORK_WINDOW = 2000;
+
+// latency: ticks from creation to delivery; hopQueueDelay: ticks spent waiting in each output
+// queue; hops: links crossed; jitter: difference between the latencies of consecutive packets
+// of the same pair (RFC 3550 style, without smoothing)
+const LATENCY_METRICS = ['latency', 'hopQueueDelay', 'hops', 'jitter'];
+
+const PERCENTILES = [50, 95, 99];
+
+// Delivered count and a ring of recent values per metric
+function createWindows(size) {
+    const windows = { delivered: 0, size };
+    LATENCY_METRICS.forEach(metric => {
+        windows[metric] = { values: [], next: 0 };
+    });
+    return windows;
+}
+
+function createLatencyStats() {
+    return { network: createWindows(NETWORK_WINDOW), pairs: {} };
+}
+
+// Append to a fixed-size ring of values
+function pushWindow(window, value, size) {
+    if (window.values.length < size) {
+        window.values.push(value);
+    } else {
+        window.values[window.next] = value;
+    }
+    window.next = (window.next + 1) % size;
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Record a delivered packet ({ source, destination, latency, queueDelays }) against its pair and
+// the network. Jitter is always taken between packets of the same pair.
+function recordLatency(stats, { source, destination, latency, queueDelays }) {
+    const key = `${source}-${destination}`;
+    if (!stats.pairs[key]) {
+        stats.pairs[key] = { ...createWindows(PAIR_WINDOW), lastLatency: null };
+    }
+
+    const pair = stats.pairs[key];
+    const jitter = pair.lastLatency === null ? null : round(Math.abs(latency - pair.lastLatency));
+    pair.lastLatency = latency;
+
+    [pair, stats.network].forEach(windows => {
+        windows.delivered += 1;
+        pushWindow(windows.latency, round(latency), windows.size);
+        pushWindow(windows.hops, queueDelays.length, windows.size);
+        queueDelays.forEach(delay => pushWindow(windows.hopQueueDelay, round(delay), windows.size));
+        if (jitter !== null) pushWindow(windows.jitter, jitter, windows.size);
+    });
+}
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, p) {
+    return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+// Mean, p50, p95, p99 and max of a list of values (null when it is empty)
+function summarize(values) {
+    if (values.length === 0) return null;
+
+    // Typed arrays sort numerically, and much faster than an array with a comparator
+    const sorted = Float64Array.from(values).sort();
+    const summary = { mean: round(sorted.reduce((a, b) => a + b, 0) / sorted.length) };
+    PERCENTILES.forEach(p => {
+        summary[`p${p}`] = percentile(sorted, p);
+    });
+    summary.max = sorted[sorted.length - 1];
+    return summary;
+}
+
+// Packets delivered and the percentiles of every metric over one set of windows
+function summarizeWindows(windows) {
+    const summary = { delivered: windows.delivered };
+    LATENCY_METRICS.forEach(metric => {
+        summary[metric] = summarize(windows[metric].values);
+    });
+    return summary;
+}
+
+// Network-wide figures, as shown in the stats summary
+function networkLatency(stats) {
+    return summarizeWindows(stats.network);
+}
+
+// Network-wide and per-pair figures
+function latencyReport(stats) {
+    return {
+        network: networkLatency(stats),
+        pairs: Object.entries(stats.pairs).map(([key, pair]) => {
+            const [source, destination] = key.split('-');
+            return { source, destination, ...summarizeWindows(pair) };
+        })
+    };
+}
+
+module.exports = {
+    PAIR_WINDOW,
+    NETWORK_WINDOW,
+    LATENCY_METRICS,
+    PERCENTILES,
+    createLatencyStats,
+    recordLatency,
+    networkLatency,
+    latencyReport
+};
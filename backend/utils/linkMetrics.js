@@ -0,0 +1,38 @@
+// utils/linkMetrics.js - Per-link routing cost metrics used by the Dijkstra router
+
+// OSPF-style reference bandwidth: cost = referenceBandwidth / capacity
+const DEFAULT_REFERENCE_BANDWIDTH = 1000;
+
+// Propagation delay (ms) assumed for links that do not declare one
+const DEFAULT_LINK_DELAY = 1;
+
+const ROUTING_METRICS = {
+    // Every link costs 1, so routes minimise hop count
+    hop: () => 1,
+
+    // Static administrative cost set per link
+    admin: link => link.cost !== undefined ? link.cost : 1,
+
+    // Faster links are cheaper; truncated to an integer with a floor of 1 like OSPF. Each
+    // direction is priced by its own capacity.
+    'inverse-capacity': (link, { referenceBandwidth, from }) => {
+        const capacity = from === link.to && link.reverseCapacity !== undefined ? link.reverseCapacity : link.capacity;
+        return Math.max(1, Math.floor(referenceBandwidth / capacity));
+    },
+
+    // Propagation delay in milliseconds
+    delay: link => link.delay !== undefined ? link.delay : DEFAULT_LINK_DELAY
+};
+
+// Cost of crossing a link from `from` (its declared direction when omitted)
+function getLinkCost(link, { metric = 'hop', referenceBandwidth = DEFAULT_REFERENCE_BANDWIDTH } = {}, from = link.from) {
+    const costFn = ROUTING_METRICS[metric] || ROUTING_METRICS.hop;
+    return costFn(link, { referenceBandwidth, from });
+}
+
+module.exports = {
+    DEFAULT_REFERENCE_BANDWIDTH,
+    DEFAULT_LINK_DELAY,
+    ROUTING_METRICS,
+    getLinkCost
+};
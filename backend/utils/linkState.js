@@ -0,0 +1,261 @@
+// utils/linkState.js - OSPF-like link-state routing: LSA origination, hop-by-hop flooding,
+// per-node link-state databases and throttled SPF runs
+
+const DEFAULT_LINK_STATE_OPTIONS = {
+    // Ticks an LSA takes to cross one link
+    floodDelay: 1,
+    // Ticks a node waits after its database changes before running SPF
+    spfDelay: 1,
+    // Minimum ticks between two SPF runs on the same node
+    spfHoldTime: 3,
+    // Ticks after which a node re-originates its LSA even if nothing changed
+    refreshInterval: 30,
+    // Ticks after which an LSA that was not refreshed is flushed from a database
+    maxAge: 90
+};
+
+// Return a list of problems with a (partial) link-state options object
+function validateLinkStateOptions(options) {
+    const errors = [];
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        return ['linkState options must be an object'];
+    }
+
+    ['floodDelay', 'spfDelay', 'spfHoldTime'].forEach(name => {
+        if (options[name] !== undefined && (!Number.isInteger(options[name]) || options[name] < 0)) {
+            errors.push(`linkState.${name} must be an integer >= 0`);
+        }
+    });
+    ['refreshInterval', 'maxAge'].forEach(name => {
+        if (options[name] !== undefined && (!Number.isInteger(options[name]) || options[name] < 1)) {
+            errors.push(`linkState.${name} must be a positive integer`);
+        }
+    });
+
+    return errors;
+}
+
+// `sequence` is the last LSA sequence number the node used, for a node that comes back
+function createRouterState(sequence = 0) {
+    return {
+        sequence,
+        lsdb: {},
+        lastAdjacency: null,
+        lastOriginatedAt: null,
+        spfPending: false,
+        dirtySince: null,
+        lastSpfAt: null,
+        spfRuns: 0
+    };
+}
+
+// Link-state protocol state: per-node routers, LSAs currently crossing links, and the last
+// sequence number of nodes that are down or gone. Neighbours keep a failed node's last LSA
+// until it ages out, so a node that comes back has to carry on numbering above it or its
+// new LSAs would be ignored as older.
+function createLinkStateState(nodes) {
+    const routers = {};
+    nodes.forEach(node => {
+        routers[node] = createRouterState();
+    });
+    return { routers, inFlight: [], sequences: {} };
+}
+
+// Neighbours of every node with the cost of the connecting link in the outgoing direction,
+// sorted for stable LSAs
+function buildAdjacency(nodes, links, getCost) {
+    const adjacency = {};
+    nodes.forEach(node => {
+        adjacency[node] = [];
+    });
+    links.forEach(link => {
+        adjacency[link.from].push({ neighbor: link.to, cost: getCost(link, link.from) });
+        adjacency[link.to].push({ neighbor: link.from, cost: getCost(link, link.to) });
+    });
+    Object.values(adjacency).forEach(list => list.sort((a, b) => a.neighbor.localeCompare(b.neighbor)));
+    return adjacency;
+}
+
+function markDirty(router, step) {
+    if (!router.spfPending) {
+        router.spfPending = true;
+        router.dirtySince = step;
+    }
+}
+
+// Shortest path tree over one node's own database. An edge is only used when both ends
+// advertise it (OSPF's two-way check), so stale LSAs cannot create phantom links.
+function runSpf(origin, lsdb) {
+    const advertises = (from, to) => lsdb[from] && lsdb[from].links.some(l => l.neighbor === to);
+    const distances = { [origin]: 0 };
+    const firstHop = { [origin]: origin };
+    const visited = new Set();
+
+    while (true) {
+        let current = null;
+        Object.keys(distances).forEach(node => {
+            if (!visited.has(node) && (current === null || distances[node] < distances[current] ||
+                (distances[node] === distances[current] && node < current))) {
+                current = node;
+            }
+        });
+        if (current === null) break;
+        visited.add(current);
+
+        const lsa = lsdb[current];
+        if (!lsa) continue;
+
+        lsa.links.forEach(({ neighbor, cost }) => {
+            if (!advertises(neighbor, current)) return;
+            const distance = distances[current] + cost;
+            if (distances[neighbor] === undefined || distance < distances[neighbor]) {
+                distances[neighbor] = distance;
+                firstHop[neighbor] = current === origin ? neighbor : firstHop[current];
+            }
+        });
+    }
+
+    const routes = {};
+    Object.keys(distances).forEach(destination => {
+        routes[destination] = { nextHop: firstHop[destination], metric: distances[destination] };
+    });
+    return routes;
+}
+
+const sameRoutes = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Advance the protocol by one tick. `tables` holds each node's forwarding table and is
+// updated in place when SPF runs. Returns whether any table changed and whether work
+// (LSAs in flight or SPF runs) is still pending.
+function runLinkStateTick(state, tables, nodes, links, getCost, step, options) {
+    const nodeSet = new Set(nodes);
+    const adjacency = buildAdjacency(nodes, links, getCost);
+    const connected = (a, b) => adjacency[a] && adjacency[a].some(l => l.neighbor === b);
+    let tablesChanged = false;
+
+    // Keep routers in step with the node set
+    if (!state.sequences) state.sequences = {};
+    nodes.forEach(node => {
+        if (!state.routers[node]) state.routers[node] = createRouterState(state.sequences[node]);
+        if (!tables[node]) tables[node] = { [node]: { nextHop: node, metric: 0 } };
+    });
+    Object.keys(state.routers).forEach(node => {
+        if (!nodeSet.has(node)) {
+            state.sequences[node] = state.routers[node].sequence;
+            delete state.routers[node];
+            delete tables[node];
+            tablesChanged = true;
+        }
+    });
+
+    const flood = (lsa, from, except) => {
+        adjacency[from].forEach(({ neighbor }) => {
+            if (neighbor !== except) {
+                state.inFlight.push({ lsa, from, to: neighbor, deliverAt: step + options.floodDelay });
+            }
+        });
+    };
+
+    // Originate a new LSA whenever a node's own adjacencies change, or on the refresh timer
+    nodes.forEach(node => {
+        const router = state.routers[node];
+        const signature = JSON.stringify(adjacency[node]);
+        const adjacencyChanged = signature !== router.lastAdjacency;
+        const refreshDue = router.lastOriginatedAt !== null &&
+            step - router.lastOriginatedAt >= options.refreshInterval;
+
+        if (adjacencyChanged || refreshDue) {
+            router.sequence += 1;
+            router.lastAdjacency = signature;
+            router.lastOriginatedAt = step;
+
+            const lsa = { origin: node, sequence: router.sequence, links: adjacency[node] };
+            router.lsdb[node] = { ...lsa, installedAt: step };
+            if (adjacencyChanged) markDirty(router, step);
+            flood(lsa, node, null);
+        }
+    });
+
+    // Deliver LSAs whose flooding delay has elapsed; with zero delay, keep going until
+    // the flood settles within this tick
+    let delivered = true;
+    while (delivered) {
+        delivered = false;
+        const due = state.inFlight.filter(message => message.deliverAt <= step);
+        state.inFlight = state.inFlight.filter(message => message.deliverAt > step);
+
+        due.forEach(({ lsa, from, to }) => {
+            delivered = true;
+            // Messages on links that went down (or to nodes that left) are lost
+            if (!nodeSet.has(to) || !connected(from, to)) return;
+
+            const router = state.routers[to];
+            const known = router.lsdb[lsa.origin];
+            if (known && known.sequence >= lsa.sequence) return;
+
+            const changedContent = !known || JSON.stringify(known.links) !== JSON.stringify(lsa.links);
+            router.lsdb[lsa.origin] = { ...lsa, installedAt: step };
+            if (changedContent) markDirty(router, step);
+            flood(lsa, to, from);
+        });
+    }
+
+    // Age out LSAs of nodes that stopped refreshing them
+    nodes.forEach(node => {
+        const router = state.routers[node];
+        Object.entries(router.lsdb).forEach(([origin, lsa]) => {
+            if (origin !== node && step - lsa.installedAt >= options.maxAge) {
+                delete router.lsdb[origin];
+                markDirty(router, step);
+            }
+        });
+    });
+
+    // Throttled SPF: wait spfDelay after the first change, and spfHoldTime after the last run
+    nodes.forEach(node => {
+        const router = state.routers[node];
+        if (!router.spfPending) return;
+        if (step - router.dirtySince < options.spfDelay) return;
+        if (router.lastSpfAt !== null && step - router.lastSpfAt < options.spfHoldTime) return;
+
+        const routes = runSpf(node, router.lsdb);
+        router.spfPending = false;
+        router.dirtySince = null;
+        router.lastSpfAt = step;
+        router.spfRuns += 1;
+
+        if (!sameRoutes(routes, tables[node])) {
+            tables[node] = routes;
+            tablesChanged = true;
+        }
+    });
+
+    const pending = state.inFlight.length > 0 || nodes.some(node => state.routers[node].spfPending);
+    return { tablesChanged, pending };
+}
+
+// Summary of one node's link-state database for inspection
+function describeDatabase(state, node) {
+    const router = state.routers[node];
+    if (!router) return null;
+
+    return {
+        spfRuns: router.spfRuns,
+        lastSpfAt: router.lastSpfAt,
+        spfPending: router.spfPending,
+        lsas: Object.values(router.lsdb).map(({ origin, sequence, links, installedAt }) => ({
+            origin,
+            sequence,
+            installedAt,
+            links: links.map(({ neighbor, cost }) => ({ neighbor, cost }))
+        }))
+    };
+}
+
+module.exports = {
+    DEFAULT_LINK_STATE_OPTIONS,
+    validateLinkStateOptions,
+    createLinkStateState,
+    runLinkStateTick,
+    describeDatabase
+};
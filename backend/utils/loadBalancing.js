@@ -0,0 +1,67 @@
+// utils/loadBalancing.js - Spreading traffic over multiple candidate paths
+
+// single: one shortest path; ecmp: all equal-cost paths; ksp: k shortest paths (Yen);
+// adaptive: one path whose costs follow live congestion (see adaptiveRouting.js)
+const ROUTING_MODES = ['single', 'ecmp', 'ksp', 'adaptive'];
+
+// flow: hash each flow onto one path; packet: rotate packets across paths
+const LOAD_BALANCING = ['flow', 'packet'];
+
+// Upper bound on k for k-shortest-path routing
+const MAX_PATHS = 16;
+
+// 32-bit FNV-1a hash with a final avalanche step, used to pin a flow to one path.
+// Without the avalanche, keys differing only in their last character share the high bits.
+function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+// Per-flow selection: the hash picks a bucket in proportion to the path weights
+function pickByHash(weights, key) {
+    const total = weights.reduce((a, b) => a + b, 0);
+    let point = (hashString(key) / 0x100000000) * total;
+
+    for (let i = 0; i < weights.length; i++) {
+        point -= weights[i];
+        if (point < 0) return i;
+    }
+    return weights.length - 1;
+}
+
+// Per-packet selection: smooth weighted round-robin (plain round-robin for equal weights).
+// `state` holds the running counters for one source-destination pair.
+function pickRoundRobin(weights, state) {
+    if (!state.current || state.current.length !== weights.length) {
+        state.current = weights.map(() => 0);
+    }
+
+    const total = weights.reduce((a, b) => a + b, 0);
+    let best = 0;
+    weights.forEach((weight, i) => {
+        state.current[i] += weight;
+        if (state.current[i] > state.current[best]) best = i;
+    });
+    state.current[best] -= total;
+
+    return best;
+}
+
+module.exports = {
+    ROUTING_MODES,
+    LOAD_BALANCING,
+    MAX_PATHS,
+    hashString,
+    pickByHash,
+    pickRoundRobin
+};
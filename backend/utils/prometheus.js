@@ -0,0 +1,56 @@
+// utils/prometheus.js - Prometheus text exposition format (version 0.0.4)
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabelValue = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const escapeHelp = text => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels || {}).filter(([, value]) => value !== undefined && value !== null);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (typeof value !== 'number' || Number.isNaN(value)) return 'NaN';
+    return String(value);
+}
+
+// Collects metric families ({ name, help, type, samples }) and renders them in order. Samples
+// of a family may come from several places (e.g. one per session) before rendering.
+function createRegistry() {
+    const families = new Map();
+
+    function family(name, type, help) {
+        if (!families.has(name)) families.set(name, { name, type, help, samples: [] });
+        return families.get(name);
+    }
+
+    return {
+        gauge(name, help, labels, value) {
+            family(name, 'gauge', help).samples.push({ labels, value });
+        },
+        counter(name, help, labels, value) {
+            family(name, 'counter', help).samples.push({ labels, value });
+        },
+        render() {
+            const lines = [];
+            families.forEach(({ name, type, help, samples }) => {
+                lines.push(`# HELP ${name} ${escapeHelp(help)}`);
+                lines.push(`# TYPE ${name} ${type}`);
+                samples.forEach(({ labels, value }) => {
+                    lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+                });
+            });
+            return `${lines.join('\n')}\n`;
+        }
+    };
+}
+
+module.exports = {
+    PROMETHEUS_CONTENT_TYPE,
+    createRegistry
+};
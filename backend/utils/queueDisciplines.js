@@ -0,0 +1,232 @@
+// utils/queueDisciplines.js - Finite link buffers with pluggable queue disciplines: drop-tail
+// FIFO, RED/WRED early drop, strict priority and weighted fair queuing
+
+const QUEUE_DISCIPLINES = ['drop-tail', 'red', 'wred', 'priority', 'wfq'];
+
+// Reasons a queue refuses a packet
+const QUEUE_DROP_REASONS = ['buffer-overflow', 'early-drop'];
+
+const DEFAULT_QUEUE_OPTIONS = {
+    discipline: 'drop-tail',
+    // Buffer size in packets, per link direction
+    bufferSize: 100,
+    // RED: no early drops below minThreshold (average queue, packets), drop probability rising
+    // linearly to maxProbability at maxThreshold, everything dropped above it. weight is the
+    // EWMA weight of the instantaneous queue length in the average.
+    red: { minThreshold: 20, maxThreshold: 60, maxProbability: 0.1, weight: 0.002 },
+    // WRED: RED profiles per packet priority; priorities without a profile use red
+    wred: {},
+    // WFQ: relative weights per packet priority; priorities without a weight get 1
+    weights: {}
+};
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+function validateRedProfile(profile, name) {
+    const errors = [];
+    if (profile === null || typeof profile !== 'object' || Array.isArray(profile)) {
+        return [`${name} must be an object`];
+    }
+
+    const { minThreshold, maxThreshold, maxProbability, weight } = profile;
+    [['minThreshold', minThreshold], ['maxThreshold', maxThreshold]].forEach(([field, value]) => {
+        if (value !== undefined && (!isNumber(value) || value < 0)) {
+            errors.push(`${name}.${field} must be a number >= 0`);
+        }
+    });
+    if (isNumber(minThreshold) && isNumber(maxThreshold) && maxThreshold <= minThreshold) {
+        errors.push(`${name}.maxThreshold must be greater than minThreshold`);
+    }
+    if (maxProbability !== undefined && (!isNumber(maxProbability) || maxProbability <= 0 || maxProbability > 1)) {
+        errors.push(`${name}.maxProbability must be a number in (0, 1]`);
+    }
+    if (weight !== undefined && (!isNumber(weight) || weight <= 0 || weight > 1)) {
+        errors.push(`${name}.weight must be a number in (0, 1]`);
+    }
+    return errors;
+}
+
+// Return a list of problems with a (partial) queue options object
+function validateQueueOptions(options) {
+    const errors = [];
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        return ['queue options must be an object'];
+    }
+
+    const { discipline, bufferSize, red, wred, weights } = options;
+    if (discipline !== undefined && !QUEUE_DISCIPLINES.includes(discipline)) {
+        errors.push(`queue.discipline must be one of ${QUEUE_DISCIPLINES.join(', ')}`);
+    }
+    if (bufferSize !== undefined && (!Number.isInteger(bufferSize) || bufferSize < 1)) {
+        errors.push('queue.bufferSize must be a positive integer');
+    }
+    if (red !== undefined) {
+        errors.push(...validateRedProfile(red, 'queue.red'));
+    }
+    if (wred !== undefined) {
+        if (wred === null || typeof wred !== 'object' || Array.isArray(wred)) {
+            errors.push('queue.wred must map priorities to RED profiles');
+        } else {
+            Object.entries(wred).forEach(([priority, profile]) => {
+                errors.push(...validateRedProfile(profile, `queue.wred.${priority}`));
+            });
+        }
+    }
+    if (weights !== undefined) {
+        if (weights === null || typeof weights !== 'object' || Array.isArray(weights)) {
+            errors.push('queue.weights must map priorities to weights');
+        } else {
+            Object.entries(weights).forEach(([priority, weight]) => {
+                if (!isNumber(weight) || weight <= 0) {
+                    errors.push(`queue.weights.${priority} must be a number > 0`);
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+// Return a list of problems with the RED profiles of complete (merged) options. A partial
+// update that sets only one threshold can still leave them the wrong way round.
+function validateEffectiveQueueOptions(options, name = 'queue') {
+    const errors = [];
+    const check = ({ minThreshold, maxThreshold }, path) => {
+        if (maxThreshold <= minThreshold) {
+            errors.push(`${path}.maxThreshold (${maxThreshold}) must be greater than minThreshold (${minThreshold})`);
+        }
+    };
+    check(options.red, `${name}.red`);
+    Object.entries(options.wred).forEach(([priority, profile]) => {
+        check({ ...options.red, ...profile }, `${name}.wred.${priority}`);
+    });
+    return errors;
+}
+
+// Layer partial options over a base, merging the RED profile field by field
+function mergeQueueOptions(base, override = {}) {
+    return {
+        ...base,
+        ...override,
+        red: { ...base.red, ...override.red },
+        wred: { ...base.wred, ...override.wred },
+        weights: { ...base.weights, ...override.weights }
+    };
+}
+
+// Queue of one link direction: waiting entries ({ id, priority }) plus discipline state
+function createQueueState() {
+    return { entries: [], average: 0, virtualTime: 0, lastFinish: {} };
+}
+
+// RED profile that applies to a packet of the given priority
+function redProfile(options, priority) {
+    if (options.discipline === 'wred' && options.wred[priority]) {
+        return { ...options.red, ...options.wred[priority] };
+    }
+    return options.red;
+}
+
+// Decide whether a packet may join a queue currently holding `length` packets.
+// Returns null when it is accepted, otherwise the drop reason.
+function admit(state, options, length, priority = 0, random = Math.random) {
+    if (options.discipline === 'red' || options.discipline === 'wred') {
+        const profile = redProfile(options, priority);
+        state.average = (1 - profile.weight) * state.average + profile.weight * length;
+
+        if (state.average >= profile.maxThreshold) return 'early-drop';
+        if (state.average >= profile.minThreshold) {
+            const probability = profile.maxProbability *
+                (state.average - profile.minThreshold) / (profile.maxThreshold - profile.minThreshold);
+            if (random() < probability) return 'early-drop';
+        }
+    }
+
+    if (length >= options.bufferSize) return 'buffer-overflow';
+    return null;
+}
+
+// Index of the queued entry ({ priority, finish? }) strict priority pushes out to make room for
+// a packet of `priority`: the newest of the lowest priority below it, or -1 when there is none
+function evictionIndex(entries, priority) {
+    let victim = -1;
+    entries.forEach((entry, i) => {
+        if (entry.priority < priority && (victim === -1 || entry.priority <= entries[victim].priority)) {
+            victim = i;
+        }
+    });
+    return victim;
+}
+
+// WFQ finish tag of a packet of `priority` joining the queue (self-clocked fair queuing:
+// max(virtual time, class's last finish) + 1 / weight), recorded as the class's last finish
+function finishTag(state, options, priority) {
+    const weight = options.weights[priority] || 1;
+    const start = Math.max(state.virtualTime, state.lastFinish[priority] || 0);
+    state.lastFinish[priority] = start + 1 / weight;
+    return state.lastFinish[priority];
+}
+
+// Index of the entry the discipline transmits next: highest priority first (FIFO within a
+// priority), lowest finish tag for WFQ, otherwise the oldest
+function nextIndex(entries, options) {
+    let index = 0;
+    if (options.discipline === 'priority') {
+        entries.forEach((entry, i) => {
+            if (entry.priority > entries[index].priority) index = i;
+        });
+    } else if (options.discipline === 'wfq') {
+        entries.forEach((entry, i) => {
+            if (entry.finish < entries[index].finish) index = i;
+        });
+    }
+    return index;
+}
+
+// Add a packet to the queue. Returns { reason } when the packet is dropped. When the buffer
+// is full, strict priority instead pushes out the newest queued packet of the lowest
+// priority below the arriving one, returned as { evicted }.
+function enqueue(state, options, packet, random = Math.random) {
+    const priority = packet.priority || 0;
+    let reason = admit(state, options, state.entries.length, priority, random);
+    let evicted = null;
+
+    if (reason === 'buffer-overflow' && options.discipline === 'priority') {
+        const victim = evictionIndex(state.entries, priority);
+        if (victim !== -1) {
+            evicted = state.entries.splice(victim, 1)[0];
+            reason = null;
+        }
+    }
+    if (reason) return { reason, evicted: null };
+
+    const entry = { id: packet.id, priority };
+    if (options.discipline === 'wfq') entry.finish = finishTag(state, options, priority);
+    state.entries.push(entry);
+    return { reason: null, evicted };
+}
+
+// Take the next packet to transmit according to the discipline
+function dequeue(state, options) {
+    if (state.entries.length === 0) return undefined;
+
+    const index = nextIndex(state.entries, options);
+    if (options.discipline === 'wfq') state.virtualTime = state.entries[index].finish;
+    return state.entries.splice(index, 1)[0];
+}
+
+module.exports = {
+    QUEUE_DISCIPLINES,
+    QUEUE_DROP_REASONS,
+    DEFAULT_QUEUE_OPTIONS,
+    validateQueueOptions,
+    validateEffectiveQueueOptions,
+    mergeQueueOptions,
+    createQueueState,
+    admit,
+    evictionIndex,
+    finishTag,
+    nextIndex,
+    enqueue,
+    dequeue
+};
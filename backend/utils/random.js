@@ -0,0 +1,30 @@
+// utils/random.js - Seedable pseudo-random numbers (mulberry32). The generator state is a
+// plain object, so it can live in the simulation state and be copied or saved with it.
+
+const MAX_SEED = 0xFFFFFFFF;
+
+const isValidSeed = seed => Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+
+// Seed for runs that are not given one; reported so the run can be repeated
+const randomSeed = () => Math.floor(Math.random() * (MAX_SEED + 1));
+
+function createRng(seed) {
+    return { seed, state: seed };
+}
+
+// Next number in [0, 1); advances the generator
+function nextRandom(rng) {
+    rng.state = (rng.state + 0x6D2B79F5) >>> 0;
+    let t = rng.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+module.exports = {
+    MAX_SEED,
+    isValidSeed,
+    randomSeed,
+    createRng,
+    nextRandom
+};
@@ -0,0 +1,23 @@
+// utils/routingProtocols.js - How forwarding decisions are made
+
+// oracle: each packet gets a path computed from the global topology (see routing modes);
+// distance-vector / link-state: packets are forwarded hop by hop using each node's own
+// routing table, which may be stale while the protocol converges
+const ROUTING_PROTOCOLS = ['oracle', 'distance-vector', 'link-state'];
+
+// Hop limit for hop-by-hop forwarding; packets caught in a routing loop are dropped at 0
+const PACKET_TTL = 32;
+
+// Signature of everything a routing protocol can observe; a change means the topology changed
+function topologySignature(nodes, links, getCost) {
+    const linkPart = links
+        .map(link => {
+            const [a, b] = [link.from, link.to].sort();
+            return `${a}-${b}:${getCost(link, a)}/${getCost(link, b)}`;
+        })
+        .sort()
+        .join(',');
+    return `${[...nodes].sort().join(',')}|${linkPart}`;
+}
+
+module.exports = { ROUTING_PROTOCOLS, PACKET_TTL, topologySignature };
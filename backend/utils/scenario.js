@@ -0,0 +1,236 @@
+// utils/scenario.js - Versioned scenario documents (JSON/YAML) and their validation
+const yaml = require('js-yaml');
+const { SimulationError } = require('./errors');
+const { ROUTING_METRICS } = require('./linkMetrics');
+const { ROUTING_MODES, LOAD_BALANCING, MAX_PATHS } = require('./loadBalancing');
+const { validateAdaptiveOptions } = require('./adaptiveRouting');
+const { ROUTING_PROTOCOLS } = require('./routingProtocols');
+const { validateDistanceVectorOptions } = require('./distanceVector');
+const { validateLinkStateOptions } = require('./linkState');
+const { SIMULATION_ENGINES } = require('./discreteEvent');
+const { validateQueueOptions } = require('./queueDisciplines');
+const { DEFAULT_TRAFFIC_CLASSES, validateTrafficClasses, validatePolicers } = require('./trafficClasses');
+const { validateTrafficMatrix } = require('./trafficMatrix');
+const { validateArrivalModel } = require('./arrivalModels');
+const { MAX_SEED, isValidSeed } = require('./random');
+const { validateTrafficRates, validateScheduleOptions } = require('./schedule');
+
+const SCENARIO_VERSION = 1;
+
+// Node ids become part of link keys ("A-B"), so they must not contain dashes
+const NODE_ID_PATTERN = /^[A-Za-z0-9_]+$/;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Check a scenario document and return a list of human readable problems
+function validateScenario(doc) {
+    const errors = [];
+
+    if (!isPlainObject(doc)) {
+        return ['Scenario must be an object'];
+    }
+
+    if (doc.version !== SCENARIO_VERSION) {
+        errors.push(`Unsupported scenario version ${JSON.stringify(doc.version)} (expected ${SCENARIO_VERSION})`);
+    }
+
+    // Nodes
+    const nodeSet = new Set();
+    if (!Array.isArray(doc.nodes) || doc.nodes.length === 0) {
+        errors.push('nodes must be a non-empty array of node ids');
+    } else {
+        doc.nodes.forEach((node, index) => {
+            if (typeof node !== 'string' || !NODE_ID_PATTERN.test(node)) {
+                errors.push(`nodes[${index}]: invalid node id ${JSON.stringify(node)}`);
+            } else if (nodeSet.has(node)) {
+                errors.push(`nodes[${index}]: duplicate node ${node}`);
+            } else {
+                nodeSet.add(node);
+            }
+        });
+    }
+
+    // Links
+    if (!Array.isArray(doc.links)) {
+        errors.push('links must be an array');
+    } else {
+        const linkSet = new Set();
+        doc.links.forEach((link, index) => {
+            if (!isPlainObject(link)) {
+                errors.push(`links[${index}]: must be an object with from, to and capacity`);
+                return;
+            }
+
+            const { from, to, capacity } = link;
+            [from, to].forEach(node => {
+                if (!nodeSet.has(node)) {
+                    errors.push(`links[${index}]: unknown node ${JSON.stringify(node)}`);
+                }
+            });
+            if (from === to) {
+                errors.push(`links[${index}]: a link must connect two different nodes`);
+            }
+            if (typeof capacity !== 'number' || !Number.isFinite(capacity) || capacity <= 0) {
+                errors.push(`links[${index}]: capacity must be a number > 0`);
+            }
+            if (link.reverseCapacity !== undefined &&
+                (typeof link.reverseCapacity !== 'number' || !Number.isFinite(link.reverseCapacity) || link.reverseCapacity <= 0)) {
+                errors.push(`links[${index}]: reverseCapacity must be a number > 0`);
+            }
+            if (link.queue !== undefined) {
+                errors.push(...validateQueueOptions(link.queue).map(error => `links[${index}]: ${error}`));
+            }
+            if (link.policers !== undefined) {
+                const classNames = Object.keys(isPlainObject(doc.trafficClasses) ? doc.trafficClasses : DEFAULT_TRAFFIC_CLASSES);
+                errors.push(...validatePolicers(link.policers, classNames).map(error => `links[${index}]: ${error}`));
+            }
+            if (link.delay !== undefined &&
+                (typeof link.delay !== 'number' || !Number.isFinite(link.delay) || link.delay < 0)) {
+                errors.push(`links[${index}]: delay must be a number >= 0`);
+            }
+            if (link.cost !== undefined &&
+                (typeof link.cost !== 'number' || !Number.isFinite(link.cost) || link.cost <= 0)) {
+                errors.push(`links[${index}]: cost must be a number > 0`);
+            }
+
+            // Links are full duplex, so A-B and B-A are the same link
+            const pairKey = [from, to].sort().join('-');
+            if (linkSet.has(pairKey)) {
+                errors.push(`links[${index}]: duplicate link between ${from} and ${to}`);
+            }
+            linkSet.add(pairKey);
+        });
+    }
+
+    // Traffic rates per time slot
+    errors.push(...validateTrafficRates(doc.trafficRates, [...nodeSet]));
+    if (isPlainObject(doc.trafficRates) && doc.currentTime !== undefined && !(doc.currentTime in doc.trafficRates)) {
+        errors.push(`currentTime ${JSON.stringify(doc.currentTime)} is not one of the trafficRates time slots`);
+    }
+
+    // Optional traffic matrix per time slot
+    if (doc.trafficMatrix !== undefined) {
+        if (!isPlainObject(doc.trafficMatrix)) {
+            errors.push('trafficMatrix must map time slots to { [source]: { [destination]: demand } }');
+        } else {
+            Object.entries(doc.trafficMatrix).forEach(([slot, rows]) => {
+                if (!isPlainObject(doc.trafficRates) || !(slot in doc.trafficRates)) {
+                    errors.push(`trafficMatrix: time slot ${JSON.stringify(slot)} is not one of the trafficRates time slots`);
+                }
+                errors.push(...validateTrafficMatrix(rows, [...nodeSet], `trafficMatrix[${slot}]`));
+            });
+        }
+    }
+
+    if (doc.queue !== undefined) {
+        errors.push(...validateQueueOptions(doc.queue));
+    }
+
+    if (doc.trafficClasses !== undefined) {
+        errors.push(...validateTrafficClasses(doc.trafficClasses));
+    }
+
+    // Optional arrival models: a default and per-node overrides
+    if (doc.arrivals !== undefined) {
+        if (!isPlainObject(doc.arrivals)) {
+            errors.push('arrivals must be an object with default and/or nodes');
+        } else {
+            if (doc.arrivals.default !== undefined) {
+                errors.push(...validateArrivalModel(doc.arrivals.default, 'arrivals.default'));
+            }
+            if (doc.arrivals.nodes !== undefined) {
+                if (!isPlainObject(doc.arrivals.nodes)) {
+                    errors.push('arrivals.nodes must map node ids to arrival models');
+                } else {
+                    Object.entries(doc.arrivals.nodes).forEach(([node, spec]) => {
+                        if (!nodeSet.has(node)) {
+                            errors.push(`arrivals.nodes: unknown node ${node}`);
+                        }
+                        errors.push(...validateArrivalModel(spec, `arrivals.nodes.${node}`));
+                    });
+                }
+            }
+        }
+    }
+
+    if (doc.schedule !== undefined) {
+        errors.push(...validateScheduleOptions(doc.schedule));
+    }
+
+    if (doc.seed !== undefined && !isValidSeed(doc.seed)) {
+        errors.push(`seed must be an integer between 0 and ${MAX_SEED}`);
+    }
+
+    if (doc.engine !== undefined && !SIMULATION_ENGINES.includes(doc.engine)) {
+        errors.push(`engine: unknown engine ${JSON.stringify(doc.engine)} (expected one of ${SIMULATION_ENGINES.join(', ')})`);
+    }
+
+    // Optional routing settings
+    if (doc.routing !== undefined) {
+        if (!isPlainObject(doc.routing)) {
+            errors.push('routing must be an object');
+        } else {
+            const {
+                metric, referenceBandwidth, mode, loadBalancing, k, flowsPerPair, adaptive,
+                protocol, distanceVector, linkState
+            } = doc.routing;
+            if (metric !== undefined && !ROUTING_METRICS[metric]) {
+                errors.push(`routing.metric: unknown metric ${JSON.stringify(metric)} (expected one of ${Object.keys(ROUTING_METRICS).join(', ')})`);
+            }
+            if (referenceBandwidth !== undefined &&
+                (typeof referenceBandwidth !== 'number' || !Number.isFinite(referenceBandwidth) || referenceBandwidth <= 0)) {
+                errors.push('routing.referenceBandwidth must be a number > 0');
+            }
+            if (mode !== undefined && !ROUTING_MODES.includes(mode)) {
+                errors.push(`routing.mode: unknown mode ${JSON.stringify(mode)} (expected one of ${ROUTING_MODES.join(', ')})`);
+            }
+            if (loadBalancing !== undefined && !LOAD_BALANCING.includes(loadBalancing)) {
+                errors.push(`routing.loadBalancing must be one of ${LOAD_BALANCING.join(', ')}`);
+            }
+            if (k !== undefined && (!Number.isInteger(k) || k < 1 || k > MAX_PATHS)) {
+                errors.push(`routing.k must be an integer between 1 and ${MAX_PATHS}`);
+            }
+            if (flowsPerPair !== undefined && (!Number.isInteger(flowsPerPair) || flowsPerPair < 1)) {
+                errors.push('routing.flowsPerPair must be a positive integer');
+            }
+            if (adaptive !== undefined) {
+                errors.push(...validateAdaptiveOptions(adaptive).map(error => `routing.${error}`));
+            }
+            if (protocol !== undefined && !ROUTING_PROTOCOLS.includes(protocol)) {
+                errors.push(`routing.protocol: unknown protocol ${JSON.stringify(protocol)} (expected one of ${ROUTING_PROTOCOLS.join(', ')})`);
+            }
+            if (distanceVector !== undefined) {
+                errors.push(...validateDistanceVectorOptions(distanceVector).map(error => `routing.${error}`));
+            }
+            if (linkState !== undefined) {
+                errors.push(...validateLinkStateOptions(linkState).map(error => `routing.${error}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Parse a scenario from text; YAML is a superset of JSON so both formats go through js-yaml
+function parseScenario(text) {
+    try {
+        return yaml.load(text);
+    } catch (error) {
+        throw new SimulationError(`Could not parse scenario: ${error.message}`);
+    }
+}
+
+function serializeScenario(doc, format = 'json') {
+    if (format === 'yaml') {
+        return yaml.dump(doc, { noRefs: true });
+    }
+    return JSON.stringify(doc, null, 2);
+}
+
+module.exports = {
+    SCENARIO_VERSION,
+    NODE_ID_PATTERN,
+    validateScenario,
+    parseScenario,
+    serializeScenario
+};
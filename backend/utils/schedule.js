@@ -0,0 +1,157 @@
+// utils/schedule.js - Time-slot schedules: slots keyed by time of day ("08:15"), optionally on a
+// later day ("1/08:15" is 08:15 on the second day), of any length and over any number of days
+
+const TIME_SLOT_PATTERN = /^(?:(\d{1,3})\/)?([01]\d|2[0-3]):([0-5]\d)$/;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const DEFAULT_SCHEDULE_OPTIONS = {
+    // Ticks spent in a slot before moving to the next one; 0 advances only on request
+    ticksPerSlot: 0,
+    // After the last slot, start again from the first instead of staying put
+    wrap: true,
+    // Ramp rates linearly towards the next slot while a slot lasts (needs ticksPerSlot)
+    interpolate: false
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Minutes from the start of the schedule (day 0, 00:00) to a slot, NaN for a malformed key
+function slotMinute(slot) {
+    const match = TIME_SLOT_PATTERN.exec(slot);
+    if (!match) return NaN;
+    const [, day = '0', hours, minutes] = match;
+    return Number(day) * MINUTES_PER_DAY + Number(hours) * 60 + Number(minutes);
+}
+
+function formatSlot(minute) {
+    const day = Math.floor(minute / MINUTES_PER_DAY);
+    const time = minute % MINUTES_PER_DAY;
+    const hhmm = `${String(Math.floor(time / 60)).padStart(2, '0')}:${String(time % 60).padStart(2, '0')}`;
+    return day > 0 ? `${day}/${hhmm}` : hhmm;
+}
+
+const sortSlots = slots => [...slots].sort((a, b) => slotMinute(a) - slotMinute(b));
+
+// Whole days covered by a sorted list of slots; the schedule repeats with this period
+const schedulePeriod = sorted =>
+    (Math.floor(slotMinute(sorted[sorted.length - 1]) / MINUTES_PER_DAY) + 1) * MINUTES_PER_DAY;
+
+// Length in minutes of slot `index`; the last slot lasts until the schedule comes round again
+function slotLength(sorted, index) {
+    if (index < sorted.length - 1) {
+        return slotMinute(sorted[index + 1]) - slotMinute(sorted[index]);
+    }
+    return schedulePeriod(sorted) - slotMinute(sorted[index]) + slotMinute(sorted[0]);
+}
+
+// Slot in effect at a minute of the schedule and how far into it that minute is
+function slotAt(sorted, minute) {
+    const period = schedulePeriod(sorted);
+    const target = ((minute % period) + period) % period;
+    let index = sorted.length - 1;
+    for (let i = 0; i < sorted.length; i++) {
+        if (slotMinute(sorted[i]) <= target) index = i;
+    }
+    // Before the first slot the last one, carried over from the previous period, still applies
+    const offset = (target - slotMinute(sorted[index]) + period) % period;
+    return { slot: sorted[index], index, offset };
+}
+
+// Return a list of problems with per-slot traffic rates ({ [slot]: { [node]: rate } })
+function validateTrafficRates(trafficRates, nodes) {
+    if (!isPlainObject(trafficRates) || Object.keys(trafficRates).length === 0) {
+        return ['trafficRates must map at least one time slot to per-node rates'];
+    }
+
+    const errors = [];
+    Object.entries(trafficRates).forEach(([slot, rates]) => {
+        if (!TIME_SLOT_PATTERN.test(slot)) {
+            errors.push(`trafficRates: invalid time slot ${JSON.stringify(slot)} (expected HH:MM or day/HH:MM)`);
+        }
+        if (!isPlainObject(rates)) {
+            errors.push(`trafficRates[${slot}]: must map node ids to rates`);
+            return;
+        }
+        Object.entries(rates).forEach(([node, rate]) => {
+            if (!nodes.includes(node)) {
+                errors.push(`trafficRates[${slot}]: unknown node ${node}`);
+            }
+            if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0) {
+                errors.push(`trafficRates[${slot}].${node}: rate must be a number >= 0`);
+            }
+        });
+    });
+
+    const minutes = Object.keys(trafficRates).map(slotMinute);
+    if (new Set(minutes).size !== minutes.length) {
+        errors.push('trafficRates: two time slots start at the same time');
+    }
+    return errors;
+}
+
+// Return a list of problems with (partial) schedule options
+function validateScheduleOptions(options) {
+    if (!isPlainObject(options)) {
+        return ['schedule options must be an object'];
+    }
+
+    const errors = [];
+    const { ticksPerSlot, wrap, interpolate } = options;
+    if (ticksPerSlot !== undefined && (!Number.isInteger(ticksPerSlot) || ticksPerSlot < 0)) {
+        errors.push('schedule.ticksPerSlot must be an integer >= 0');
+    }
+    if (wrap !== undefined && typeof wrap !== 'boolean') {
+        errors.push('schedule.wrap must be true or false');
+    }
+    if (interpolate !== undefined && typeof interpolate !== 'boolean') {
+        errors.push('schedule.interpolate must be true or false');
+    }
+    return errors;
+}
+
+// Slots of equal length from a list of per-node rates, the first starting at `start`
+function buildSlots(rates, slotMinutes, start = '00:00') {
+    const errors = [];
+    if (!Array.isArray(rates) || rates.length === 0) {
+        errors.push('rates must be a non-empty array of per-node rates');
+    }
+    if (!Number.isInteger(slotMinutes) || slotMinutes < 1) {
+        errors.push('slotMinutes must be a positive integer');
+    }
+    if (!TIME_SLOT_PATTERN.test(start)) {
+        errors.push('start must be a time slot (HH:MM or day/HH:MM)');
+    }
+    if (errors.length > 0) return { errors };
+
+    const first = slotMinute(start);
+    const slots = {};
+    rates.forEach((slotRates, i) => {
+        slots[formatSlot(first + i * slotMinutes)] = slotRates;
+    });
+    return { slots, errors };
+}
+
+// Rates a fraction of the way from one slot's rates to the next
+function interpolateRates(from, to, fraction) {
+    const rates = {};
+    Object.keys(from).forEach(node => {
+        const target = to[node] === undefined ? from[node] : to[node];
+        rates[node] = Math.round((from[node] + (target - from[node]) * fraction) * 1000) / 1000;
+    });
+    return rates;
+}
+
+module.exports = {
+    TIME_SLOT_PATTERN,
+    DEFAULT_SCHEDULE_OPTIONS,
+    slotMinute,
+    formatSlot,
+    sortSlots,
+    slotLength,
+    slotAt,
+    validateTrafficRates,
+    validateScheduleOptions,
+    buildSlots,
+    interpolateRates
+};
@@ -0,0 +1,164 @@
+// utils/stateDelta.js - Compact snapshots of the network stats and the deltas between them,
+// as pushed to streaming clients after each tick
+
+const STREAM_TOPICS = ['summary', 'links', 'nodes', 'packets', 'alerts'];
+
+// Topics a client gets when it does not ask for any; packets are opt-in as they are the bulk
+const DEFAULT_STREAM_TOPICS = ['summary', 'links', 'nodes', 'alerts'];
+
+const linkKey = link => `${link.from}-${link.to}`;
+
+function compactDirection(direction) {
+    return {
+        from: direction.from,
+        to: direction.to,
+        currentLoad: direction.currentLoad,
+        utilization: direction.utilization,
+        queueSize: direction.queueSize,
+        congested: direction.congested
+    };
+}
+
+function compactLink(link) {
+    return {
+        from: link.from,
+        to: link.to,
+        failed: link.failed,
+        currentLoad: link.currentLoad,
+        utilization: link.utilization,
+        queueSize: link.queueSize,
+        congested: link.congested,
+        directions: link.directions.map(compactDirection)
+    };
+}
+
+function compactNode(node) {
+    return {
+        id: node.id,
+        failed: node.failed,
+        packetsGenerated: node.packetsGenerated,
+        packetsReceived: node.packetsReceived,
+        currentLoad: node.currentLoad
+    };
+}
+
+function compactPacket(packet) {
+    return {
+        id: packet.id,
+        source: packet.source,
+        destination: packet.destination,
+        path: packet.path,
+        trafficClass: packet.trafficClass,
+        transmitted: packet.transmitted,
+        outcome: packet.outcome,
+        ...(packet.createdAt !== undefined && { createdAt: packet.createdAt, deliveredAt: packet.deliveredAt }),
+        ...(packet.latency !== undefined && { latency: packet.latency })
+    };
+}
+
+// The parts of getNetworkStats() that change from tick to tick, keyed for diffing
+function createSnapshot(stats) {
+    const links = {};
+    stats.links.forEach(link => {
+        links[linkKey(link)] = compactLink(link);
+    });
+    const nodes = {};
+    stats.nodes.forEach(node => {
+        nodes[node.id] = compactNode(node);
+    });
+    return {
+        clock: {
+            simulationStep: stats.simulationStep,
+            currentTime: stats.currentTime,
+            timeOfDay: stats.timeOfDay,
+            isRunning: stats.isRunning
+        },
+        summary: stats.summary,
+        links,
+        nodes
+    };
+}
+
+const changed = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+
+// Noteworthy transitions between two snapshots
+function detectAlerts(previous, next) {
+    const alerts = [];
+
+    Object.entries(next.links).forEach(([key, link]) => {
+        const before = previous.links[key];
+        if (!before) return;
+        if (link.failed !== before.failed) {
+            alerts.push({ type: link.failed ? 'link-failed' : 'link-restored', link: key });
+        }
+        link.directions.forEach((direction, i) => {
+            const was = before.directions[i] && before.directions[i].congested;
+            if (direction.congested !== was) {
+                alerts.push({
+                    type: direction.congested ? 'congestion' : 'congestion-cleared',
+                    link: `${direction.from}-${direction.to}`,
+                    utilization: direction.utilization,
+                    queueSize: direction.queueSize
+                });
+            }
+        });
+    });
+
+    Object.entries(next.nodes).forEach(([id, node]) => {
+        const before = previous.nodes[id];
+        if (before && node.failed !== before.failed) {
+            alerts.push({ type: node.failed ? 'node-failed' : 'node-restored', node: id });
+        }
+    });
+
+    const previousDrops = previous.summary.drops || {};
+    Object.entries(next.summary.drops || {}).forEach(([reason, count]) => {
+        const added = count - (previousDrops[reason] || 0);
+        if (added > 0) alerts.push({ type: 'drops', reason, count: added });
+    });
+
+    return alerts;
+}
+
+// What changed from one snapshot to the next, by topic (packets are added by the caller)
+function diffSnapshots(previous, next) {
+    const delta = { ...next.clock };
+
+    if (changed(previous.summary, next.summary)) delta.summary = next.summary;
+
+    const links = Object.keys(next.links).filter(key => changed(previous.links[key], next.links[key]));
+    const removedLinks = Object.keys(previous.links).filter(key => !next.links[key]);
+    if (links.length > 0) delta.links = links.map(key => next.links[key]);
+    if (removedLinks.length > 0) delta.removedLinks = removedLinks;
+
+    const nodes = Object.keys(next.nodes).filter(id => changed(previous.nodes[id], next.nodes[id]));
+    const removedNodes = Object.keys(previous.nodes).filter(id => !next.nodes[id]);
+    if (nodes.length > 0) delta.nodes = nodes.map(id => next.nodes[id]);
+    if (removedNodes.length > 0) delta.removedNodes = removedNodes;
+
+    const alerts = detectAlerts(previous, next);
+    if (alerts.length > 0) delta.alerts = alerts;
+
+    return delta;
+}
+
+// Keep only the clock fields and the topics a client subscribed to
+function filterTopics(message, topics) {
+    const filtered = {};
+    Object.entries(message).forEach(([field, value]) => {
+        const topic = field === 'removedLinks' ? 'links' : field === 'removedNodes' ? 'nodes' : field;
+        if (!STREAM_TOPICS.includes(topic) || topics.includes(topic)) {
+            filtered[field] = value;
+        }
+    });
+    return filtered;
+}
+
+module.exports = {
+    STREAM_TOPICS,
+    DEFAULT_STREAM_TOPICS,
+    compactPacket,
+    createSnapshot,
+    diffSnapshots,
+    filterTopics
+};
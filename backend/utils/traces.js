@@ -0,0 +1,73 @@
+// utils/traces.js - Bounded packet-level trace of a run: one entry each time the stats report a
+// packet (a queued packet is reported when it is held up and again when it leaves the network)
+
+// Trace entries kept; the oldest are overwritten as new ones come in
+const TRACE_LIMIT = 50000;
+
+// Entries live in a ring, oldest at `next` once it is full. discardedStep is the step of the
+// newest entry overwritten so far (null while nothing has been).
+function createTrace() {
+    return { entries: [], next: 0, discardedStep: null };
+}
+
+// Outcome of each hop a packet reached: 'sent' once it crossed the link, otherwise what happened
+// to the packet there (queued packets show up as 'congested')
+function hopOutcomes(packet) {
+    return packet.route.map(hop => ({
+        from: hop.from,
+        to: hop.to,
+        outcome: hop.transmitted ? 'sent' : packet.outcome
+    }));
+}
+
+// Record a packet record of the stats as reported in the given step
+function recordTracePacket(trace, packet, step) {
+    const entry = {
+        id: packet.id,
+        step,
+        source: packet.source,
+        destination: packet.destination,
+        trafficClass: packet.trafficClass,
+        path: packet.path,
+        hops: hopOutcomes(packet),
+        outcome: packet.outcome,
+        latency: packet.latency === undefined ? null : packet.latency
+    };
+    if (trace.entries.length < TRACE_LIMIT) {
+        trace.entries.push(entry);
+    } else {
+        trace.discardedStep = trace.entries[trace.next].step;
+        trace.entries[trace.next] = entry;
+    }
+    trace.next = (trace.next + 1) % TRACE_LIMIT;
+}
+
+// Entries oldest first. The list is a copy, so ticks that run while it is being read do not
+// shift it; the entries themselves are never changed once recorded.
+function traceEntries(trace) {
+    if (trace.entries.length < TRACE_LIMIT) return trace.entries.slice();
+    return trace.entries.slice(trace.next).concat(trace.entries.slice(0, trace.next));
+}
+
+// Steps the trace fully covers ({ from, to }, null when empty) and whether older ones were
+// discarded. The oldest retained step may have lost some of its entries, so it only counts as
+// covered when nothing of it was overwritten.
+function traceRange(trace) {
+    if (trace.entries.length === 0) return { from: null, to: null, truncated: false };
+    const oldest = trace.entries.length < TRACE_LIMIT ? trace.entries[0] : trace.entries[trace.next];
+    const newest = trace.entries[(trace.next + trace.entries.length - 1) % trace.entries.length];
+    const truncated = trace.discardedStep !== null;
+    return {
+        from: truncated ? Math.max(oldest.step, trace.discardedStep + 1) : oldest.step,
+        to: newest.step,
+        truncated
+    };
+}
+
+module.exports = {
+    TRACE_LIMIT,
+    createTrace,
+    recordTracePacket,
+    traceEntries,
+    traceRange
+};
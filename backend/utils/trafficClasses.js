@@ -0,0 +1,94 @@
+// utils/trafficClasses.js - Traffic classes (share of each node's rate, DSCP marking and
+// queueing priority) and per-class token-bucket policers on links
+
+const CLASS_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Higher priority is served first by the strict priority discipline; DSCP values follow
+// RFC 4594 (EF for voice, AF41 for video, default forwarding, CS1 for bulk)
+const DEFAULT_TRAFFIC_CLASSES = {
+    voice: { share: 0.1, dscp: 46, priority: 3 },
+    video: { share: 0.2, dscp: 34, priority: 2 },
+    'best-effort': { share: 0.5, dscp: 0, priority: 1 },
+    bulk: { share: 0.2, dscp: 8, priority: 0 }
+};
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Return a list of problems with a traffic class definition map
+function validateTrafficClasses(classes) {
+    if (!isPlainObject(classes) || Object.keys(classes).length === 0) {
+        return ['trafficClasses must map at least one class name to its settings'];
+    }
+
+    const errors = [];
+    Object.entries(classes).forEach(([name, settings]) => {
+        if (!CLASS_NAME_PATTERN.test(name)) {
+            errors.push(`trafficClasses: invalid class name ${JSON.stringify(name)}`);
+        }
+        if (!isPlainObject(settings)) {
+            errors.push(`trafficClasses.${name} must be an object with share, dscp and priority`);
+            return;
+        }
+        if (!isNumber(settings.share) || settings.share < 0) {
+            errors.push(`trafficClasses.${name}.share must be a number >= 0`);
+        }
+        if (settings.dscp !== undefined && (!Number.isInteger(settings.dscp) || settings.dscp < 0 || settings.dscp > 63)) {
+            errors.push(`trafficClasses.${name}.dscp must be an integer between 0 and 63`);
+        }
+        if (settings.priority !== undefined && (!Number.isInteger(settings.priority) || settings.priority < 0)) {
+            errors.push(`trafficClasses.${name}.priority must be an integer >= 0`);
+        }
+    });
+
+    const total = Object.values(classes).reduce((sum, settings) => sum + (isNumber(settings && settings.share) ? settings.share : 0), 0);
+    if (errors.length === 0 && total <= 0) {
+        errors.push('trafficClasses: at least one class needs a share > 0');
+    }
+    return errors;
+}
+
+// Return a list of problems with a link's per-class policers ({ [class]: { rate, burst? } })
+function validatePolicers(policers, classNames) {
+    if (!isPlainObject(policers)) {
+        return ['policers must map class names to { rate, burst }'];
+    }
+
+    const errors = [];
+    Object.entries(policers).forEach(([name, policer]) => {
+        if (classNames && !classNames.includes(name)) {
+            errors.push(`policers: unknown traffic class ${JSON.stringify(name)}`);
+        }
+        if (!isPlainObject(policer) || !isNumber(policer.rate) || policer.rate <= 0) {
+            errors.push(`policers.${name}.rate must be a number > 0 (packets/second)`);
+            return;
+        }
+        if (policer.burst !== undefined && (!isNumber(policer.burst) || policer.burst < 1)) {
+            errors.push(`policers.${name}.burst must be a number >= 1`);
+        }
+    });
+    return errors;
+}
+
+// Token bucket: refills at `rate` packets per second up to `burst` (one second's worth by
+// default). Returns true and takes a token if the packet conforms at time `now` (ms).
+function policerConforms(bucket, policer, now) {
+    const burst = policer.burst === undefined ? policer.rate : policer.burst;
+    if (bucket.last === undefined) {
+        bucket.tokens = burst;
+    } else {
+        bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.last) * policer.rate / 1000);
+    }
+    bucket.last = now;
+
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+}
+
+module.exports = {
+    DEFAULT_TRAFFIC_CLASSES,
+    validateTrafficClasses,
+    validatePolicers,
+    policerConforms
+};
@@ -0,0 +1,156 @@
+// utils/trafficMatrix.js - Per time slot traffic matrices ({ [source]: { [destination]: demand } },
+// demands in packets per second) and presets that spread each node's rate over destinations
+
+const TRAFFIC_MATRIX_PRESETS = ['uniform', 'gravity', 'hotspot'];
+
+// demand: values are packets per second; weights: each row is scaled to the source's current rate
+const TRAFFIC_MATRIX_MODES = ['demand', 'weights'];
+
+const DEFAULT_HOTSPOT_FRACTION = 0.5;
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Return a list of problems with a (partial) traffic matrix over the given nodes
+function validateTrafficMatrix(matrix, nodes, name = 'trafficMatrix') {
+    if (!isPlainObject(matrix)) {
+        return [`${name} must map source nodes to { [destination]: demand }`];
+    }
+
+    const errors = [];
+    Object.entries(matrix).forEach(([source, row]) => {
+        if (!nodes.includes(source)) {
+            errors.push(`${name}: unknown source node ${source}`);
+        }
+        if (!isPlainObject(row)) {
+            errors.push(`${name}.${source} must map destination nodes to demands`);
+            return;
+        }
+        Object.entries(row).forEach(([destination, demand]) => {
+            if (!nodes.includes(destination)) {
+                errors.push(`${name}.${source}: unknown destination node ${destination}`);
+            } else if (destination === source) {
+                errors.push(`${name}.${source}: a node cannot send traffic to itself`);
+            }
+            if (!isNumber(demand) || demand < 0) {
+                errors.push(`${name}.${source}.${destination}: demand must be a number >= 0`);
+            }
+        });
+    });
+    return errors;
+}
+
+// Rounded so that rows built from fractional shares sum back to the rate they were split from
+const rowSum = row => Math.round(Object.values(row).reduce((sum, demand) => sum + demand, 0) * 1e9) / 1e9;
+
+// Spread `total` over the destinations in proportion to their weights (evenly when all are zero)
+function scaleRow(weights, total) {
+    const destinations = Object.keys(weights);
+    const sum = rowSum(weights);
+    const row = {};
+    destinations.forEach(destination => {
+        row[destination] = sum > 0
+            ? total * weights[destination] / sum
+            : total / destinations.length;
+    });
+    return row;
+}
+
+// Every other node as destination, each with weight `weight`
+function evenWeights(nodes, source, weight = 1) {
+    const weights = {};
+    nodes.filter(n => n !== source).forEach(destination => {
+        weights[destination] = weight;
+    });
+    return weights;
+}
+
+// Return a list of problems with the options of a preset
+function validatePresetOptions(preset, options, nodes) {
+    if (!TRAFFIC_MATRIX_PRESETS.includes(preset)) {
+        return [`preset must be one of ${TRAFFIC_MATRIX_PRESETS.join(', ')}`];
+    }
+
+    const errors = [];
+    if (preset === 'gravity' && options.masses !== undefined) {
+        if (!isPlainObject(options.masses)) {
+            errors.push('masses must map node ids to numbers >= 0');
+        } else {
+            Object.entries(options.masses).forEach(([node, mass]) => {
+                if (!nodes.includes(node)) errors.push(`masses: unknown node ${node}`);
+                if (!isNumber(mass) || mass < 0) errors.push(`masses.${node} must be a number >= 0`);
+            });
+        }
+    }
+    if (preset === 'hotspot') {
+        const { hotspots, fraction } = options;
+        if (!Array.isArray(hotspots) || hotspots.length === 0) {
+            errors.push('hotspots must be a non-empty array of node ids');
+        } else {
+            hotspots.filter(node => !nodes.includes(node)).forEach(node => {
+                errors.push(`hotspots: unknown node ${node}`);
+            });
+        }
+        if (fraction !== undefined && (!isNumber(fraction) || fraction < 0 || fraction > 1)) {
+            errors.push('fraction must be a number between 0 and 1');
+        }
+    }
+    return errors;
+}
+
+// Build the matrix of one time slot from a preset; every row sums to its source's rate.
+//   uniform: the rate is split evenly over all other nodes
+//   gravity: destination j gets a share proportional to its mass (default: its own rate)
+//   hotspot: `fraction` of the rate goes evenly to the hotspot nodes, the rest is uniform
+function buildPresetMatrix(preset, nodes, rates, options = {}) {
+    const matrix = {};
+    nodes.forEach(source => {
+        const rate = rates[source] || 0;
+
+        if (preset === 'gravity') {
+            const masses = options.masses || rates;
+            const weights = evenWeights(nodes, source, 0);
+            Object.keys(weights).forEach(destination => {
+                weights[destination] = masses[destination] || 0;
+            });
+            matrix[source] = scaleRow(weights, rate);
+        } else if (preset === 'hotspot') {
+            const fraction = options.fraction === undefined ? DEFAULT_HOTSPOT_FRACTION : options.fraction;
+            const hotspots = options.hotspots.filter(node => node !== source);
+            const toHotspots = hotspots.length > 0 ? rate * fraction : 0;
+            matrix[source] = scaleRow(evenWeights(nodes, source), rate - toHotspots);
+            hotspots.forEach(node => {
+                matrix[source][node] += toHotspots / hotspots.length;
+            });
+        } else {
+            matrix[source] = scaleRow(evenWeights(nodes, source), rate);
+        }
+    });
+    return matrix;
+}
+
+// Draw a destination with probability proportional to its demand; undefined for an all-zero row
+function pickWeighted(row, random = Math.random) {
+    const entries = Object.entries(row).filter(([, demand]) => demand > 0);
+    const total = entries.reduce((sum, [, demand]) => sum + demand, 0);
+    if (total <= 0) return undefined;
+
+    let target = random() * total;
+    for (const [destination, demand] of entries) {
+        target -= demand;
+        if (target < 0) return destination;
+    }
+    return entries[entries.length - 1][0];
+}
+
+module.exports = {
+    TRAFFIC_MATRIX_PRESETS,
+    TRAFFIC_MATRIX_MODES,
+    validateTrafficMatrix,
+    validatePresetOptions,
+    rowSum,
+    scaleRow,
+    evenWeights,
+    buildPresetMatrix,
+    pickWeighted
+};
@@ -1,8 +1,48 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Play, Pause, Square, RotateCcw, Clock, Activity, Network, Settings } from 'lucide-react';
 
+const linkKey = link => `${link.from}-${link.to}`;
+
+// Links and nodes of a delta that the stats do not have yet
+const newLinks = (data, delta) => (delta.links || []).filter(link => !data.links.some(l => linkKey(l) === linkKey(link)));
+const newNodes = (data, delta) => (delta.nodes || []).filter(node => !data.nodes.some(n => n.id === node.id));
+
+// Merge a streamed delta (changed links, nodes, summary, the tick's packets) into the stats;
+// links and nodes added since the last tick are appended
+const applyDelta = (data, delta) => {
+    const changedLinks = new Map((delta.links || []).map(link => [linkKey(link), link]));
+    const changedNodes = new Map((delta.nodes || []).map(node => [node.id, node]));
+
+    return {
+        ...data,
+        simulationStep: delta.simulationStep,
+        currentTime: delta.currentTime,
+        timeOfDay: delta.timeOfDay,
+        isRunning: delta.isRunning,
+        summary: delta.summary || data.summary,
+        packets: delta.packets || data.packets,
+        links: data.links
+            .filter(link => !(delta.removedLinks || []).includes(linkKey(link)))
+            .map(link => {
+                const changed = changedLinks.get(linkKey(link));
+                if (!changed) return link;
+                return {
+                    ...link,
+                    ...changed,
+                    directions: changed.directions.map((direction, i) => ({ ...link.directions[i], ...direction }))
+                };
+            })
+            .concat(newLinks(data, delta)),
+        nodes: data.nodes
+            .filter(node => !(delta.removedNodes || []).includes(node.id))
+            .map(node => (changedNodes.has(node.id) ? { ...node, ...changedNodes.get(node.id) } : node))
+            .concat(newNodes(data, delta))
+    };
+};
+
 const NetworkSimulator = () => {
     const [networkData, setNetworkData] = useState(null);
+    const networkDataRef = useRef(null);
     const [isSimulating, setIsSimulating] = useState(false);
     const [autoRun, setAutoRun] = useState(false);
     const [selectedNode, setSelectedNode] = useState(null);
@@ -24,6 +64,9 @@ const NetworkSimulator = () => {
             const result = await response.json();
             if (result.success) {
                 setNetworkData(result.data);
+                // The backend clock runs the simulation; follow its state
+                setIsSimulating(result.data.isRunning);
+                setAutoRun(result.data.isRunning);
             } else {
                 console.error('API returned error:', result.error);
             }
@@ -180,16 +223,36 @@ const NetworkSimulator = () => {
         }
     };
 
-    // Auto-run simulation
     useEffect(() => {
-        let interval;
-        if (autoRun && isSimulating && !connectionError) {
-            interval = setInterval(() => {
-                runTick();
-            }, 2000); // Run every 2 seconds
-        }
-        return () => clearInterval(interval);
-    }, [autoRun, isSimulating, connectionError]);
+        networkDataRef.current = networkData;
+    }, [networkData]);
+
+    // Follow the simulation over the push channel; the backend clock does the ticking
+    useEffect(() => {
+        const stream = new EventSource(`${API_BASE}/stream?topics=summary,links,nodes,packets`);
+
+        // A snapshot follows a (re)connect or a reset: reload the full stats
+        stream.addEventListener('snapshot', () => {
+            fetchStats();
+        });
+        stream.addEventListener('tick', event => {
+            const delta = JSON.parse(event.data);
+            setNetworkData(data => (data ? applyDelta(data, delta) : data));
+            // Streamed entries leave out capacities and other settings: reload the full stats
+            // once a new link or node shows up
+            const data = networkDataRef.current;
+            if (data && (newLinks(data, delta).length > 0 || newNodes(data, delta).length > 0)) {
+                fetchStats();
+            }
+        });
+        stream.addEventListener('status', event => {
+            const { isRunning } = JSON.parse(event.data);
+            setIsSimulating(isRunning);
+            setAutoRun(isRunning);
+        });
+
+        return () => stream.close();
+    }, [fetchStats]);
 
     // Initial data fetch with retry mechanism
     useEffect(() => {
@@ -248,13 +311,21 @@ const NetworkSimulator = () => {
             E: { x: 200, y: 300 }
         };
 
+        // Nodes added at runtime have no fixed position; spread them around a circle
+        const getNodePosition = (id) => {
+            if (nodePositions[id]) return nodePositions[id];
+            const index = networkData.nodes.findIndex(node => node.id === id);
+            const angle = (2 * Math.PI * index) / networkData.nodes.length;
+            return { x: 200 + 150 * Math.cos(angle), y: 175 + 140 * Math.sin(angle) };
+        };
+
         return (
             <div className="relative bg-gray-900 rounded-lg p-4 h-96 overflow-hidden">
                 <svg className="w-full h-full" viewBox="0 0 400 350">
                     {/* Links */}
                     {networkData.links.map((link, index) => {
-                        const from = nodePositions[link.from];
-                        const to = nodePositions[link.to];
+                        const from = getNodePosition(link.from);
+                        const to = getNodePosition(link.to);
                         const utilization = parseFloat(link.utilization);
                         const strokeWidth = Math.max(2, utilization / 10);
                         const strokeColor = link.congested ? '#ef4444' :
@@ -282,7 +353,9 @@ const NetworkSimulator = () => {
                                     textAnchor="middle"
                                     className="pointer-events-none"
                                 >
-                                    {link.capacity}
+                                    {link.reverseCapacity !== undefined
+                                        ? `${link.capacity}/${link.reverseCapacity}`
+                                        : link.capacity}
                                 </text>
                                 {/* Queue indicator */}
                                 {link.queueSize > 0 && (
@@ -300,7 +373,7 @@ const NetworkSimulator = () => {
 
                     {/* Nodes */}
                     {networkData.nodes.map((node) => {
-                        const pos = nodePositions[node.id];
+                        const pos = getNodePosition(node.id);
                         const load = node.currentLoad || 0;
                         const radius = Math.max(20, Math.min(35, 20 + load / 5));
                         const fillColor = load > 50 ? '#ef4444' : load > 30 ? '#f59e0b' : '#10b981';
@@ -439,7 +512,7 @@ const NetworkSimulator = () => {
 
                         {networkData && (
                             <div className="flex items-center gap-4 text-sm">
-                                <span>Time: {networkData.currentTime}</span>
+                                <span>Time: {networkData.timeOfDay || networkData.currentTime}</span>
                                 <span>Step: {networkData.simulationStep}</span>
                                 <span className={`px-2 py-1 rounded-full text-xs ${connectionError ? 'bg-red-600' : isSimulating ? 'bg-green-600' : 'bg-gray-600'}`}>
                                     {connectionError ? 'Disconnected' : isSimulating ? 'Running' : 'Stopped'}
@@ -529,8 +602,20 @@ const NetworkSimulator = () => {
                                 <div className="space-y-3">
                                     <div className="flex justify-between">
                                         <span className="text-gray-400">Capacity:</span>
-                                        <span className="font-mono">{selectedLink.capacity} pkt/s</span>
+                                        <span className="font-mono">
+                                            {selectedLink.reverseCapacity !== undefined
+                                                ? `${selectedLink.capacity}/${selectedLink.reverseCapacity}`
+                                                : selectedLink.capacity} pkt/s
+                                        </span>
                                     </div>
+                                    {selectedLink.directions?.map(direction => (
+                                        <div key={`${direction.from}-${direction.to}`} className="flex justify-between">
+                                            <span className="text-gray-400">{direction.from}→{direction.to}:</span>
+                                            <span className="font-mono">
+                                                {direction.currentLoad}/{direction.capacity} pkt/s, queue {direction.queueSize}
+                                            </span>
+                                        </div>
+                                    ))}
                                     <div className="flex justify-between">
                                         <span className="text-gray-400">Current Load:</span>
                                         <span className="font-mono">{selectedLink.currentLoad} pkt/s</span>